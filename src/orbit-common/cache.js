@@ -6,15 +6,25 @@ import { isArray, isObject } from 'orbit/lib/objects';
 import { eq } from 'orbit/lib/eq';
 import CacheIntegrityProcessor from './cache/operation-processors/cache-integrity-processor';
 import SchemaConsistencyProcessor from './cache/operation-processors/schema-consistency-processor';
+import AttributeIndexProcessor from './cache/operation-processors/attribute-index-processor';
+import EvictionProcessor from './cache/operation-processors/eviction-processor';
+import ComputedAttributeProcessor from './cache/operation-processors/computed-attribute-processor';
+import QueryResultCache from './cache/query-result-cache';
 import Query from 'orbit/query';
 import QueryEvaluator from 'orbit/query/evaluator';
 import QueryOperators from './cache/query-operators';
 import PatchTransforms from './cache/patch-transforms';
 import InverseTransforms from './cache/inverse-transforms';
 import LiveQueryOperators from './cache/live-query-operators';
+import { documentOperations } from './cache/document-operations';
 import { Observable } from 'rxjs/Observable';
 import CacheObservable from 'orbit-common/cache/observables/cache-observable';
+import BatchObservable from 'orbit-common/cache/observables/batch-observable';
 import 'orbit-common/rxjs/add/observable/from-orbit-event';
+import { RecordNotFoundException } from './lib/exceptions';
+
+// Operators whose results are values, rather than sets of records
+const ValueOperators = ['count', 'sum', 'min', 'max', 'groupBy', 'exists', 'first'];
 
 /**
  `Cache` provides a thin wrapper over an internally maintained instance of a
@@ -30,7 +40,9 @@ import 'orbit-common/rxjs/add/observable/from-orbit-event';
  @namespace OC
  @param {OC.Schema} schema
  @param {Object}  [options]
- @param {Array}   [options.processors=[SchemaConsistencyProcessor, CacheIntegrityProcessor]] Operation processors to notify for every call to `transform`.
+ @param {Array}   [options.processors=[SchemaConsistencyProcessor, CacheIntegrityProcessor, AttributeIndexProcessor, ComputedAttributeProcessor]] Operation processors to notify for every call to `transform`.
+ @param {Boolean} [options.memoizeQueries=false] Should query results be memoized until they are invalidated by a patch?
+ @param {Object}  [options.eviction] Limits on the number of records in the cache (`maxRecords` and `maxRecordsPerType`), beyond which the least recently used records are evicted by an `EvictionProcessor`. The `EvictionProcessor` is added to the default processors when this option is specified.
  @constructor
  */
 export default class Cache {
@@ -46,12 +58,31 @@ export default class Cache {
 
     this.queryEvaluator = new QueryEvaluator(this, QueryOperators);
 
-    const processors = options.processors ? options.processors : [SchemaConsistencyProcessor, CacheIntegrityProcessor];
+    this.evictionOptions = options.eviction;
+
+    let processors = options.processors;
+    if (!processors) {
+      processors = [SchemaConsistencyProcessor, CacheIntegrityProcessor, AttributeIndexProcessor, ComputedAttributeProcessor];
+
+      if (options.eviction) {
+        processors.push(EvictionProcessor);
+      }
+    }
     this._processors = processors.map(Processor => new Processor(this));
     this.liveQueryEvaluator = new QueryEvaluator(this, LiveQueryOperators);
 
+    if (options.memoizeQueries) {
+      this.queryResults = new QueryResultCache(this);
+      this.on('patch', operation => this.queryResults.invalidate(operation));
+    }
+
+    this._liveResultsObservers = [];
+
     const events = Observable.fromOrbitEvent(this, 'patch');
     this.patches = CacheObservable.fromObservable(events, this);
+
+    const batches = Observable.fromOrbitEvent(this, 'patches');
+    this.batches = BatchObservable.fromObservable(batches, this);
   }
 
   /**
@@ -59,8 +90,9 @@ export default class Cache {
 
    @example
    ``` javascript
-   // using a query builder callback
-   cache.query(qb.record('planet', 'idabc123')).then(results => {});
+   // using a query builder callback, which is passed the schema's
+   // `queryBuilder` (including any scopes declared by the schema)
+   cache.query(qb => qb.records('planet').gasGiants()).then(results => {});
    ```
 
    @example
@@ -69,13 +101,29 @@ export default class Cache {
    cache.query(oqe('record', 'planet', 'idabc123')).then(results => {});
    ```
 
+   If the cache was created with the `memoizeQueries` option, results are
+   reused until they are invalidated by a patch. Memoization stats are
+   available via `cache.queryResults.stats`.
+
+   A `query` event is emitted with the result of each query.
+
    @method query
    @param {Expression} query
    @return {Object} result of query (type depends on query)
    */
   query(_query, context) {
-    const query = Query.from(_query);
-    return this.queryEvaluator.evaluate(query.expression, context);
+    const query = Query.from(_query, this.schema.queryBuilder);
+    let result;
+
+    if (this.queryResults && !context) {
+      result = this.queryResults.fetch(query.expression, () => this.queryEvaluator.evaluate(query.expression));
+    } else {
+      result = this.queryEvaluator.evaluate(query.expression, context);
+    }
+
+    this.emit('query', result, query);
+
+    return result;
   }
 
   /**
@@ -93,12 +141,28 @@ export default class Cache {
    cache.liveQuery(oqe('record', 'planet', 'idabc123')).then(operationsObservable => {});
    ```
 
+   Aggregate queries (`count`, `sum`, `min`, `max` and `groupBy`), as well as
+   `exists` and `first` queries, instead produce a stream of values: the
+   current value, followed by each new value as it changes. Aggregates are
+   emitted at most once per patch, once it has been applied.
+
+   @example
+   ``` javascript
+   cache.liveQuery(qb.records('moon').groupBy({ relationship: 'planet' }).count()).subscribe(moonsPerPlanet => {});
+   ```
+
    @method liveQuery
    @param {Expression} query
    @return {Observable} stream of operations for the results to a query
    */
   liveQuery(_query, context) {
-    const query = Query.from(_query);
+    const query = Query.from(_query, this.schema.queryBuilder);
+
+    if (ValueOperators.indexOf(query.expression.op) !== -1) {
+      return this.liveQueryEvaluator.evaluate(query.expression, context)
+                 .startWith(this.query(query, context));
+    }
+
     const results = this._initialLiveQueryResults(query, context);
     const liveResults = this.liveQueryEvaluator.evaluate(query.expression, context)
                             .matching({ op: ['addRecord', 'removeRecord', 'replaceRecord'] });
@@ -106,6 +170,54 @@ export default class Cache {
     return liveResults.startWith(...results);
   }
 
+  /**
+   Allows a client to observe the full results of a query as they change.
+
+   The current results are emitted upon subscription, and again at the end of
+   each `patch` that affects them. Results take the same form as the results
+   of `query` (honoring any filters, sorts, etc.), except that a query for a
+   single record that doesn't exist results in `null`.
+
+   Regardless of how many operations a patch includes, results are emitted
+   at most once per patch.
+
+   @example
+   ``` javascript
+   cache.liveResults(qb.records('planet').sort('name')).subscribe(planets => {});
+   ```
+
+   @method liveResults
+   @param {Expression} query
+   @return {Observable} stream of results for a query
+   */
+  liveResults(_query) {
+    const query = Query.from(_query, this.schema.queryBuilder);
+
+    return Observable.create(observer => {
+      const resultsObserver = {
+        changed: false,
+
+        emit: () => {
+          resultsObserver.changed = false;
+          observer.next(this._liveResults(query));
+        }
+      };
+
+      const subscription = this.liveQueryEvaluator.evaluate(query.expression).subscribe(
+        () => { resultsObserver.changed = true; },
+        error => observer.error(error)
+      );
+
+      const unobserve = this._observeLiveResults(resultsObserver);
+      resultsObserver.emit();
+
+      return () => {
+        subscription.unsubscribe();
+        unobserve();
+      };
+    });
+  }
+
   /**
    Resets the cache to a particular state
 
@@ -127,6 +239,59 @@ export default class Cache {
     this.keyMap.pushDocument(data);
 
     this._processors.forEach(processor => processor.reset(data));
+
+    if (this.queryResults) {
+      this.queryResults.reset();
+    }
+
+    this._liveResultsObservers
+      .slice()
+      .forEach(observer => observer.emit());
+  }
+
+  /**
+   Takes a snapshot of the cache's current state, which can later be passed
+   to `restore`.
+
+   Snapshots are opaque. Since the cache's document is immutable, taking a
+   snapshot is cheap: only the state of processors (such as reverse
+   relationship links and deletion tracking) needs to be copied.
+
+   @method snapshot
+   @returns {Object} snapshot
+   */
+  snapshot() {
+    return {
+      doc: this._doc,
+      processors: this._processors.map(processor => processor.snapshot())
+    };
+  }
+
+  /**
+   Restores the cache to the state captured by `snapshot`.
+
+   Unlike `reset`, processors are not re-run over the restored data. Instead,
+   the operations that transform the current document into the snapshot's
+   document are emitted as `patch` events (and a single `patches` event), so
+   that observers, memoized queries and live queries are brought up to date.
+
+   @method restore
+   @param {Object} snapshot - snapshot returned by `snapshot`
+   @returns {Array} Array of inverse operations.
+   */
+  restore(snapshot) {
+    const current = this._doc;
+    const operations = documentOperations(this.schema, current, snapshot.doc);
+    const inverse = documentOperations(this.schema, snapshot.doc, current);
+
+    this._doc = snapshot.doc;
+    this._processors.forEach((processor, i) => processor.restore(snapshot.processors[i]));
+
+    operations.forEach(operation => this.emit('patch', operation));
+
+    this._patched(operations, inverse);
+
+    return inverse;
   }
 
   /**
@@ -208,22 +373,84 @@ export default class Cache {
     return !this.has(path);
   }
 
+  /**
+   Returns whether a path has been evicted from the document.
+
+   By default, evictions aren't tracked and this simply returns false.
+   However, it may be overridden by an operations processor, such as the
+   `DeletionTrackingProcessor`, to distinguish evicted records from deleted
+   ones.
+
+   @method hasEvicted
+   @param {string} path
+   @returns {Boolean}
+   */
+  hasEvicted() {
+    return false;
+  }
+
+  /**
+   Returns the index maintained for an attribute, if any.
+
+   By default, no indexes are maintained and this simply returns `undefined`.
+   However, it may be overridden by an operations processor, such as the
+   `AttributeIndexProcessor`, to provide indexes for attributes declared with
+   `index: true` in the schema.
+
+   @method attributeIndex
+   @param {String} type
+   @param {String} attribute
+   @returns {OC.AttributeIndex}
+   */
+  attributeIndex() {
+    return undefined;
+  }
+
   /**
    Patches the document with an operation.
 
+   A `patch` event is emitted for each operation applied to the document,
+   including any related operations applied by processors. Once all of the
+   operations have been applied, a single `patches` event is emitted with
+   the applied `operations` and their `inverse`. Subscribers that only need to
+   react once per patch can instead subscribe to `cache.batches`.
+
+   Processors may reject the operations before any of them are applied, in
+   which case no events are emitted, or once they have all been applied (see
+   `SchemaValidationProcessor`). If the operations are rejected, or any
+   exception is thrown while they are applied, the document is left
+   untouched: any operations that have already been applied (and emitted)
+   are reverted, the reverting operations are emitted as `patch` events so
+   that observers remain consistent with the document, and the exception is
+   rethrown. No `patches` event is emitted for a rejected patch.
+
    @method patch
    @param {Object or Array} operationOrOperations The operation or operations to apply.
    @returns {Array} Array of inverse operations.
    */
   patch(operationOrOperations) {
+    const operations = isArray(operationOrOperations) ? operationOrOperations : [operationOrOperations];
     const inverse = [];
-
-    if (isArray(operationOrOperations)) {
-      this._applyOperations(operationOrOperations, inverse);
-    } else {
-      this._applyOperation(operationOrOperations, inverse);
+    const applied = [];
+
+    const doc = this._doc;
+
+    this._processors.forEach(processor => processor.begin(operations));
+    this._processors.forEach(processor => processor.validate(operations));
+
+    try {
+      this._applyOperations(operations, inverse, applied);
+      this._processors.forEach(processor => processor.validateApplied(applied));
+    } catch (e) {
+      // Revert any operations that have been applied
+      this._applyOperations(inverse, [], []);
+      this._doc = doc;
+      this._emitLiveResults();
+      throw e;
     }
 
+    this._patched(applied, inverse);
+
     return inverse;
   }
 
@@ -231,26 +458,75 @@ export default class Cache {
   // Private methods
   /////////////////////////////////////////////////////////////////////////////
 
+  _patched(operations, inverse) {
+    if (operations.length > 0) {
+      this.emit('patches', { operations, inverse });
+    }
+
+    this._emitLiveResults();
+  }
+
+  // Registers an observer that is asked to `emit` once each patch completes,
+  // if it has been marked as `changed`, and whenever the cache is reset.
+  _observeLiveResults(resultsObserver) {
+    this._liveResultsObservers.push(resultsObserver);
+
+    return () => {
+      this._liveResultsObservers.splice(this._liveResultsObservers.indexOf(resultsObserver), 1);
+    };
+  }
+
+  _emitLiveResults() {
+    this._liveResultsObservers
+      .filter(observer => observer.changed)
+      .forEach(observer => observer.emit());
+  }
+
+  _liveResults(query) {
+    try {
+      return this.query(query);
+    } catch (e) {
+      if (e instanceof RecordNotFoundException) {
+        return null;
+      }
+      throw e;
+    }
+  }
+
   _initialLiveQueryResults(_query, context) {
-    const result = this.query(_query, context);
+    const query = Query.from(_query, this.schema.queryBuilder);
+    const result = this.query(query, context);
 
+    if (query.expression.op === 'include') {
+      return this._initialResultOperations(result.primary)
+        .concat(result.included.map(record => ({ op: 'addRecord', record })));
+    }
+
+    return this._initialResultOperations(result);
+  }
+
+  _initialResultOperations(result) {
     if (!result) { return []; }
 
     if (result.type && result.id) {
       return [{ op: 'addRecord', record: result }];
     }
 
+    if (isArray(result.data) && result.meta) {
+      return result.data.map(record => ({ op: 'addRecord', record }));
+    }
+
     if (result) {
       const records = Object.keys(result).map(recordId => result[recordId]);
       return records.map(record => ({ op: 'addRecord', record }));
     }
   }
 
-  _applyOperations(ops, inverse) {
-    ops.forEach(op => this._applyOperation(op, inverse));
+  _applyOperations(ops, inverse, applied) {
+    ops.forEach(op => this._applyOperation(op, inverse, applied));
   }
 
-  _applyOperation(operation, inverse) {
+  _applyOperation(operation, inverse, applied) {
     const inverseTransform = InverseTransforms[ operation.op ];
     const inverseOp = inverseTransform(this, operation);
 
@@ -260,23 +536,25 @@ export default class Cache {
       // Query and perform related `before` operations
       this._processors
           .map(processor => processor.before(operation))
-          .forEach(ops => this._applyOperations(ops, inverse));
+          .forEach(ops => this._applyOperations(ops, inverse, applied));
 
       // Query related `after` operations before performing
       // the requested operation
       let relatedOps = this._processors.map(processor => processor.after(operation));
 
       // Perform the requested operation
-      this._transformDoc(operation);
+      if (this._transformDoc(operation)) {
+        applied.push(operation);
+      }
 
       // Perform related `after` operations after performing
       // the requested operation
-      relatedOps.forEach(ops => this._applyOperations(ops, inverse));
+      relatedOps.forEach(ops => this._applyOperations(ops, inverse, applied));
 
       // Query and perform related `finally` operations
       this._processors
           .map(processor => processor.finally(operation))
-          .forEach(ops => this._applyOperations(ops, inverse));
+          .forEach(ops => this._applyOperations(ops, inverse, applied));
     }
   }
 
@@ -288,14 +566,14 @@ export default class Cache {
 
     if (patchOp.op === 'remove') {
       if (this.hasDeleted(patchOp.path)) {
-        return;
+        return false;
       } else {
         this._doc = this._doc.deleteIn(patchOp.path);
       }
     } else if (patchOp.op === 'add' || patchOp.op === 'replace') {
       let currentVal = this.get(patchOp.path);
       if (eq(currentVal, patchOp.value)) {
-        return;
+        return false;
       } else {
         let value = patchOp.value;
 
@@ -311,7 +589,11 @@ export default class Cache {
 
     // console.debug('Cache#patch', op);
 
+    this._processors.forEach(processor => processor.applied(op));
+
     this.emit('patch', op);
+
+    return true;
   }
 }
 
@@ -0,0 +1,275 @@
+import { isArray, isNone, isObject, merge } from 'orbit/lib/objects';
+import { toIdentifier } from 'orbit-common/lib/identifiers';
+
+/**
+ Maintains the value of an aggregate (`count`, `sum`, `min` or `max`) over a
+ set of records, which can be added, updated and removed one at a time.
+
+ The `records` aggregate simply collects the values that have been added,
+ keyed by record id.
+
+ Values that are `null` or `undefined` are counted, but are otherwise
+ ignored.
+
+ @class Aggregate
+ @namespace OC
+ @param {String} op - aggregate operator
+ @constructor
+ */
+export class Aggregate {
+  constructor(op) {
+    this.op = op;
+    this.values = {};
+    this.size = 0;
+    this.sum = 0;
+    this.extreme = undefined;
+    this.stale = false;
+  }
+
+  add(key, value) {
+    this.remove(key);
+
+    this.values[key] = value;
+    this.size++;
+
+    if (isNone(value)) { return; }
+
+    if (this.op === 'sum') {
+      this.sum += value;
+    } else if (!this.stale && this._isExtreme(value)) {
+      this.extreme = value;
+    }
+  }
+
+  remove(key) {
+    if (!this.values.hasOwnProperty(key)) { return; }
+
+    const value = this.values[key];
+
+    delete this.values[key];
+    this.size--;
+
+    if (isNone(value)) { return; }
+
+    if (this.op === 'sum') {
+      this.sum -= value;
+    } else if (value === this.extreme) {
+      // The next most extreme value is found lazily
+      this.stale = true;
+    }
+  }
+
+  has(key) {
+    return this.values.hasOwnProperty(key);
+  }
+
+  result() {
+    switch (this.op) {
+      case 'count':
+        return this.size;
+
+      case 'sum':
+        return this.sum;
+
+      case 'min':
+      case 'max':
+        if (this.stale) {
+          this._recomputeExtreme();
+        }
+        return this.extreme === undefined ? null : this.extreme;
+
+      case 'records': {
+        const records = {};
+        Object.keys(this.values).forEach(key => {
+          const record = this.values[key];
+          records[record.id] = record;
+        });
+        return records;
+      }
+    }
+  }
+
+  _isExtreme(value) {
+    if (this.extreme === undefined) {
+      return this.op === 'min' || this.op === 'max';
+    } else if (this.op === 'min') {
+      return value < this.extreme;
+    } else if (this.op === 'max') {
+      return value > this.extreme;
+    }
+  }
+
+  _recomputeExtreme() {
+    this.stale = false;
+    this.extreme = undefined;
+
+    Object.keys(this.values).forEach(key => {
+      const value = this.values[key];
+
+      if (!isNone(value) && this._isExtreme(value)) {
+        this.extreme = value;
+      }
+    });
+  }
+}
+
+/**
+ Maintains an aggregate for each group of a set of records.
+
+ @class GroupedAggregate
+ @namespace OC
+ @param {String} op - aggregate operator
+ @constructor
+ */
+export class GroupedAggregate {
+  constructor(op) {
+    this.op = op;
+    this.groups = {};
+    this.groupKeys = {};
+  }
+
+  add(key, groupKey, value) {
+    this.remove(key);
+
+    let group = this.groups[groupKey];
+
+    if (!group) {
+      group = this.groups[groupKey] = new Aggregate(this.op);
+    }
+
+    group.add(key, value);
+    this.groupKeys[key] = groupKey;
+  }
+
+  remove(key) {
+    if (!this.groupKeys.hasOwnProperty(key)) { return; }
+
+    const groupKey = this.groupKeys[key];
+    const group = this.groups[groupKey];
+
+    delete this.groupKeys[key];
+    group.remove(key);
+
+    if (group.size === 0) {
+      delete this.groups[groupKey];
+    }
+  }
+
+  has(key) {
+    return this.groupKeys.hasOwnProperty(key);
+  }
+
+  result() {
+    const result = {};
+
+    Object.keys(this.groups).forEach(groupKey => {
+      result[groupKey] = this.groups[groupKey].result();
+    });
+
+    return result;
+  }
+}
+
+/**
+ Returns the key of the group to which a value belongs. Related records are
+ grouped by their identifier (e.g. `planet:jupiter`), and `null` or
+ `undefined` values are grouped under `null`.
+
+ @method groupKey
+ @for OC
+ @param {*} value - value by which a record is grouped
+ @returns {String} group key
+ */
+export function groupKey(value) {
+  if (isNone(value)) {
+    return 'null';
+  } else if (isObject(value) && value.type && value.id) {
+    return toIdentifier(value);
+  } else {
+    return String(value);
+  }
+}
+
+/**
+ Returns the records in the result of a query, which may be a single record,
+ a map of records by id, an array of records or a page of records.
+
+ @method resultRecords
+ @for OC
+ @param {Object} result - query result
+ @returns {Array} records
+ */
+export function resultRecords(result) {
+  if (isNone(result)) {
+    return [];
+  } else if (result.type && result.id) {
+    return [result];
+  } else if (isArray(result.data) && result.meta) {
+    return result.data;
+  } else if (isArray(result)) {
+    return result;
+  } else {
+    return Object.keys(result).map(id => result[id]);
+  }
+}
+
+/**
+ Maintains an aggregate of the records in a cache, evaluating the value
+ (`field`) that each record contributes and, optionally, the value by which
+ records are grouped (`groupField`).
+
+ Records can be added, refreshed and removed one at a time, which allows live
+ queries to update aggregates without re-evaluating every record.
+
+ @class RecordAggregate
+ @namespace OC
+ @param {OC.Cache} cache - cache containing the records
+ @param {Object} context - query context
+ @param {String} op - aggregate operator
+ @param {Object} [field] - expression for the aggregated value
+ @param {Object} [groupField] - expression for the grouped value
+ @constructor
+ */
+export class RecordAggregate {
+  constructor(cache, context, op, field, groupField) {
+    this.cache = cache;
+    this.context = context;
+    this.op = op;
+    this.field = field;
+    this.groupField = groupField;
+    this.aggregate = groupField ? new GroupedAggregate(op) : new Aggregate(op);
+  }
+
+  addRecord(record) {
+    const evaluator = this.cache.queryEvaluator;
+    const context = merge(this.context, { basePath: [record.type, record.id] });
+    const key = toIdentifier(record);
+    let value;
+
+    if (this.op === 'records') {
+      value = record;
+    } else if (this.field) {
+      value = evaluator.evaluate(this.field, context);
+    } else {
+      value = true;
+    }
+
+    if (this.groupField) {
+      this.aggregate.add(key, groupKey(evaluator.evaluate(this.groupField, context)), value);
+    } else {
+      this.aggregate.add(key, value);
+    }
+  }
+
+  removeRecord(record) {
+    this.aggregate.remove(toIdentifier(record));
+  }
+
+  hasRecord(record) {
+    return this.aggregate.has(toIdentifier(record));
+  }
+
+  result() {
+    return this.aggregate.result();
+  }
+}
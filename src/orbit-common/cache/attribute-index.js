@@ -0,0 +1,219 @@
+import { isNone } from 'orbit/lib/objects';
+
+function compare(a, b) {
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function isIndexable(value) {
+  const type = typeof value;
+  return type === 'string' || type === 'number' || type === 'boolean' || value instanceof Date;
+}
+
+/**
+ An ordered index of the values of a single attribute across all the records
+ of a particular type.
+
+ Values that can be ordered (strings, numbers, booleans and dates) are kept in
+ a sorted array, which allows equality and range lookups to be answered with a
+ binary search. Records with `null` or `undefined` values, as well as records
+ whose values can't be ordered (e.g. objects), are tracked separately.
+
+ Lookups return a superset of matching ids: callers are expected to evaluate
+ their predicates against the candidates that are returned.
+
+ @class AttributeIndex
+ @namespace OC
+ @constructor
+ */
+export default class AttributeIndex {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this._values = {};
+    this._entries = [];
+    this._nulls = {};
+    this._unordered = {};
+  }
+
+  /**
+   Replaces the contents of the index with a set of values.
+
+   @param {Object} values - attribute values keyed by record id
+   @returns {undefined}
+   */
+  load(values) {
+    this.reset();
+
+    Object.keys(values).forEach(id => {
+      const value = values[id];
+
+      this._values[id] = value;
+
+      if (isNone(value)) {
+        this._nulls[id] = true;
+      } else if (isIndexable(value)) {
+        this._entries.push({ value, id });
+      } else {
+        this._unordered[id] = true;
+      }
+    });
+
+    this._entries.sort((a, b) => compare(a.value, b.value));
+  }
+
+  /**
+   Adds (or updates) the value of the indexed attribute for a record.
+
+   @param {String} id - record id
+   @param {*} value - attribute value
+   @returns {undefined}
+   */
+  add(id, value) {
+    this.remove(id);
+
+    this._values[id] = value;
+
+    if (isNone(value)) {
+      this._nulls[id] = true;
+    } else if (isIndexable(value)) {
+      this._entries.splice(this._upperBound(value), 0, { value, id });
+    } else {
+      this._unordered[id] = true;
+    }
+  }
+
+  /**
+   Removes a record from the index.
+
+   @param {String} id - record id
+   @returns {undefined}
+   */
+  remove(id) {
+    if (!this._values.hasOwnProperty(id)) { return; }
+
+    const value = this._values[id];
+    delete this._values[id];
+
+    if (isNone(value)) {
+      delete this._nulls[id];
+    } else if (isIndexable(value)) {
+      const entries = this._entries;
+      for (let i = this._lowerBound(value), l = entries.length; i < l; i++) {
+        if (entries[i].id === id) {
+          entries.splice(i, 1);
+          break;
+        }
+      }
+    } else {
+      delete this._unordered[id];
+    }
+  }
+
+  /**
+   Returns the ids of records that may satisfy a comparison of the indexed
+   attribute with `value`.
+
+   @param {String} op - one of `equal`, `gt`, `gte`, `lt`, `lte` or `in`
+   @param {*} value - value to compare (an array of values for `in`)
+   @return {Array} ids of candidate records
+   */
+  lookup(op, value) {
+    const entries = this._entries;
+    let ids;
+
+    switch (op) {
+      case 'equal':
+        ids = this._ids(this._lowerBound(value), this._upperBound(value));
+        break;
+      case 'gt':
+        ids = this._ids(this._upperBound(value), entries.length);
+        break;
+      case 'gte':
+        ids = this._ids(this._lowerBound(value), entries.length);
+        break;
+      case 'lt':
+        ids = this._ids(0, this._lowerBound(value));
+        break;
+      case 'lte':
+        ids = this._ids(0, this._upperBound(value));
+        break;
+      case 'in':
+        ids = [];
+        value.forEach(v => Array.prototype.push.apply(ids, this._ids(this._lowerBound(v), this._upperBound(v))));
+        break;
+      default:
+        throw new Error(`AttributeIndex does not support lookups with: ${op}`);
+    }
+
+    return ids.concat(Object.keys(this._unordered));
+  }
+
+  /**
+   Returns the ids of all indexed records, ordered by the value of the indexed
+   attribute.
+
+   Returns `undefined` if the index contains any values that can't be
+   ordered.
+
+   @param {Object} [options] - sort options
+   @param {String} [options.order='ascending'] `ascending` or `descending`
+   @param {String} [options.nulls] `first` or `last` (by default, `last` when ascending and `first` when descending)
+   @return {Array} ordered ids
+   */
+  sorted({ order = 'ascending', nulls } = {}) {
+    if (Object.keys(this._unordered).length > 0) { return; }
+
+    const descending = order === 'descending';
+    const ids = this._ids(0, this._entries.length);
+    const nullIds = Object.keys(this._nulls);
+
+    if (descending) { ids.reverse(); }
+
+    const nullsFirst = nulls ? nulls === 'first' : descending;
+    return nullsFirst ? nullIds.concat(ids) : ids.concat(nullIds);
+  }
+
+  _ids(start, end) {
+    const ids = [];
+    for (let i = start; i < end; i++) {
+      ids.push(this._entries[i].id);
+    }
+    return ids;
+  }
+
+  _lowerBound(value) {
+    const entries = this._entries;
+    let low = 0;
+    let high = entries.length;
+
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (compare(entries[mid].value, value) < 0) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+  _upperBound(value) {
+    const entries = this._entries;
+    let low = 0;
+    let high = entries.length;
+
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (compare(entries[mid].value, value) <= 0) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+}
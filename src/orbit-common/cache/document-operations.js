@@ -0,0 +1,117 @@
+/* globals Immutable */
+import { parseIdentifier } from '../lib/identifiers';
+import {
+  addRecord,
+  removeRecord,
+  replaceKey,
+  replaceAttribute,
+  addToHasMany,
+  removeFromHasMany,
+  replaceHasOne
+} from '../transform/operators';
+
+/**
+ Returns the operations that would transform one cache document into
+ another.
+
+ Records that are unchanged between the documents are skipped without being
+ compared field by field, since documents that share a common history share
+ their unchanged records. Records that have changed are compared field by
+ field, so that only the keys, attributes and relationships that differ are
+ replaced.
+
+ @method documentOperations
+ @for OC
+ @param {OC.Schema} schema - schema for the documents
+ @param {Immutable.Map} source - current document
+ @param {Immutable.Map} target - document to transform into
+ @returns {Array} operations that transform `source` into `target`
+ */
+export function documentOperations(schema, source, target) {
+  const operations = [];
+
+  unionKeys(source, target).forEach(type => {
+    const sourceRecords = source.get(type);
+    const targetRecords = target.get(type);
+
+    if (Immutable.is(sourceRecords, targetRecords)) { return; }
+
+    unionKeys(sourceRecords, targetRecords).forEach(id => {
+      const sourceRecord = sourceRecords && sourceRecords.get(id);
+      const targetRecord = targetRecords && targetRecords.get(id);
+
+      if (Immutable.is(sourceRecord, targetRecord)) {
+        return;
+      } else if (targetRecord === undefined) {
+        operations.push(removeRecord({ type, id }));
+      } else if (sourceRecord === undefined) {
+        operations.push(addRecord(targetRecord.toJS()));
+      } else {
+        recordOperations(schema, { type, id }, sourceRecord, targetRecord, operations);
+      }
+    });
+  });
+
+  return operations;
+}
+
+function recordOperations(schema, record, source, target, operations) {
+  fieldChanges(source, target, 'keys', (key, value) => {
+    operations.push(replaceKey(record, key, value));
+  });
+
+  fieldChanges(source, target, 'attributes', (attribute, value) => {
+    operations.push(replaceAttribute(record, attribute, value));
+  });
+
+  fieldChanges(source, target, 'relationships', (relationship, targetValue, sourceValue) => {
+    const sourceData = sourceValue && sourceValue.data;
+    const targetData = targetValue && targetValue.data;
+
+    if (schema.relationshipDefinition(record.type, relationship).type === 'hasMany') {
+      Object.keys(targetData || {})
+        .filter(identifier => !sourceData || !sourceData[identifier])
+        .forEach(identifier => operations.push(addToHasMany(record, relationship, parseIdentifier(identifier))));
+
+      Object.keys(sourceData || {})
+        .filter(identifier => !targetData || !targetData[identifier])
+        .forEach(identifier => operations.push(removeFromHasMany(record, relationship, parseIdentifier(identifier))));
+    } else if (sourceData !== targetData) {
+      operations.push(replaceHasOne(record, relationship, targetData ? parseIdentifier(targetData) : null));
+    }
+  });
+}
+
+function fieldChanges(source, target, section, callback) {
+  const sourceFields = source.get(section);
+  const targetFields = target.get(section);
+
+  if (Immutable.is(sourceFields, targetFields)) { return; }
+
+  unionKeys(sourceFields, targetFields).forEach(field => {
+    const sourceValue = sourceFields && sourceFields.get(field);
+    const targetValue = targetFields && targetFields.get(field);
+
+    if (!Immutable.is(sourceValue, targetValue)) {
+      callback(field, toJS(targetValue), toJS(sourceValue));
+    }
+  });
+}
+
+function unionKeys(a, b) {
+  const keys = a ? a.keySeq().toArray() : [];
+
+  if (b) {
+    b.keySeq().forEach(key => {
+      if (!a || !a.has(key)) {
+        keys.push(key);
+      }
+    });
+  }
+
+  return keys;
+}
+
+function toJS(value) {
+  return value && value.toJS ? value.toJS() : value;
+}
@@ -1,7 +1,14 @@
 import { queryExpression as oqe } from 'orbit/query/expression';
 import Query from 'orbit/query';
+import { isArray } from 'orbit/lib/objects';
+import { eq } from 'orbit/lib/eq';
+import { toIdentifier } from 'orbit-common/lib/identifiers';
+import { RecordAggregate, resultRecords } from './aggregates';
+import { projectRecord } from './projections';
+import { recordTypes } from './query-operators';
 import { Observable } from 'rxjs/Observable';
 import 'rxjs/add/operator/concat';
+import 'rxjs/add/operator/merge';
 
 function addRecordOperation(record) {
   return { op: 'addRecord', record };
@@ -11,9 +18,116 @@ function removeRecordOperation(record) {
   return { op: 'removeRecord', record };
 }
 
+function replaceRecordOperation(record) {
+  return { op: 'replaceRecord', record };
+}
+
+function recordsByIdentifier(records) {
+  const map = {};
+  records.forEach(record => { map[toIdentifier(record)] = record; });
+  return map;
+}
+
+function recordsById(records) {
+  if (!isArray(records)) { return records; }
+
+  const map = {};
+  records.forEach(record => { map[record.id] = record; });
+  return map;
+}
+
+// Emits the value of an aggregate whenever it changes. Rather than
+// re-evaluating the aggregate, only the records touched by each operation are
+// added, refreshed or removed. The value is emitted once each patch completes,
+// so that the intermediate values of a patch are never observed.
+function liveAggregate(evaluator, context, op, select, field) {
+  const cache = evaluator.target;
+  let groupField;
+
+  if (select.op === 'groupBy') {
+    [select, groupField] = select.args;
+  }
+
+  const operations = evaluator.evaluate(select, context);
+
+  return Observable.create(function(observer) {
+    const aggregate = new RecordAggregate(cache, context, op, field, groupField);
+
+    resultRecords(cache.query(new Query(select), context))
+      .forEach(record => aggregate.addRecord(record));
+
+    let result = aggregate.result();
+
+    const resultsObserver = {
+      changed: false,
+
+      emit() {
+        const current = aggregate.result();
+        resultsObserver.changed = false;
+
+        if (!eq(current, result)) {
+          result = current;
+          observer.next(result);
+        }
+      }
+    };
+
+    const subscription = operations.subscribe(
+      operation => {
+        const { type, id } = operation.record;
+        const record = cache.get([type, id]);
+
+        if (operation.op === 'removeRecord' || !record) {
+          aggregate.removeRecord(operation.record);
+        } else if (operation.op === 'addRecord' || operation.op === 'replaceRecord' || aggregate.hasRecord(record)) {
+          aggregate.addRecord(record);
+        }
+
+        resultsObserver.changed = true;
+      },
+      error => observer.error(error),
+      () => observer.complete()
+    );
+
+    const unobserve = cache._observeLiveResults(resultsObserver);
+
+    return () => {
+      subscription.unsubscribe();
+      unobserve();
+    };
+  });
+}
+
+// Emits the value of an expression whenever it changes, re-evaluating it
+// after each operation that affects the records it selects.
+function liveValue(evaluator, context, expression, select) {
+  const cache = evaluator.target;
+  const query = new Query(expression);
+  const operations = evaluator.evaluate(select, context);
+
+  return Observable.create(function(observer) {
+    let result = cache.query(query, context);
+
+    return operations.subscribe(
+      () => {
+        const current = cache.query(query, context);
+
+        if (!eq(current, result)) {
+          result = current;
+          observer.next(result);
+        }
+      },
+      error => observer.error(error),
+      () => observer.complete()
+    );
+  });
+}
+
 export default {
-  records(context, type) {
-    return this.target.patches.matching({ record: { type } });
+  records(context, type, options) {
+    const types = recordTypes(this.target.schema, type, options);
+
+    return this.target.patches.matching({ record: { type: types.length === 1 ? type : types } });
   },
 
   relatedRecord(context, recordIdentity, relationship) {
@@ -21,7 +135,9 @@ export default {
     const changes = hasOne.relationshipChanges();
     const patches = hasOne.relatedRecord({ initial: true }).patches();
 
-    return changes.concat(patches);
+    // Changes to the relationship never complete, so patches to the related
+    // record are merged with them
+    return changes.merge(patches);
   },
 
   relatedRecords(context, recordIdentity, relationship) {
@@ -29,19 +145,102 @@ export default {
     const changes = hasMany.relationshipChanges();
     const patches = hasMany.relatedRecords({ initial: true }).patches();
 
-    return changes.concat(patches);
+    // Changes to the relationship never complete, so patches to the related
+    // records are merged with them
+    return changes.merge(patches);
   },
 
   record(context, recordIdentity) {
     return this.target.patches.matching({ record: recordIdentity });
   },
 
+  sort(context, operationsExpression) {
+    // Operations carry no ordering, so sorting only affects the initial results
+    return this.evaluate(operationsExpression, context);
+  },
+
+  page(context, operationsExpression, options) {
+    const cache = this.target;
+    const operations = this.evaluate(operationsExpression, context);
+    const pageQuery = new Query(oqe('page', operationsExpression, options));
+
+    return Observable.create(function(observer) {
+      let members = recordsById(cache.query(pageQuery, context).data);
+
+      return operations.subscribe(
+        operation => {
+          const current = recordsById(cache.query(pageQuery, context).data);
+
+          Object.keys(members)
+            .filter(id => !current[id])
+            .forEach(id => observer.next(removeRecordOperation(members[id])));
+
+          Object.keys(current)
+            .filter(id => !members[id])
+            .forEach(id => observer.next(addRecordOperation(current[id])));
+
+          const recordId = operation.record && operation.record.id;
+          if (members[recordId] && current[recordId]) {
+            observer.next(operation);
+          }
+
+          members = current;
+        },
+        error => observer.error(error),
+        () => observer.complete()
+      );
+    });
+  },
+
+  include(context, operationsExpression, ...relationshipPaths) {
+    const cache = this.target;
+    const operations = this.evaluate(operationsExpression, context);
+    const includeQuery = new Query(oqe('include', operationsExpression, ...relationshipPaths));
+
+    return Observable.create(function(observer) {
+      let included = recordsByIdentifier(cache.query(includeQuery, context).included);
+
+      const primarySubscription = operations.subscribe(
+        operation => observer.next(operation),
+        error => observer.error(error),
+        () => observer.complete()
+      );
+
+      // Any patch may change which records are included (e.g. by changing a
+      // relationship of a primary record), so the included records are
+      // re-evaluated after each one.
+      const includedSubscription = cache.patches.subscribe(operation => {
+        const current = recordsByIdentifier(cache.query(includeQuery, context).included);
+
+        Object.keys(included)
+          .filter(identifier => !current[identifier])
+          .forEach(identifier => observer.next(removeRecordOperation(included[identifier])));
+
+        Object.keys(current)
+          .filter(identifier => !included[identifier])
+          .forEach(identifier => observer.next(addRecordOperation(current[identifier])));
+
+        const identifier = operation.record && toIdentifier(operation.record);
+        if (included[identifier] && current[identifier]) {
+          observer.next(replaceRecordOperation(current[identifier]));
+        }
+
+        included = current;
+      });
+
+      return () => {
+        primarySubscription.unsubscribe();
+        includedSubscription.unsubscribe();
+      };
+    });
+  },
+
   filter(context, operationsExpression, filterExpression) {
     const cache = this.target;
     const operations = this.evaluate(operationsExpression);
 
     return Observable.create(function(observer) {
-      const members = cache.query(new Query(oqe('filter', operationsExpression, filterExpression)), context);
+      const members = recordsById(cache.query(new Query(oqe('filter', operationsExpression, filterExpression)), context));
 
       function addRecord(record) {
         members[record.id] = record;
@@ -60,7 +259,9 @@ export default {
           const record = cache.get([type, recordId]);
           const existingMember = !!members[recordId];
 
-          if (!record) {
+          // Records can be removed from the selection (e.g. from a
+          // relationship) while remaining in the cache
+          if (!record || operation.op === 'removeRecord') {
             if (existingMember) {
               removeRecord({ type, id: recordId });
             }
@@ -89,5 +290,68 @@ export default {
         }
       );
     });
+  },
+
+  select(context, operationsExpression, ...fields) {
+    const cache = this.target;
+    const operations = this.evaluate(operationsExpression, context);
+    const selectQuery = new Query(oqe('select', operationsExpression, ...fields));
+
+    return Observable.create(function(observer) {
+      const members = recordsByIdentifier(resultRecords(cache.query(selectQuery, context)));
+
+      return operations.subscribe(
+        operation => {
+          const { type, id } = operation.record;
+          const identifier = toIdentifier(operation.record);
+          const member = members[identifier];
+          const record = projectRecord(cache, type, id, fields);
+
+          if (operation.op === 'removeRecord' || !record) {
+            if (member) {
+              delete members[identifier];
+              observer.next(removeRecordOperation(member));
+            }
+          } else if (!member && (operation.op === 'addRecord' || operation.op === 'replaceRecord')) {
+            members[identifier] = record;
+            observer.next(addRecordOperation(record));
+          } else if (member && !eq(member, record)) {
+            // Changes to fields that aren't selected are ignored
+            members[identifier] = record;
+            observer.next(replaceRecordOperation(record));
+          }
+        },
+        error => observer.error(error),
+        () => observer.complete()
+      );
+    });
+  },
+
+  exists(context, select) {
+    return liveValue(this, context, oqe('exists', select), select);
+  },
+
+  first(context, select) {
+    return liveValue(this, context, oqe('first', select), select);
+  },
+
+  count(context, select) {
+    return liveAggregate(this, context, 'count', select);
+  },
+
+  sum(context, select, field) {
+    return liveAggregate(this, context, 'sum', select, field);
+  },
+
+  min(context, select, field) {
+    return liveAggregate(this, context, 'min', select, field);
+  },
+
+  max(context, select, field) {
+    return liveAggregate(this, context, 'max', select, field);
+  },
+
+  groupBy(context, select, field) {
+    return liveAggregate(this, context, 'records', oqe('groupBy', select, field));
   }
 };
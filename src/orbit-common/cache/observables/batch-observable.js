@@ -0,0 +1,51 @@
+import { Observable } from 'rxjs/Observable';
+import 'rxjs/add/operator/filter';
+import 'rxjs/add/operator/mergeMap';
+import 'rxjs/add/observable/from';
+import CacheObservable from './cache-observable';
+import { buildPatternMatcher } from 'orbit/lib/pattern-matcher';
+import { identity } from 'orbit-common/lib/identifiers';
+
+/**
+ An observable of the batches of operations applied by each call to
+ `Cache#patch`. Each batch is an object containing the applied `operations`
+ and their `inverse`.
+
+ @class BatchObservable
+ @namespace OC
+ @param {Function} subscribe - subscription function
+ @param {OC.Cache} cache - cache that applied the operations
+ @constructor
+ */
+export default class BatchObservable extends Observable {
+  constructor(subscribe, cache) {
+    super(subscribe);
+    this.cache = cache;
+  }
+
+  lift(operator) {
+    const observable = new BatchObservable();
+    observable.source = this;
+    observable.operator = operator;
+    observable.cache = this.cache;
+    return observable;
+  }
+
+  containing(pattern) {
+    const isMatch = buildPatternMatcher(pattern);
+    return this.filter(batch => batch.operations.some(operation => isMatch(operation)));
+  }
+
+  forRecord(record) {
+    return this.containing({ record: identity(record) });
+  }
+
+  operations() {
+    const operations = this.mergeMap(batch => Observable.from(batch.operations));
+    return CacheObservable.fromObservable(operations, this.cache);
+  }
+
+  static fromObservable(observable, cache) {
+    return new BatchObservable(observable.subscribe.bind(observable), cache);
+  }
+}
@@ -3,6 +3,8 @@ import 'rxjs/add/operator/filter';
 import 'rxjs/add/operator/map';
 import 'rxjs/add/operator/mergeMap';
 import 'rxjs/add/operator/concatAll';
+import 'rxjs/add/operator/switch';
+import 'rxjs/add/observable/empty';
 import 'orbit-common/rxjs/add/operator/matching';
 import CacheObservable from './cache-observable';
 
@@ -22,8 +24,11 @@ export default class RecordObservable extends Observable {
   }
 
   patches() {
+    // There are no patches to a record that doesn't exist (e.g. an empty
+    // hasOne relationship)
     const recordPatches = this.map(record => {
-      return this.cache.patches.matching({ record: { id: record.id } });
+      if (!record) { return Observable.empty(); }
+      return this.cache.patches.matching({ record: { type: record.type, id: record.id } });
     }).switch();
 
     return CacheObservable.fromObservable(recordPatches, this.cache);
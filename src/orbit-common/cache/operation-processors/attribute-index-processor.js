@@ -0,0 +1,138 @@
+import { expose } from 'orbit/lib/objects';
+import OperationProcessor from './operation-processor';
+import AttributeIndex from '../attribute-index';
+
+/**
+ An operation processor that maintains indexes of attribute values for any
+ attributes declared with `index: true` in the schema:
+
+ ``` javascript
+ planet: {
+   attributes: {
+     name: { type: 'string', index: true }
+   }
+ }
+ ```
+
+ Indexes allow equality and range filters, as well as sorts, on indexed
+ attributes to be evaluated without scanning every record of a type.
+
+ When this processor is initialized, it introduces an `attributeIndex` method
+ on the cache.
+
+ @class AttributeIndexProcessor
+ @namespace OC
+ @extends OperationProcessor
+ @param {OC.Cache} [cache] Cache that is monitored.
+ @constructor
+ */
+export default class AttributeIndexProcessor extends OperationProcessor {
+  constructor(cache) {
+    super(cache);
+    this._indexes = {};
+    expose(cache, this, 'attributeIndex');
+  }
+
+  /**
+   Returns the index for an attribute, or `undefined` if the attribute is not
+   indexed.
+
+   @param {String} type - record type
+   @param {String} attribute - attribute name
+   @return {OC.AttributeIndex} index
+   */
+  attributeIndex(type, attribute) {
+    return this._indexesForType(type)[attribute];
+  }
+
+  reset() {
+    // Indexes are lazily rebuilt from the cache's reset document
+    this._indexes = {};
+  }
+
+  restore() {
+    // As with `reset`, indexes are lazily rebuilt from the restored document
+    this._indexes = {};
+  }
+
+  applied(operation) {
+    const indexes = this._indexesForOperation(operation);
+
+    if (indexes) {
+      const { type, id } = operation.record;
+      const record = this.cache.get([type, id]);
+
+      if (record) {
+        this._indexRecord(indexes, id, record);
+      } else {
+        Object.keys(indexes).forEach(attribute => indexes[attribute].remove(id));
+      }
+    }
+  }
+
+  // Returns the indexes affected by an operation, if any.
+  _indexesForOperation(operation) {
+    if (affectsAttributes(operation)) {
+      const indexes = this._indexesForType(operation.record.type);
+
+      if (Object.keys(indexes).length > 0) {
+        return indexes;
+      }
+    }
+  }
+
+  _indexesForType(type) {
+    let indexes = this._indexes[type];
+
+    if (indexes === undefined) {
+      indexes = this._indexes[type] = {};
+
+      const attributes = this.cache.schema.modelDefinition(type).attributes;
+
+      Object.keys(attributes).forEach(attribute => {
+        if (attributes[attribute].index) {
+          indexes[attribute] = new AttributeIndex();
+        }
+      });
+
+      // Index any records that were cached before the indexes were created
+      // (e.g. by a forked cache that shares its base cache's document).
+      if (Object.keys(indexes).length > 0) {
+        const records = this.cache.get([type]) || {};
+
+        Object.keys(indexes).forEach(attribute => {
+          const values = {};
+          Object.keys(records).forEach(id => {
+            values[id] = attributeValue(records[id], attribute);
+          });
+          indexes[attribute].load(values);
+        });
+      }
+    }
+
+    return indexes;
+  }
+
+  _indexRecord(indexes, id, record) {
+    Object.keys(indexes).forEach(attribute => {
+      indexes[attribute].add(id, attributeValue(record, attribute));
+    });
+  }
+}
+
+function attributeValue(record, attribute) {
+  return record.attributes && record.attributes[attribute];
+}
+
+function affectsAttributes(operation) {
+  switch (operation.op) {
+    case 'addRecord':
+    case 'replaceRecord':
+    case 'removeRecord':
+    case 'replaceAttribute':
+      return true;
+
+    default:
+      return false;
+  }
+}
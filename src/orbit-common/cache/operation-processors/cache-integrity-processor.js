@@ -1,4 +1,4 @@
-import { isObject } from 'orbit/lib/objects';
+import { clone, isObject } from 'orbit/lib/objects';
 import OperationProcessor from './operation-processor';
 import { toIdentifier, parseIdentifier } from './../../lib/identifiers';
 
@@ -35,6 +35,14 @@ export default class CacheIntegrityProcessor extends OperationProcessor {
     }
   }
 
+  snapshot() {
+    return clone(this._rev);
+  }
+
+  restore(rev) {
+    this._rev = clone(rev);
+  }
+
   after(operation) {
     switch (operation.op) {
       case 'replaceHasOne':
@@ -47,7 +55,7 @@ export default class CacheIntegrityProcessor extends OperationProcessor {
         return this._relatedRecordRemoved(operation.record, operation.relationship, operation.relatedRecord);
 
       case 'removeRecord':
-        return this._recordRemoved(operation.record);
+        return operation.evicted ? this._recordEvicted(operation.record) : this._recordRemoved(operation.record);
 
       case 'replaceRecord':
         return this._recordRelationshipsRemoved(operation.record);
@@ -180,6 +188,14 @@ export default class CacheIntegrityProcessor extends OperationProcessor {
     return ops;
   }
 
+  _recordEvicted(record) {
+    // References to an evicted record remain valid, so its reverse links are
+    // kept, while links from its own relationships are removed
+    this._removeAllRevLinks(record);
+
+    return [];
+  }
+
   _recordRelationshipsAdded(record) {
     this._addAllRevLinks(record);
 
@@ -0,0 +1,157 @@
+import { eq } from 'orbit/lib/eq';
+import { extend as assign } from 'orbit/lib/objects';
+import OperationProcessor from './operation-processor';
+
+/**
+ An operation processor that materializes the values of computed attributes,
+ which are declared in the schema with a `computed` function and the fields
+ of the record that they depend upon:
+
+ ``` javascript
+ planet: {
+   attributes: {
+     name: { type: 'string' },
+     moonCount: {
+       type: 'number',
+       dependencies: ['moons'],
+       computed: (planet) => {
+         const moons = planet.relationships && planet.relationships.moons;
+         return Object.keys((moons && moons.data) || {}).length;
+       }
+     }
+   }
+ }
+ ```
+
+ Computed attributes are recalculated whenever a record is added or replaced,
+ or one of their dependencies changes, and are stored like any other
+ attribute, so that they can be filtered, sorted and indexed. Values that are
+ written directly to a computed attribute (e.g. with `replaceAttribute`) are
+ replaced by its computed value.
+
+ Computed values are not recalculated when a cache is reset, so documents
+ passed to `Cache#reset` should already include them.
+
+ @class ComputedAttributeProcessor
+ @namespace OC
+ @extends OperationProcessor
+ @param {OC.Cache} [cache] Cache that is monitored.
+ @constructor
+ */
+export default class ComputedAttributeProcessor extends OperationProcessor {
+  constructor(cache) {
+    super(cache);
+    this._computed = {};
+  }
+
+  finally(operation) {
+    const field = changedField(operation);
+
+    if (field === undefined) {
+      return [];
+    }
+
+    const { type, id } = operation.record;
+    const computed = this._computedForType(type);
+    const record = computed && this.cache.get([type, id]);
+
+    if (!record) {
+      return [];
+    }
+
+    // Attributes are computed in dependency order against a working copy of
+    // the record, so that computed attributes may depend upon each other
+    const attributes = assign({}, record.attributes);
+    const current = assign({}, record, { attributes });
+    const changed = field === null ? null : { [field]: true };
+    const ops = [];
+
+    computed.forEach(({ attribute, compute, dependencies }) => {
+      // An attribute is also recomputed if it has been written directly
+      if (changed === null || changed[attribute] || dependencies.some(dependency => changed[dependency])) {
+        const value = compute(current);
+
+        if (!eq(value, attributes[attribute])) {
+          attributes[attribute] = value;
+
+          if (changed) {
+            changed[attribute] = true;
+          }
+
+          ops.push({
+            op: 'replaceAttribute',
+            record: { type, id },
+            attribute,
+            value
+          });
+        }
+      }
+    });
+
+    return ops;
+  }
+
+  // Computed attributes are collected once per model definition. Registering
+  // a model replaces its definition, so they are collected again afterwards
+  // without the need to listen to the schema (which would retain the cache).
+  _computedForType(type) {
+    const definition = this.cache.schema.modelDefinition(type);
+    const entry = this._computed[type];
+    let computed;
+
+    if (entry && entry.definition === definition) {
+      computed = entry.computed;
+    } else {
+      const attributes = definition.attributes;
+      const visited = {};
+      const visit = (attribute) => {
+        if (visited[attribute]) { return; }
+        visited[attribute] = true;
+
+        const dependencies = attributes[attribute].dependencies || [];
+
+        dependencies
+          .filter(dependency => attributes[dependency] && attributes[dependency].computed)
+          .forEach(visit);
+
+        computed.push({ attribute, compute: attributes[attribute].computed, dependencies });
+      };
+
+      computed = [];
+
+      Object.keys(attributes)
+        .filter(attribute => attributes[attribute].computed)
+        .forEach(visit);
+
+      if (computed.length === 0) {
+        computed = null;
+      }
+
+      this._computed[type] = { definition, computed };
+    }
+
+    return computed;
+  }
+}
+
+// Returns the field changed by an operation, `null` if the entire record may
+// have changed, or `undefined` if no field has changed.
+function changedField(operation) {
+  switch (operation.op) {
+    case 'addRecord':
+    case 'replaceRecord':
+      return null;
+
+    case 'replaceAttribute':
+      return operation.attribute;
+
+    case 'addToHasMany':
+    case 'removeFromHasMany':
+    case 'replaceHasMany':
+    case 'replaceHasOne':
+      return operation.relationship;
+
+    default:
+      return undefined;
+  }
+}
@@ -1,4 +1,4 @@
-import { isArray, expose } from 'orbit/lib/objects';
+import { clone, isArray, expose } from 'orbit/lib/objects';
 import OperationProcessor from './operation-processor';
 
 /**
@@ -7,8 +7,11 @@ import OperationProcessor from './operation-processor';
 
  This is useful in a "sparse" cache which does not represent an entire data set.
 
- When this processor is initialized, it introduces a `hasDeleted` method on the
- cache.
+ Records that are evicted from the cache (see `EvictionProcessor`) are not
+ tracked as deletions, but as evictions, so that they can be repopulated.
+
+ When this processor is initialized, it introduces `hasDeleted` and
+ `hasEvicted` methods on the cache.
 
  @class DeletionTrackingProcessor
  @namespace OC
@@ -20,7 +23,8 @@ export default class DeletionTrackingProcessor extends OperationProcessor {
   constructor(cache) {
     super(cache);
     this._del = {};
-    expose(cache, this, 'hasDeleted');
+    this._evicted = {};
+    expose(cache, this, 'hasDeleted', 'hasEvicted');
   }
 
   hasDeleted(path) {
@@ -28,15 +32,43 @@ export default class DeletionTrackingProcessor extends OperationProcessor {
     return !!this._del[path];
   }
 
+  hasEvicted(path) {
+    if (isArray(path)) { path = path.join('/'); }
+    return !!this._evicted[path];
+  }
+
   reset() {
     this._del = {};
+    this._evicted = {};
+  }
+
+  snapshot() {
+    return {
+      del: clone(this._del),
+      evicted: clone(this._evicted)
+    };
+  }
+
+  restore(state) {
+    this._del = clone(state.del);
+    this._evicted = clone(state.evicted);
   }
 
   finally(operation) {
     if (operation.op === 'removeRecord') {
       const { type, id } = operation.record;
       const serializedPath = [type, id].join('/');
-      this._del[serializedPath] = true;
+
+      if (operation.evicted) {
+        this._evicted[serializedPath] = true;
+      } else {
+        this._del[serializedPath] = true;
+      }
+    } else if (operation.op === 'addRecord' || operation.op === 'replaceRecord') {
+      // Records may be re-added, e.g. when a patch is reverted
+      const serializedPath = [operation.record.type, operation.record.id].join('/');
+      delete this._del[serializedPath];
+      delete this._evicted[serializedPath];
     }
 
     return [];
@@ -0,0 +1,201 @@
+/* globals Map */
+import OperationProcessor from './operation-processor';
+import { resultRecords } from '../aggregates';
+import { toIdentifier, parseIdentifier } from './../../lib/identifiers';
+
+/**
+ An operation processor that bounds the number of records in a cache by
+ evicting the records that were least recently used.
+
+ Limits are configured with the cache's `eviction` option:
+
+ ``` javascript
+ new Cache({
+   schema,
+   keyMap,
+   eviction: {
+     maxRecords: 10000,
+     maxRecordsPerType: { planet: 100 }
+   }
+ });
+ ```
+
+ `maxRecordsPerType` may also be a number, which limits every type.
+
+ Records are used when they are added to the cache and whenever they are
+ included in the results of a query (including memoized results).
+
+ Records are evicted with `removeRecord` operations that are flagged as
+ `evicted`. Unlike deletions, evictions don't remove references to the
+ evicted record from other records, and aren't tracked as deletions, so an
+ evicted record can be repopulated later (e.g. by a fetch).
+
+ @class EvictionProcessor
+ @namespace OC
+ @extends OperationProcessor
+ @param {OC.Cache} [cache] Cache that is monitored.
+ @constructor
+ */
+export default class EvictionProcessor extends OperationProcessor {
+  constructor(cache) {
+    super(cache);
+
+    const options = cache.evictionOptions || {};
+    this.maxRecords = options.maxRecords;
+    this.maxRecordsPerType = options.maxRecordsPerType;
+
+    this.reset();
+
+    cache.on('query', result => this._resultUsed(result));
+  }
+
+  reset(data) {
+    // Identifiers of records in order of use (least recently used first),
+    // both across all types and by type. Maps are used because they iterate
+    // in insertion order, whereas objects iterate integer-like keys first.
+    this._used = new Map();
+    this._usedByType = {};
+    this._size = 0;
+    this._sizes = {};
+
+    if (data) {
+      Object.keys(data).forEach(type => {
+        Object.keys(data[type]).forEach(id => this._recordUsed(type, id));
+      });
+    }
+  }
+
+  snapshot() {
+    return {
+      used: mapKeys(this._used)
+    };
+  }
+
+  restore(state) {
+    this.reset();
+
+    state.used.forEach(identifier => {
+      const { type, id } = parseIdentifier(identifier);
+      this._recordUsed(type, id);
+    });
+  }
+
+  finally(operation) {
+    const { type, id } = operation.record || {};
+
+    switch (operation.op) {
+      case 'addRecord':
+      case 'replaceRecord':
+        this._recordUsed(type, id);
+        return this._evictionOperations(type, id);
+
+      case 'removeRecord':
+        this._recordRemoved(type, id);
+        return [];
+
+      default:
+        return [];
+    }
+  }
+
+  _resultUsed(result) {
+    let records;
+
+    if (result && result.primary) {
+      records = resultRecords(result.primary).concat(result.included);
+    } else if (result && typeof result === 'object') {
+      records = resultRecords(result);
+    } else {
+      return;
+    }
+
+    records.forEach(record => {
+      if (record && record.type && record.id && this._isTracked(record.type, record.id)) {
+        this._recordUsed(record.type, record.id);
+      }
+    });
+  }
+
+  _isTracked(type, id) {
+    return !!(this._usedByType[type] && this._usedByType[type].has(id));
+  }
+
+  _recordUsed(type, id) {
+    const identifier = toIdentifier(type, id);
+    let usedByType = this._usedByType[type];
+
+    if (!usedByType) {
+      usedByType = this._usedByType[type] = new Map();
+      this._sizes[type] = 0;
+    }
+
+    if (usedByType.has(id)) {
+      // Re-inserting a key moves it to the end of the map's order
+      usedByType.delete(id);
+      this._used.delete(identifier);
+    } else {
+      this._sizes[type]++;
+      this._size++;
+    }
+
+    usedByType.set(id, true);
+    this._used.set(identifier, true);
+  }
+
+  _recordRemoved(type, id) {
+    if (this._isTracked(type, id)) {
+      this._usedByType[type].delete(id);
+      this._used.delete(toIdentifier(type, id));
+      this._sizes[type]--;
+      this._size--;
+    }
+  }
+
+  _evictionOperations(type, id) {
+    const ops = [];
+    const evict = (record) => {
+      this._recordRemoved(record.type, record.id);
+      ops.push({ op: 'removeRecord', record, evicted: true });
+    };
+
+    const maxForType = this._maxRecordsForType(type);
+
+    if (maxForType !== undefined) {
+      const ids = mapKeys(this._usedByType[type]);
+
+      for (let i = 0; i < ids.length && this._sizes[type] > maxForType; i++) {
+        if (ids[i] !== id) {
+          evict({ type, id: ids[i] });
+        }
+      }
+    }
+
+    if (this.maxRecords !== undefined) {
+      const identifiers = mapKeys(this._used);
+
+      for (let i = 0; i < identifiers.length && this._size > this.maxRecords; i++) {
+        if (identifiers[i] !== toIdentifier(type, id)) {
+          evict(parseIdentifier(identifiers[i]));
+        }
+      }
+    }
+
+    return ops;
+  }
+
+  _maxRecordsForType(type) {
+    const max = this.maxRecordsPerType;
+
+    if (typeof max === 'number') {
+      return max;
+    } else if (max) {
+      return max[type];
+    }
+  }
+}
+
+function mapKeys(map) {
+  const keys = [];
+  map.forEach((value, key) => keys.push(key));
+  return keys;
+}
@@ -27,6 +27,60 @@ export default class OperationProcessor {
    */
   reset(/* data */) {}
 
+  /**
+   Called when a snapshot of a cache is taken.
+
+   Return any state that should be restored along with the snapshot. The
+   returned state must not be modified by subsequent operations.
+
+   @return {Object} processor state
+   */
+  snapshot() {}
+
+  /**
+   Called when a cache is restored from a snapshot, with the state returned
+   by `snapshot` when the snapshot was taken.
+
+   The return value is ignored.
+
+   @param  {Object} [state] processor state
+   */
+  restore(/* state */) {}
+
+  /**
+   Called when `Cache#patch` is called, before its `operations` have been
+   validated or applied.
+
+   Processors can reset any state that they track during a single patch. The
+   return value is ignored.
+
+   @param  {Array} [operations]
+   */
+  begin(/* operations */) {}
+
+  /**
+   Called with all of the `operations` passed to `Cache#patch`, before any of
+   them have been applied.
+
+   Throw an exception to reject the operations, in which case none of them
+   will be applied.
+
+   @param  {Array} [operations]
+   */
+  validate(/* operations */) {}
+
+  /**
+   Called with all of the operations that have been applied by a call to
+   `Cache#patch`, including related operations, once they have all been
+   applied.
+
+   Throw an exception to reject the operations, in which case they will all
+   be reverted.
+
+   @param  {Array} [operations]
+   */
+  validateApplied(/* operations */) {}
+
   /**
    Called before an `operation` has been applied.
 
@@ -53,6 +107,19 @@ export default class OperationProcessor {
     return [];
   }
 
+  /**
+   Called as soon as an `operation` has changed a cache's document, before it
+   is emitted as a `patch` event and before any related operations have been
+   applied.
+
+   Processors that maintain state derived from the document (such as
+   indexes) should update it here, so that it's consistent for observers of
+   `patch` events. The return value is ignored.
+
+   @param  {Object} [operation]
+   */
+  applied(/* operation */) {}
+
   /**
    Called **AFTER** an `operation` and any related operations have been
    applied.
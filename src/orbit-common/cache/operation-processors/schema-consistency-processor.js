@@ -1,6 +1,7 @@
 import { isObject } from 'orbit/lib/objects';
 import OperationProcessor from './operation-processor';
 import { identity, toIdentifier, parseIdentifier, eqIdentity } from './../../lib/identifiers';
+import { RemovalRestrictedException } from './../../lib/exceptions';
 
 /**
  An operation processor that ensures that a cache's data is consistent with
@@ -8,6 +9,17 @@ import { identity, toIdentifier, parseIdentifier, eqIdentity } from './../../lib
 
  This includes maintenance of inverse and dependent relationships.
 
+ When a record is removed, the records related to it are treated according to
+ the `onDelete` policy of each relationship (see `Schema`). Removals that are
+ restricted throw a `RemovalRestrictedException`, which rejects the patch.
+ Cascading removals are performed before the record itself is removed, so
+ that references between the records are removed while they both exist.
+
+ Records that are removed from a relationship declared with
+ `dependent: 'remove'` (e.g. by replacing it) are also removed from the cache.
+ When a record itself is removed, its relationship's `onDelete` policy takes
+ precedence over `dependent`.
+
  @class SchemaConsistencyProcessor
  @namespace OC
  @extends OperationProcessor
@@ -15,7 +27,39 @@ import { identity, toIdentifier, parseIdentifier, eqIdentity } from './../../lib
  @constructor
  */
 export default class SchemaConsistencyProcessor extends OperationProcessor {
+  constructor(cache) {
+    super(cache);
+    this._removing = {};
+  }
+
+  begin() {
+    // Records are only tracked while they're being removed within a patch
+    this._removing = {};
+  }
+
+  before(operation) {
+    if (operation.op === 'removeRecord' && !operation.evicted) {
+      return this._recordRemoving(operation.record);
+    }
+
+    return [];
+  }
+
   after(operation) {
+    // Relationships of records that are being removed needn't be maintained
+    return this._relatedOperations(operation)
+      .filter(op => op.op === 'removeRecord' || !this._removing[toIdentifier(op.record)]);
+  }
+
+  finally(operation) {
+    if (operation.op === 'removeRecord') {
+      delete this._removing[toIdentifier(operation.record)];
+    }
+
+    return [];
+  }
+
+  _relatedOperations(operation) {
     switch (operation.op) {
       case 'addRecord':
         return this._recordAdded(operation.record);
@@ -33,7 +77,8 @@ export default class SchemaConsistencyProcessor extends OperationProcessor {
         return this._relatedRecordRemoved(operation.record, operation.relationship, operation.relatedRecord);
 
       case 'removeRecord':
-        return this._recordRemoved(operation.record);
+        // Evicted records may still be related to other records
+        return operation.evicted ? [] : this._recordRemoved(operation.record);
 
       case 'replaceRecord':
         return this._recordReplaced(operation.record);
@@ -196,13 +241,51 @@ export default class SchemaConsistencyProcessor extends OperationProcessor {
                                  relationships[relationship].data;
         const relatedRecords = recordArrayFromData(relationshipData);
 
-        Array.prototype.push.apply(ops, this._removeRelatedRecordsOps(recordIdentity, relationshipDef, relatedRecords));
+        // Cascading removals have already been performed (see `before`)
+        if (deletePolicy(relationshipDef) !== 'cascade' && relatedRecords.length > 0 && relationshipDef.inverse) {
+          relatedRecords.forEach(relatedRecord => ops.push(this._removeRelationshipOp(relatedRecord, relationshipDef.inverse, recordIdentity)));
+        }
       });
     }
 
     return ops;
   }
 
+  _recordRemoving(record) {
+    const relationships = this.cache.get([record.type, record.id, 'relationships']);
+    const blockingRecords = [];
+    const dependentRecords = [];
+
+    this._removing[toIdentifier(record)] = true;
+
+    if (relationships) {
+      const modelDef = this.cache.schema.modelDefinition(record.type);
+
+      Object.keys(relationships).forEach(relationship => {
+        const policy = deletePolicy(modelDef.relationships[relationship]);
+        const relationshipData = relationships[relationship] &&
+                                 relationships[relationship].data;
+
+        recordArrayFromData(relationshipData)
+          .filter(relatedRecord => this.cache.get([relatedRecord.type, relatedRecord.id]))
+          .filter(relatedRecord => !this._removing[toIdentifier(relatedRecord)])
+          .forEach(relatedRecord => {
+            if (policy === 'restrict') {
+              blockingRecords.push(relatedRecord);
+            } else if (policy === 'cascade') {
+              dependentRecords.push(relatedRecord);
+            }
+          });
+      });
+    }
+
+    if (blockingRecords.length > 0) {
+      throw new RemovalRestrictedException(identity(record), blockingRecords);
+    }
+
+    return this._removeDependentRecords(dependentRecords);
+  }
+
   _recordReplaced(record) {
     const ops = [];
     const modelDef = this.cache.schema.modelDefinition(record.type);
@@ -292,6 +375,16 @@ export default class SchemaConsistencyProcessor extends OperationProcessor {
   }
 }
 
+function deletePolicy(relationshipDef) {
+  if (relationshipDef.onDelete) {
+    return relationshipDef.onDelete;
+  } else if (relationshipDef.dependent === 'remove') {
+    return 'cascade';
+  } else {
+    return 'nullify';
+  }
+}
+
 function recordArrayFromData(data) {
   let ids;
 
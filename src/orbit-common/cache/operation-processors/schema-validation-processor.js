@@ -0,0 +1,315 @@
+import { extend as assign } from 'orbit/lib/objects';
+import OperationProcessor from './operation-processor';
+import { ValidationError, ModelNotRegisteredException } from '../../lib/exceptions';
+import { identity, toIdentifier, parseIdentifier } from '../../lib/identifiers';
+import { recordErrors, attributeErrors, relationshipErrors } from '../../lib/validation';
+import UniqueIndex from '../unique-index';
+
+/**
+ An operation processor that ensures that operations are consistent with the
+ models declared by a cache's schema.
+
+ Operations are rejected if they:
+
+ * set attributes to values that don't match their declared `type`
+   (`string`, `number`, `boolean` or `date`),
+ * set attributes or relationships that aren't declared,
+ * relate records of models other than a relationship's `model` (or its
+   subtypes), or
+ * violate an attribute's `required`, `unique` or `validate` constraints
+   (see `Schema`).
+
+ `null` and `undefined` values are accepted for any attribute that isn't
+ `required`, and aren't subject to other constraints.
+
+ All of the operations passed to `Cache#patch` are validated before any of
+ them are applied, and all of their violations are reported together as a
+ `ValidationError`. Uniqueness is checked against an index of the values of
+ each `unique` attribute, taking into account the values set by the other
+ operations being validated.
+
+ Related operations applied by other processors (e.g. to maintain inverse
+ relationships) may also change the values of unique attributes or of the
+ fields that scope them, so uniqueness is checked again once all of the
+ operations have been applied. Violations found then are also reported as a
+ `ValidationError`, and the operations are reverted.
+
+ @class SchemaValidationProcessor
+ @namespace OC
+ @extends OperationProcessor
+ @param {OC.Cache} [cache] Cache that is monitored.
+ @constructor
+ */
+export default class SchemaValidationProcessor extends OperationProcessor {
+  constructor(cache) {
+    super(cache);
+    this.reset();
+  }
+
+  reset() {
+    // Indexes are lazily rebuilt from the cache's document
+    this._uniqueIndexes = {};
+    this._changed = {};
+  }
+
+  restore() {
+    this.reset();
+  }
+
+  validate(operations) {
+    const errors = [];
+
+    this._changed = {};
+
+    operations.forEach(operation => errors.push(...this._operationErrors(operation)));
+    errors.push(...this._pendingUniqueErrors(operations));
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+
+  after(operation) {
+    if (operation.record) {
+      const { type, id } = operation.record;
+      const indexes = this._uniqueIndexesForType(type);
+
+      if (indexes) {
+        const record = this.cache.get([type, id]);
+
+        if (record) {
+          Object.keys(indexes).forEach(attribute => indexes[attribute].remove(record));
+        }
+      }
+    }
+
+    return [];
+  }
+
+  finally(operation) {
+    if (operation.record) {
+      const { type, id } = operation.record;
+      const indexes = this._uniqueIndexesForType(type);
+
+      if (indexes) {
+        const record = this.cache.get([type, id]);
+
+        if (record) {
+          Object.keys(indexes).forEach(attribute => indexes[attribute].add(record));
+        }
+
+        this._changed[toIdentifier(type, id)] = true;
+      }
+    }
+
+    return [];
+  }
+
+  validateApplied() {
+    const errors = [];
+
+    Object.keys(this._changed).forEach(identifier => {
+      const { type, id } = parseIdentifier(identifier);
+      const record = this.cache.get([type, id]);
+      const indexes = this._uniqueIndexesForType(type);
+
+      if (record) {
+        Object.keys(indexes).forEach(attribute => {
+          if (indexes[attribute].isDuplicate(record)) {
+            errors.push(uniqueError(record, attribute));
+          }
+        });
+      }
+    });
+
+    this._changed = {};
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+
+  // Returns violations of uniqueness by the records that would result from
+  // `operations`, compared with each other and with the other records in the
+  // cache.
+  _pendingUniqueErrors(operations) {
+    const pending = {};
+    const errors = [];
+
+    operations
+      .filter(operation => operation.record && this._modelDefinition(operation.record.type) && this._uniqueIndexesForType(operation.record.type))
+      .forEach(operation => {
+        const { type, id } = operation.record;
+        const records = pending[type] = pending[type] || {};
+        const current = records.hasOwnProperty(id) ? records[id] : this.cache.get([type, id]);
+
+        records[id] = pendingRecord(operation, current);
+      });
+
+    Object.keys(pending).forEach(type => {
+      const records = pending[type];
+      const indexes = this._uniqueIndexesForType(type);
+
+      Object.keys(indexes).forEach(attribute => {
+        const index = indexes[attribute];
+        const idsByKey = {};
+
+        Object.keys(records)
+          .filter(id => records[id])
+          .forEach(id => {
+            const key = index.key(records[id]);
+
+            if (key !== undefined) {
+              idsByKey[key] = idsByKey[key] || [];
+              idsByKey[key].push(id);
+            }
+          });
+
+        Object.keys(idsByKey).forEach(key => {
+          // Indexed values of pending records are about to be replaced
+          const existingIds = Object.keys(index.ids[key] || {}).filter(id => !records.hasOwnProperty(id));
+
+          if (existingIds.length + idsByKey[key].length > 1) {
+            idsByKey[key].forEach(id => errors.push(uniqueError(records[id], attribute)));
+          }
+        });
+      });
+    });
+
+    return errors;
+  }
+
+  _operationErrors(operation) {
+    const { record } = operation;
+    const modelDef = this._modelDefinition(record.type);
+
+    if (!modelDef) {
+      if (operation.op === 'removeRecord') {
+        return [];
+      }
+
+      return [{
+        record: identity(record),
+        code: 'unknownModel',
+        message: `${record.type} is not a registered model`
+      }];
+    }
+
+    switch (operation.op) {
+      case 'addRecord':
+      case 'replaceRecord':
+        return recordErrors(modelDef, this._resultingRecord(record), this.cache.schema);
+
+      case 'replaceAttribute':
+        return attributeErrors(modelDef, this._resultingRecord(record, { [operation.attribute]: operation.value }), operation.attribute);
+
+      case 'addToHasMany':
+      case 'removeFromHasMany':
+      case 'replaceHasOne':
+        return relationshipErrors(modelDef, record, operation.relationship, [operation.relatedRecord], this.cache.schema);
+
+      case 'replaceHasMany':
+        return relationshipErrors(modelDef, record, operation.relationship, operation.relatedRecords, this.cache.schema);
+
+      default:
+        return [];
+    }
+  }
+
+  _modelDefinition(type) {
+    try {
+      return this.cache.schema.modelDefinition(type);
+    } catch (e) {
+      if (e instanceof ModelNotRegisteredException) {
+        return;
+      }
+      throw e;
+    }
+  }
+
+  // Records are merged with any existing record when they are added or
+  // replaced, so constraints apply to the merged record.
+  _resultingRecord(record, attributes = record.attributes) {
+    const current = this.cache.get([record.type, record.id]) || {};
+
+    return assign({}, current, record, {
+      attributes: assign({}, current.attributes, attributes),
+      relationships: assign({}, current.relationships, record.relationships)
+    });
+  }
+
+  _uniqueIndexesForType(type) {
+    let indexes = this._uniqueIndexes[type];
+
+    if (indexes === undefined) {
+      const modelDef = this._modelDefinition(type);
+      const attributes = modelDef ? modelDef.attributes : {};
+
+      indexes = {};
+
+      Object.keys(attributes)
+        .filter(attribute => attributes[attribute].unique)
+        .forEach(attribute => {
+          indexes[attribute] = new UniqueIndex(attribute, attributes[attribute].unique);
+        });
+
+      if (Object.keys(indexes).length === 0) {
+        indexes = null;
+      } else {
+        const records = this.cache.get([type]) || {};
+
+        Object.keys(records).forEach(id => {
+          Object.keys(indexes).forEach(attribute => indexes[attribute].add(records[id]));
+        });
+      }
+
+      this._uniqueIndexes[type] = indexes;
+    }
+
+    return indexes;
+  }
+}
+
+function uniqueError(record, attribute) {
+  return {
+    record: identity(record),
+    attribute,
+    code: 'unique',
+    message: `'${attribute}' of ${record.type}:${record.id} must be unique`
+  };
+}
+
+// Returns the record that would result from applying an operation to the
+// `current` record (if any), or `null` if the record would be removed.
+function pendingRecord(operation, current) {
+  const { type, id } = operation.record;
+  const base = current || { type, id };
+
+  switch (operation.op) {
+    case 'addRecord':
+    case 'replaceRecord':
+      return assign({}, base, operation.record, {
+        attributes: assign({}, base.attributes, operation.record.attributes),
+        relationships: assign({}, base.relationships, operation.record.relationships)
+      });
+
+    case 'replaceAttribute':
+      return assign({}, base, {
+        attributes: assign({}, base.attributes, { [operation.attribute]: operation.value })
+      });
+
+    case 'replaceHasOne': {
+      const data = operation.relatedRecord ? toIdentifier(operation.relatedRecord) : null;
+
+      return assign({}, base, {
+        relationships: assign({}, base.relationships, { [operation.relationship]: { data } })
+      });
+    }
+
+    case 'removeRecord':
+      return null;
+
+    default:
+      return current;
+  }
+}
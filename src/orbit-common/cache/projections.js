@@ -0,0 +1,62 @@
+/**
+ Returns a record that contains only the selected `fields` (attributes or
+ relationships) of a record in a cache, along with its `type` and `id`.
+
+ Only the selected fields are read from the cache, which avoids converting
+ entire records to plain JS.
+
+ @method projectRecord
+ @for OC
+ @param {OC.Cache} cache - cache containing the record
+ @param {String} type - record type
+ @param {String} id - record id
+ @param {Array} fields - names of the selected attributes and relationships
+ @returns {Object} projected record, or `undefined` if it doesn't exist
+ */
+export function projectRecord(cache, type, id, fields) {
+  if (cache.getRaw([type, id]) === undefined) { return; }
+
+  const modelDefinition = cache.schema.modelDefinition(type);
+  const record = { type, id };
+
+  fields.forEach(field => {
+    const category = modelDefinition.relationships[field] ? 'relationships' : 'attributes';
+    const path = [type, id, category, field];
+
+    if (category === 'relationships') {
+      path.push('data');
+    }
+
+    const value = cache.get(path);
+
+    if (value !== undefined) {
+      record[category] = record[category] || {};
+      record[category][field] = category === 'relationships' ? { data: value } : value;
+    }
+  });
+
+  return record;
+}
+
+/**
+ Returns projections of all the records of a type in a cache, keyed by id.
+
+ @method projectRecords
+ @for OC
+ @param {OC.Cache} cache - cache containing the records
+ @param {String} type - record type
+ @param {Array} fields - names of the selected attributes and relationships
+ @returns {Object} projected records
+ */
+export function projectRecords(cache, type, fields) {
+  const ids = cache.getRaw([type]);
+  const records = {};
+
+  if (ids) {
+    ids.keySeq().forEach(id => {
+      records[id] = projectRecord(cache, type, id, fields);
+    });
+  }
+
+  return records;
+}
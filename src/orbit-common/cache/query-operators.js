@@ -1,9 +1,349 @@
-import { merge } from 'orbit/lib/objects';
-import { RecordNotFoundException } from '../lib/exceptions';
+import { merge, isArray, isNone, isObject } from 'orbit/lib/objects';
+import { eq } from 'orbit/lib/eq';
+import { RecordNotFoundException, DuplicateRecordIdException } from '../lib/exceptions';
+import { parseIdentifier, toIdentifier, eqIdentity } from '../lib/identifiers';
+import { isQueryExpression } from 'orbit/query/expression';
 import { every, some } from 'orbit/lib/arrays';
+import { RecordAggregate, resultRecords } from './aggregates';
+import { projectRecord, projectRecords } from './projections';
 
 const EMPTY = () => {};
 
+function compareValues(a, b, predicate) {
+  // Comparisons involving null or undefined values never match
+  if (isNone(a) || isNone(b)) { return false; }
+
+  return predicate(a < b ? -1 : (a > b ? 1 : 0));
+}
+
+function toRecordArray(values) {
+  return isArray(values) ? values : Object.keys(values).map(id => values[id]);
+}
+
+function findRecordIndex(records, id) {
+  for (let i = 0, l = records.length; i < l; i++) {
+    if (records[i].id === id) { return i; }
+  }
+  return -1;
+}
+
+const IndexableOperators = {
+  equal: true,
+  gt: true,
+  gte: true,
+  lt: true,
+  lte: true,
+  in: true
+};
+
+function indexedAttribute(cache, type, field) {
+  if (isQueryExpression(field) && field.op === 'attribute') {
+    return cache.attributeIndex(type, field.args[0]);
+  }
+}
+
+// Returns the ids of records that may match `where`, as determined by an
+// attribute index, or `undefined` if no index can be used.
+function indexCandidates(cache, type, where) {
+  const predicates = where.op === 'and' ? where.args : [where];
+
+  for (let i = 0, l = predicates.length; i < l; i++) {
+    const predicate = predicates[i];
+
+    if (IndexableOperators[predicate.op] && predicate.args.length === 2) {
+      const [field, value] = predicate.args;
+
+      if (!isQueryExpression(value) && !isNone(value) && (predicate.op !== 'in' || isArray(value))) {
+        const index = indexedAttribute(cache, type, field);
+
+        if (index) {
+          return index.lookup(predicate.op, value);
+        }
+      }
+    }
+  }
+}
+
+/**
+ Returns the types of records selected by a `records` expression: the type
+ itself, along with its subtypes if the `includeSubtypes` option is set.
+
+ @method recordTypes
+ @for OC
+ @param {OC.Schema} schema - schema that declares subtypes
+ @param {String} type - type of records
+ @param {Object} [options] - options of the `records` expression
+ @returns {Array} types of records
+ */
+export function recordTypes(schema, type, options) {
+  if (options && options.includeSubtypes) {
+    return [type].concat(schema.subtypes(type));
+  } else {
+    return [type];
+  }
+}
+
+// Merges records of several types, which are keyed by id, into `records`.
+function mergeRecordsById(records, typeRecords) {
+  Object.keys(typeRecords).forEach(id => {
+    const record = typeRecords[id];
+
+    if (records[id] && records[id].type !== record.type) {
+      throw new DuplicateRecordIdException(id, [records[id].type, record.type]);
+    }
+
+    records[id] = record;
+  });
+}
+
+// Returns the type of records selected by an expression, if it is known.
+function selectedType(expression) {
+  if (isQueryExpression(expression)) {
+    if (expression.op === 'records') {
+      const options = expression.args[1];
+      return options && options.includeSubtypes ? undefined : expression.args[0];
+    } else if (expression.op === 'filter' || expression.op === 'sort') {
+      return selectedType(expression.args[0]);
+    }
+  }
+}
+
+// Returns a record from the cache, limited to the fields selected by an
+// enclosing `select` expression, if any.
+function fetchRecord(cache, context, type, id) {
+  if (context.fields) {
+    return projectRecord(cache, type, id, context.fields);
+  } else {
+    return cache.get([type, id]);
+  }
+}
+
+function recordIds(cache, type) {
+  const records = cache.getRaw([type]);
+  return records ? records.keySeq().toArray() : [];
+}
+
+function filterCandidates(evaluator, context, type, candidates, where, limit) {
+  const cache = evaluator.target;
+  const matches = {};
+  let count = 0;
+
+  for (let i = 0, l = candidates.length; i < l && count !== limit; i++) {
+    const id = candidates[i];
+
+    if (matches[id]) { continue; }
+
+    if (evaluator.evaluate(where, merge(context, { basePath: [type, id] }))) {
+      const record = fetchRecord(cache, context, type, id);
+
+      if (record) {
+        matches[id] = record;
+        count++;
+      }
+    }
+  }
+
+  return matches;
+}
+
+// Returns the records selected by `select` that match `where`. If a `limit`
+// is specified, evaluation stops as soon as that many matches are found.
+function filterRecords(evaluator, context, select, where, limit) {
+  if (select.op === 'records') {
+    const cache = evaluator.target;
+    const [type, options] = select.args;
+    cache.schema.ensureModelTypeInitialized(type);
+
+    const types = recordTypes(cache.schema, type, options);
+    const matches = {};
+    let remaining = limit;
+
+    context.basePath = types.length === 1 ? [type] : [];
+
+    types.forEach(recordType => {
+      if (remaining === 0) { return; }
+
+      // Records are only fetched from the cache once they match
+      const candidates = indexCandidates(cache, recordType, where) || recordIds(cache, recordType);
+      const typeMatches = filterCandidates(evaluator, context, recordType, candidates, where, remaining);
+
+      mergeRecordsById(matches, typeMatches);
+
+      if (remaining !== undefined) {
+        remaining -= Object.keys(typeMatches).length;
+      }
+    });
+
+    return matches;
+  }
+
+  let values = evaluator.evaluate(select, context);
+
+  if (isArray(values)) {
+    const matches = [];
+
+    for (let i = 0, l = values.length; i < l && matches.length !== limit; i++) {
+      const record = values[i];
+
+      if (evaluator.evaluate(where, merge(context, { basePath: [record.type, record.id] }))) {
+        matches.push(record);
+      }
+    }
+
+    return matches;
+  }
+
+  const basePath = context.basePath;
+  const ids = Object.keys(values);
+  const matches = {};
+  let count = 0;
+
+  for (let i = 0, l = ids.length; i < l && count !== limit; i++) {
+    const id = ids[i];
+    const record = values[id];
+    const recordPath = record && record.type ? [record.type, id] : basePath.concat(id);
+
+    if (evaluator.evaluate(where, merge(context, { basePath: recordPath }))) {
+      matches[id] = values[id];
+      count++;
+    }
+  }
+
+  return matches;
+}
+
+// Returns the first record selected by an expression, or `undefined` if none
+// are selected. Filters are only evaluated until a match is found.
+function firstRecord(evaluator, context, select) {
+  let records;
+
+  if (select.op === 'filter') {
+    const [filterSelect, where] = select.args;
+    records = filterRecords(evaluator, context, filterSelect, where, 1);
+  } else {
+    records = evaluator.evaluate(select, context);
+  }
+
+  return resultRecords(records)[0];
+}
+
+function sortIndexed(cache, select, records, sortSpecifiers) {
+  const type = selectedType(select);
+
+  if (type === undefined || sortSpecifiers.length !== 1) { return; }
+
+  const specifier = sortSpecifiers[0];
+  const index = indexedAttribute(cache, type, specifier.field);
+  const sortedIds = index && index.sorted(specifier);
+
+  if (!sortedIds) { return; }
+
+  const remaining = {};
+  records.forEach(record => { remaining[record.id] = record; });
+
+  const sorted = [];
+  sortedIds.forEach(id => {
+    if (remaining[id]) {
+      sorted.push(remaining[id]);
+      delete remaining[id];
+    }
+  });
+
+  // Records that aren't tracked by the index (e.g. those created through
+  // relationship operations) have no attribute value and are sorted as nulls.
+  const untracked = records.filter(record => remaining[record.id]);
+  const nullsFirst = specifier.nulls ? specifier.nulls === 'first' : specifier.order === 'descending';
+
+  return nullsFirst ? untracked.concat(sorted) : sorted.concat(untracked);
+}
+
+function relatedIdentifiers(record, relationship) {
+  const data = record.relationships && record.relationships[relationship] && record.relationships[relationship].data;
+
+  if (isNone(data)) {
+    return [];
+  } else if (typeof data === 'string') {
+    return [data];
+  } else {
+    return Object.keys(data);
+  }
+}
+
+// Follows each dot-separated relationship path from the primary records,
+// collecting every record reached along the way. Each record is included
+// only once, and primary records are never included.
+function includedRecords(cache, records, relationshipPaths) {
+  const visited = {};
+  const included = [];
+
+  records.forEach(record => { visited[toIdentifier(record)] = true; });
+
+  relationshipPaths.forEach(path => {
+    let current = records;
+
+    path.split('.').forEach(relationship => {
+      const next = [];
+
+      current.forEach(record => {
+        cache.schema.relationshipDefinition(record.type, relationship);
+
+        relatedIdentifiers(record, relationship).forEach(identifier => {
+          const { type, id } = parseIdentifier(identifier);
+          const relatedRecord = cache.get([type, id]);
+
+          if (relatedRecord) {
+            next.push(relatedRecord);
+
+            if (!visited[identifier]) {
+              visited[identifier] = true;
+              included.push(relatedRecord);
+            }
+          }
+        });
+      });
+
+      current = next;
+    });
+  });
+
+  return included;
+}
+
+function aggregate(evaluator, context, op, select, field) {
+  if (select.op === 'groupBy') {
+    const [recordsSelect, groupField] = select.args;
+    return aggregateRecords(evaluator, context, op, recordsSelect, field, groupField);
+  } else {
+    return aggregateRecords(evaluator, context, op, select, field);
+  }
+}
+
+function aggregateRecords(evaluator, context, op, select, field, groupField) {
+  const result = new RecordAggregate(evaluator.target, context, op, field, groupField);
+
+  resultRecords(evaluator.evaluate(select, context)).forEach(record => result.addRecord(record));
+
+  return result.result();
+}
+
+function compareSortValues(a, b, { order, nulls }) {
+  const descending = order === 'descending';
+  const aIsNone = isNone(a);
+  const bIsNone = isNone(b);
+
+  if (aIsNone || bIsNone) {
+    if (aIsNone && bIsNone) { return 0; }
+
+    // By default, nulls are treated as larger than any other value, which
+    // places them last in ascending order and first in descending order.
+    const nullsFirst = nulls ? nulls === 'first' : descending;
+    return (aIsNone ? -1 : 1) * (nullsFirst ? 1 : -1);
+  }
+
+  const result = a < b ? -1 : (a > b ? 1 : 0);
+  return descending ? -result : result;
+}
+
 export default {
   and(context, ...expressions) {
     return every(expressions, (exp) => this.evaluate(exp, context));
@@ -22,27 +362,178 @@ export default {
         return true;
       }
 
-      return value === this.evaluate(expression, context);
+      return eq(value, this.evaluate(expression, context));
     });
   },
 
+  notEqual(context, a, b) {
+    return !eq(this.evaluate(a, context), this.evaluate(b, context));
+  },
+
+  gt(context, a, b) {
+    return compareValues(this.evaluate(a, context), this.evaluate(b, context), result => result > 0);
+  },
+
+  gte(context, a, b) {
+    return compareValues(this.evaluate(a, context), this.evaluate(b, context), result => result >= 0);
+  },
+
+  lt(context, a, b) {
+    return compareValues(this.evaluate(a, context), this.evaluate(b, context), result => result < 0);
+  },
+
+  lte(context, a, b) {
+    return compareValues(this.evaluate(a, context), this.evaluate(b, context), result => result <= 0);
+  },
+
+  in(context, expression, values) {
+    return this.evaluate(values, context).indexOf(this.evaluate(expression, context)) !== -1;
+  },
+
+  contains(context, expression, search) {
+    const value = this.evaluate(expression, context);
+
+    if (typeof value === 'string' || isArray(value)) {
+      return value.indexOf(this.evaluate(search, context)) !== -1;
+    } else {
+      return false;
+    }
+  },
+
+  startsWith(context, expression, prefix) {
+    const value = this.evaluate(expression, context);
+    return typeof value === 'string' && value.indexOf(this.evaluate(prefix, context)) === 0;
+  },
+
+  match(context, expression, regex) {
+    const value = this.evaluate(expression, context);
+
+    // `search` ignores `lastIndex`, so global regexes can be safely reused
+    return typeof value === 'string' && value.search(regex) !== -1;
+  },
+
+  isNull(context, expression) {
+    return isNone(this.evaluate(expression, context));
+  },
+
+  includes(context, expression, record) {
+    const relatedRecords = this.evaluate(expression, context) || [];
+    const recordIdentity = this.evaluate(record, context);
+
+    return some(relatedRecords, relatedRecord => eqIdentity(relatedRecord, recordIdentity));
+  },
+
+  count(context, expression) {
+    if (isQueryExpression(expression) && expression.op === 'groupBy') {
+      return aggregate(this, context, 'count', expression);
+    }
+
+    const value = this.evaluate(expression, context);
+
+    if (isObject(value) && isArray(value.data) && value.meta) {
+      return value.data.length;
+    } else if (isArray(value)) {
+      return value.length;
+    } else if (isObject(value)) {
+      return Object.keys(value).length;
+    } else {
+      return 0;
+    }
+  },
+
+  sum(context, select, field) {
+    return aggregate(this, context, 'sum', select, field);
+  },
+
+  min(context, select, field) {
+    return aggregate(this, context, 'min', select, field);
+  },
+
+  max(context, select, field) {
+    return aggregate(this, context, 'max', select, field);
+  },
+
+  groupBy(context, select, field) {
+    return aggregateRecords(this, context, 'records', select, undefined, field);
+  },
+
   filter(context, select, where) {
-    let values = this.evaluate(select, context);
-    let basePath = context.basePath;
-    let eachContext;
-    let matches = {};
-
-    Object.keys(values).forEach(value => {
-      eachContext = merge(context, {
-        basePath: basePath.concat(value)
-      });
+    return filterRecords(this, context, select, where);
+  },
+
+  exists(context, select) {
+    return firstRecord(this, context, select) !== undefined;
+  },
+
+  first(context, select) {
+    const record = firstRecord(this, context, select);
+    return record === undefined ? null : record;
+  },
+
+  sort(context, select, ...sortSpecifiers) {
+    const records = toRecordArray(this.evaluate(select, context));
+    const indexed = sortIndexed(this.target, select, records, sortSpecifiers);
 
-      if (this.evaluate(where, eachContext)) {
-        matches[value] = values[value];
+    if (indexed) {
+      return indexed;
+    }
+
+    const entries = records.map((record, index) => {
+      const recordContext = merge(context, { basePath: [record.type, record.id] });
+      const sortValues = sortSpecifiers.map(specifier => this.evaluate(specifier.field, recordContext));
+
+      return { record, sortValues, index };
+    });
+
+    entries.sort((a, b) => {
+      for (let i = 0; i < sortSpecifiers.length; i++) {
+        const result = compareSortValues(a.sortValues[i], b.sortValues[i], sortSpecifiers[i]);
+        if (result !== 0) { return result; }
       }
+
+      // preserve the original order of records with equal sort values
+      return a.index - b.index;
     });
 
-    return matches;
+    return entries.map(entry => entry.record);
+  },
+
+  page(context, select, options) {
+    const records = toRecordArray(this.evaluate(select, context));
+    const total = records.length;
+
+    if (options.after !== undefined || options.size !== undefined) {
+      const { after, size } = options;
+      let start = 0;
+
+      if (after !== undefined) {
+        // A cursor that is no longer part of the results yields an empty page
+        const index = findRecordIndex(records, after);
+        start = index === -1 ? total : index + 1;
+      }
+
+      const end = size === undefined ? total : start + size;
+      const data = records.slice(start, end);
+      const next = end < total && data.length > 0 ? data[data.length - 1].id : null;
+
+      return { data, meta: { total, after, size, next } };
+    } else {
+      const { offset = 0, limit } = options;
+      const data = records.slice(offset, limit === undefined ? total : offset + limit);
+
+      return { data, meta: { total, offset, limit } };
+    }
+  },
+
+  include(context, select, ...relationshipPaths) {
+    const primary = this.evaluate(select, context);
+    const included = includedRecords(this.target, resultRecords(primary), relationshipPaths);
+
+    return { primary, included };
+  },
+
+  select(context, select, ...fields) {
+    return this.evaluate(select, merge(context, { fields }));
   },
 
   record(context, { type, id }) {
@@ -51,7 +542,7 @@ export default {
 
     schema.ensureModelTypeInitialized(type);
 
-    const record = cache.get([type, id]);
+    const record = fetchRecord(cache, context, type, id);
 
     if (!record) {
       throw new RecordNotFoundException(`Record not found ${type}:${id}`);
@@ -60,29 +551,64 @@ export default {
     return record;
   },
 
-  records(context, type) {
+  records(context, type, options) {
     const cache = this.target;
     const schema = cache.schema;
 
     schema.ensureModelTypeInitialized(type);
 
-    const records = cache.get([type]);
+    const types = recordTypes(schema, type, options);
+    const fetchRecords = recordType => context.fields ? projectRecords(cache, recordType, context.fields) : cache.get([recordType]);
+
+    if (types.length === 1) {
+      context.basePath = [type];
+
+      return fetchRecords(type) || [];
+    }
+
+    // Records of several types have no single base type, so records are
+    // evaluated with their own types (see `filterRecords`)
+    const records = {};
+
+    types.forEach(recordType => mergeRecordsById(records, fetchRecords(recordType) || {}));
 
-    context.basePath = [type];
+    context.basePath = [];
 
-    return records || [];
+    return records;
   },
 
   relatedRecords(context, record, relationship) {
     const cache = this.target;
+    const relatedType = cache.schema.relationshipDefinition(record.type, relationship).model;
     const data = cache.get([record.type, record.id, 'relationships', relationship, 'data']);
-    const results = {};
+    const relatedRecords = [];
 
+    // Related records may have been evicted from the cache, in which case
+    // they are skipped
     Object.keys(data || {}).forEach(identifier => {
       const [type, id] = identifier.split(':');
-      results[id] = cache.get([type, id]);
+      const relatedRecord = fetchRecord(cache, context, type, id);
+
+      if (relatedRecord) {
+        relatedRecords.push(relatedRecord);
+      }
     });
 
+    // Records of polymorphic relationships may share ids across types, so
+    // they are returned as an array and evaluated with their own types (see
+    // `filterRecords`)
+    if (isArray(relatedType)) {
+      context.basePath = [];
+
+      return relatedRecords;
+    }
+
+    const results = {};
+
+    relatedRecords.forEach(relatedRecord => mergeRecordsById(results, { [relatedRecord.id]: relatedRecord }));
+
+    context.basePath = [relatedType];
+
     return results;
   },
 
@@ -93,11 +619,27 @@ export default {
     if (!data) { return null; }
 
     const [relatedType, relatedRecordId] = data.split(':');
-    return { [relatedRecordId]: cache.get([relatedType, relatedRecordId]) };
+    const relatedRecord = fetchRecord(cache, context, relatedType, relatedRecordId);
+
+    if (!relatedRecord) { return null; }
+
+    return { [relatedRecordId]: relatedRecord };
   },
 
   attribute(context, name) {
     const path = (context.basePath || []).concat(['attributes', name]);
     return this.target.get(path);
+  },
+
+  relationship(context, name) {
+    const basePath = context.basePath || [];
+    const relationshipDef = this.target.schema.relationshipDefinition(basePath[0], name);
+    const data = this.target.get(basePath.concat(['relationships', name, 'data']));
+
+    if (relationshipDef.type === 'hasMany') {
+      return Object.keys(data || {}).map(identifier => parseIdentifier(identifier));
+    } else {
+      return data ? parseIdentifier(data) : null;
+    }
   }
 };
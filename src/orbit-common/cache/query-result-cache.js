@@ -0,0 +1,255 @@
+import { isArray, isObject, toArray } from 'orbit/lib/objects';
+import { isQueryExpression } from 'orbit/query/expression';
+import { toIdentifier } from 'orbit-common/lib/identifiers';
+import { recordTypes } from './query-operators';
+
+// Operators that only evaluate values of the records selected by their
+// arguments, and therefore add no dependencies of their own.
+const ValueOperators = [
+  'and', 'or', 'equal', 'notEqual', 'gt', 'gte', 'lt', 'lte', 'in',
+  'contains', 'startsWith', 'match', 'isNull', 'includes', 'attribute',
+  'relationship', 'get', 'count', 'sum', 'min', 'max', 'groupBy', 'exists',
+  'first'
+];
+
+/**
+ Memoizes the results of queries evaluated by a cache.
+
+ Results are keyed by their query expression. The records, types and
+ relationships that each result depends upon are tracked so that results are
+ invalidated precisely by the operations that are applied to the cache.
+
+ Memoized results are shared between callers and should be treated as
+ immutable.
+
+ @class QueryResultCache
+ @namespace OC
+ @param {OC.Cache} cache - cache whose query results are memoized
+ @constructor
+ */
+export default class QueryResultCache {
+  constructor(cache) {
+    this.cache = cache;
+    this.reset();
+    this.resetStats();
+  }
+
+  /**
+   Statistics about the use of memoized results: the number of lookups
+   answered from memoized results (`hits`) and by evaluation (`misses`), the
+   number of results invalidated by operations (`invalidations`) and the
+   number of results currently memoized (`size`).
+
+   @returns {Object} memoization statistics
+   */
+  get stats() {
+    return {
+      hits: this._hits,
+      misses: this._misses,
+      invalidations: this._invalidations,
+      size: Object.keys(this._entries).length
+    };
+  }
+
+  resetStats() {
+    this._hits = 0;
+    this._misses = 0;
+    this._invalidations = 0;
+  }
+
+  reset() {
+    this._entries = {};
+  }
+
+  /**
+   Returns the memoized result of a query expression, or evaluates it with
+   `evaluate` and memoizes its result.
+
+   @method fetch
+   @param {Object} expression - query expression
+   @param {Function} evaluate - evaluates the expression
+   @returns {Object} result of the query
+   */
+  fetch(expression, evaluate) {
+    const key = JSON.stringify(expression);
+    const entry = this._entries[key];
+
+    if (entry) {
+      this._hits++;
+      return entry.result;
+    }
+
+    this._misses++;
+
+    const result = evaluate();
+
+    this._entries[key] = {
+      result,
+      dependencies: this._dependencies(expression)
+    };
+
+    return result;
+  }
+
+  /**
+   Invalidates any results that depend upon the record or relationship
+   touched by an operation.
+
+   @method invalidate
+   @param {Object} operation - operation applied to the cache
+   @returns {undefined}
+   */
+  invalidate(operation) {
+    Object.keys(this._entries).forEach(key => {
+      if (dependsUpon(this._entries[key].dependencies, operation)) {
+        delete this._entries[key];
+        this._invalidations++;
+      }
+    });
+  }
+
+  _dependencies(expression) {
+    const dependencies = { all: false, types: {}, records: {}, relationships: {} };
+    collectDependencies(this.cache.schema, expression, dependencies);
+    return dependencies;
+  }
+}
+
+// Operations that replace or remove a record as a whole, and so may change
+// any of its relationships.
+const RecordOperations = ['addRecord', 'replaceRecord', 'removeRecord'];
+
+function dependsUpon(dependencies, operation) {
+  const { record, relationship } = operation;
+
+  if (dependencies.all || !record) {
+    return true;
+  }
+
+  if (dependencies.types[record.type]) {
+    return true;
+  }
+
+  const identifier = toIdentifier(record);
+
+  if (dependencies.records[identifier]) {
+    return true;
+  }
+
+  const relationships = dependencies.relationships[identifier];
+
+  if (relationships) {
+    return relationship ? !!relationships[relationship] : RecordOperations.indexOf(operation.op) !== -1;
+  }
+
+  return false;
+}
+
+function collectDependencies(schema, expression, dependencies) {
+  if (isArray(expression)) {
+    expression.forEach(value => collectDependencies(schema, value, dependencies));
+    return;
+  } else if (!isQueryExpression(expression)) {
+    if (isObject(expression)) {
+      Object.keys(expression).forEach(key => collectDependencies(schema, expression[key], dependencies));
+    }
+    return;
+  }
+
+  const { op, args } = expression;
+
+  switch (op) {
+    case 'records':
+      recordTypes(schema, args[0], args[1]).forEach(type => { dependencies.types[type] = true; });
+      break;
+
+    case 'record':
+      dependencies.records[toIdentifier(args[0])] = true;
+      break;
+
+    case 'relatedRecord':
+    case 'relatedRecords': {
+      const [record, relationship] = args;
+      const identifier = toIdentifier(record);
+      const relationships = dependencies.relationships[identifier] = dependencies.relationships[identifier] || {};
+
+      relationships[relationship] = true;
+      withSubtypes(schema, toArray(schema.relationshipDefinition(record.type, relationship).model))
+        .forEach(relatedType => { dependencies.types[relatedType] = true; });
+      break;
+    }
+
+    case 'filter':
+    case 'sort':
+    case 'page':
+    case 'select':
+      collectDependencies(schema, args, dependencies);
+      break;
+
+    case 'include': {
+      const [select, ...relationshipPaths] = args;
+      const types = selectedTypes(schema, select);
+
+      collectDependencies(schema, select, dependencies);
+
+      if (types) {
+        relationshipPaths.forEach(path => {
+          path.split('.').reduce((currentTypes, relationship) => {
+            const relatedTypes = relatedModels(schema, currentTypes, relationship);
+            relatedTypes.forEach(relatedType => { dependencies.types[relatedType] = true; });
+            return relatedTypes;
+          }, types);
+        });
+      } else {
+        dependencies.all = true;
+      }
+      break;
+    }
+
+    default:
+      if (ValueOperators.indexOf(op) === -1) {
+        dependencies.all = true;
+      } else {
+        collectDependencies(schema, args, dependencies);
+      }
+  }
+}
+
+function selectedTypes(schema, expression) {
+  if (!isQueryExpression(expression)) { return; }
+
+  switch (expression.op) {
+    case 'records':
+      return recordTypes(schema, expression.args[0], expression.args[1]);
+    case 'record':
+      return [expression.args[0].type];
+    case 'relatedRecord':
+    case 'relatedRecords':
+      return withSubtypes(schema, toArray(schema.relationshipDefinition(expression.args[0].type, expression.args[1]).model));
+    case 'filter':
+    case 'sort':
+    case 'page':
+      return selectedTypes(schema, expression.args[0]);
+  }
+}
+
+// Returns the models related through a relationship of any of `types`, which
+// may include polymorphic relationships, along with their subtypes.
+function relatedModels(schema, types, relationship) {
+  const models = {};
+
+  types
+    .filter(type => schema.modelDefinition(type).relationships[relationship])
+    .forEach(type => {
+      withSubtypes(schema, toArray(schema.relationshipDefinition(type, relationship).model))
+        .forEach(model => { models[model] = true; });
+    });
+
+  return Object.keys(models);
+}
+
+// Records of a subtype may be related through relationships to any of its
+// ancestors' models.
+function withSubtypes(schema, types) {
+  return types.concat(...types.map(type => schema.subtypes(type)));
+}
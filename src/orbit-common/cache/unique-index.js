@@ -0,0 +1,63 @@
+import { isArray, isNone } from 'orbit/lib/objects';
+
+/**
+ Ids of the records of a type, keyed by the value of a `unique` attribute
+ (and the values of the fields by which its uniqueness is scoped).
+
+ @class UniqueIndex
+ @namespace OC
+ @param {String} attribute - attribute name
+ @param {Boolean|Object} unique - `unique` constraint, which may specify a
+   `scope` of attribute or `hasOne` relationship names
+ @constructor
+ */
+export default class UniqueIndex {
+  constructor(attribute, unique) {
+    this.attribute = attribute;
+    this.scope = unique.scope ? (isArray(unique.scope) ? unique.scope : [unique.scope]) : [];
+    this.ids = {};
+  }
+
+  key(record) {
+    const value = fieldValue(record, this.attribute);
+
+    if (!isNone(value)) {
+      return JSON.stringify(this.scope.map(field => fieldValue(record, field)).concat([value]));
+    }
+  }
+
+  add(record) {
+    const key = this.key(record);
+
+    if (key !== undefined) {
+      this.ids[key] = this.ids[key] || {};
+      this.ids[key][record.id] = true;
+    }
+  }
+
+  remove(record) {
+    const key = this.key(record);
+
+    if (key !== undefined && this.ids[key]) {
+      delete this.ids[key][record.id];
+
+      if (Object.keys(this.ids[key]).length === 0) {
+        delete this.ids[key];
+      }
+    }
+  }
+
+  isDuplicate(record) {
+    const key = this.key(record);
+
+    return key !== undefined && Object.keys(this.ids[key]).length > 1;
+  }
+}
+
+function fieldValue(record, field) {
+  if (record.attributes && record.attributes.hasOwnProperty(field)) {
+    return record.attributes[field];
+  } else if (record.relationships && record.relationships[field]) {
+    return record.relationships[field].data;
+  }
+}
@@ -1,44 +1,79 @@
-import { toArray } from 'orbit/lib/objects';
+import { toArray, isObject } from 'orbit/lib/objects';
 import Transform from 'orbit/transform';
 import { QueryExpressionParseError } from '../lib/exceptions';
+import { parseIdentifier, identity } from '../lib/identifiers';
+import {
+  replaceRecord,
+  replaceKey,
+  replaceAttribute,
+  replaceHasMany,
+  replaceHasOne
+} from '../transform/operators';
 
-function deserialize(source, data) {
+function deserialize(source, data, request = {}) {
   const deserialized = source.serializer.deserialize(data);
-  const records = toArray(deserialized.primary);
+  const primary = toArray(deserialized.primary);
+  const included = deserialized.included || [];
+  const operations = [];
 
-  if (deserialized.included) {
-    Array.prototype.push.apply(records, deserialized.included);
-  }
-
-  const operations = records.map(record => {
-    return {
-      op: 'replaceRecord',
-      record
-    };
+  primary.forEach(record => {
+    // Records fetched with a sparse fieldset only update the fields that were
+    // fetched, rather than replacing the entire record.
+    if (request.fields) {
+      Array.prototype.push.apply(operations, replaceFieldOperations(record, request.fields));
+    } else {
+      operations.push(replaceRecord(record));
+    }
   });
 
+  included.forEach(record => operations.push(replaceRecord(record)));
+
   return [Transform.from(operations)];
 }
 
+function replaceFieldOperations(record, fields) {
+  const { keys = {}, attributes = {}, relationships = {} } = record;
+  const recordIdentity = identity(record);
+  const operations = [];
+
+  Object.keys(keys).forEach(key => {
+    if (keys[key] !== undefined) {
+      operations.push(replaceKey(recordIdentity, key, keys[key]));
+    }
+  });
+
+  fields.forEach(field => {
+    if (relationships[field]) {
+      const data = relationships[field].data;
+
+      if (isObject(data)) {
+        operations.push(replaceHasMany(recordIdentity, field, Object.keys(data).map(parseIdentifier)));
+      } else {
+        operations.push(replaceHasOne(recordIdentity, field, data ? parseIdentifier(data) : null));
+      }
+    } else if (attributes[field] !== undefined) {
+      operations.push(replaceAttribute(recordIdentity, field, attributes[field]));
+    }
+  });
+
+  return operations;
+}
+
 export const FetchRequestProcessors = {
   records(source, request) {
     const { type } = request;
-    const hash = {};
-
-    if (request.filter) {
-      hash.data = hash.data || {};
-      hash.data.filter = request.filter;
-    }
+    const hash = buildRequestHash(source, type, request);
 
     return source.ajax(source.resourceURL(type), 'GET', hash)
-      .then(data => deserialize(source, data));
+      .then(data => deserialize(source, data, request));
   },
 
   record(source, request) {
     const { record } = request;
+    const hash = buildRequestHash(source, record.type, request);
 
-    return source.ajax(source.resourceURL(record.type, record.id), 'GET')
-      .then(data => deserialize(source, data));
+    return source.ajax(source.resourceURL(record.type, record.id), 'GET', hash)
+      .then(data => deserialize(source, data, request));
   },
 
   relationship(source, request) {
@@ -53,12 +88,50 @@ export const FetchRequestProcessors = {
 
   relatedRecords(source, request) {
     const { record, relationship } = request;
+    const relatedTypes = toArray(source.schema.relationshipDefinition(record.type, relationship).model);
+    const hash = buildRequestHash(source, relatedTypes, request);
 
-    return source.ajax(source.relatedResourceURL(record.type, record.id, relationship), 'GET')
-      .then(data => deserialize(source, data));
+    return source.ajax(source.relatedResourceURL(record.type, record.id, relationship), 'GET', hash)
+      .then(data => deserialize(source, data, request));
   }
 };
 
+// Builds the query params with which resources of `types` are fetched.
+// Resources of polymorphic relationships may be of several types, in which
+// case fields are requested for each type, and other params are built for the
+// first type.
+function buildRequestHash(source, types, request) {
+  const hash = {};
+  const type = toArray(types)[0];
+
+  if (request.filter) {
+    hash.data = hash.data || {};
+    hash.data.filter = buildFilterParam(source, type, request.filter);
+  }
+
+  if (request.sort) {
+    hash.data = hash.data || {};
+    hash.data.sort = buildSortParam(source, type, request.sort);
+  }
+
+  if (request.page) {
+    hash.data = hash.data || {};
+    hash.data.page = buildPageParam(source, type, request.page);
+  }
+
+  if (request.include) {
+    hash.data = hash.data || {};
+    hash.data.include = buildIncludeParam(source, toArray(types), request.include);
+  }
+
+  if (request.fields) {
+    hash.data = hash.data || {};
+    hash.data.fields = buildFieldsParam(source, toArray(types), request.fields);
+  }
+
+  return hash;
+}
+
 export function getFetchRequests(query) {
   // For now, assume a 1:1 mapping between queries and fetch requests
   return [buildFetchRequest(query.expression)];
@@ -100,6 +173,34 @@ const ExpressionToRequestMap = {
     buildFetchRequest(select, request);
   },
 
+  sort(expression, request) {
+    const [select, ...sortSpecifiers] = expression.args;
+    request.sort = sortSpecifiers.map(parseSortSpecifier);
+
+    buildFetchRequest(select, request);
+  },
+
+  page(expression, request) {
+    const [select, options] = expression.args;
+    request.page = options;
+
+    buildFetchRequest(select, request);
+  },
+
+  include(expression, request) {
+    const [select, ...relationshipPaths] = expression.args;
+    request.include = relationshipPaths;
+
+    buildFetchRequest(select, request);
+  },
+
+  select(expression, request) {
+    const [select, ...fields] = expression.args;
+    request.fields = fields;
+
+    buildFetchRequest(select, request);
+  },
+
   relatedRecords(expression, request) {
     request.op = 'relatedRecords';
     request.record = expression.args[0];
@@ -107,11 +208,88 @@ const ExpressionToRequestMap = {
   }
 };
 
-function buildFilters(expression) {
-  const filters = {};
+function parseSortSpecifier(sortSpecifier) {
+  const { field, order } = sortSpecifier;
 
+  if (field.op !== 'attribute') {
+    throw new QueryExpressionParseError('Only attributes can be used as sort fields.', sortSpecifier);
+  }
+
+  return { attribute: field.args[0], order };
+}
+
+function buildSortParam(source, type, sort) {
+  return sort.map(({ attribute, order }) => {
+    const resourceAttr = source.serializer.resourceAttr(type, attribute);
+    return order === 'descending' ? `-${resourceAttr}` : resourceAttr;
+  }).join(',');
+}
+
+function buildPageParam(source, type, options) {
+  const page = {};
+
+  Object.keys(options).forEach(param => {
+    const value = options[param];
+
+    if (value !== undefined) {
+      page[param] = param === 'after' ? source.serializer.resourceId(type, value) : value;
+    }
+  });
+
+  return page;
+}
+
+function buildIncludeParam(source, types, relationshipPaths) {
+  return relationshipPaths.map(path => {
+    let currentTypes = types;
+
+    return path.split('.').map(relationship => {
+      // Polymorphic relationships may relate several types, of which the
+      // first that declares the next relationship is used
+      const currentType = currentTypes.filter(type => source.schema.modelDefinition(type).relationships[relationship])[0] || currentTypes[0];
+      const resourceRelationship = source.serializer.resourceRelationship(currentType, relationship);
+      currentTypes = toArray(source.schema.relationshipDefinition(currentType, relationship).model);
+      return resourceRelationship;
+    }).join('.');
+  }).join(',');
+}
+
+// Selected fields are requested as a sparse fieldset of each primary type
+// (e.g. `fields[planets]=name,moons`).
+function buildFieldsParam(source, types, fields) {
+  const fieldsParam = {};
+
+  types.forEach(type => {
+    const modelDefinition = source.schema.modelDefinition(type);
+    const resourceFields = fields.map(field => {
+      if (modelDefinition.relationships[field]) {
+        return source.serializer.resourceRelationship(type, field);
+      } else {
+        return source.serializer.resourceAttr(type, field);
+      }
+    });
+
+    fieldsParam[source.serializer.resourceType(type)] = resourceFields.join(',');
+  });
+
+  return fieldsParam;
+}
+
+// Filters are keyed by resource attribute (e.g. `filter[orbital-period]`), as
+// are sparse fieldsets and sort params.
+function buildFilterParam(source, type, filters) {
+  const filterParam = {};
+
+  Object.keys(filters).forEach(attribute => {
+    filterParam[source.serializer.resourceAttr(type, attribute)] = filters[attribute];
+  });
+
+  return filterParam;
+}
+
+function buildFilters(expression, filters = {}) {
   if (expression.op === 'and') {
-    expression.args.forEach(arg => parseFilter(arg, filters));
+    expression.args.forEach(arg => buildFilters(arg, filters));
   } else {
     parseFilter(expression, filters);
   }
@@ -119,12 +297,62 @@ function buildFilters(expression) {
   return filters;
 }
 
+const FilterParams = {
+  notEqual: 'ne',
+  gt: 'gt',
+  gte: 'gte',
+  lt: 'lt',
+  lte: 'lte',
+  in: 'in',
+  contains: 'contains',
+  startsWith: 'startsWith',
+  match: 'match',
+  isNull: 'isNull'
+};
+
 function parseFilter(expression, filters) {
+  const [filterExp, filterValue] = expression.args;
+
+  if (!filterExp || filterExp.op !== 'attribute') {
+    throw new QueryExpressionParseError('Only attribute filters can be fetched.', expression);
+  }
+
+  const [attribute] = filterExp.args;
+  const current = filters[attribute];
+
   if (expression.op === 'equal') {
-    const [filterExp, filterValue] = expression.args;
-    if (filterExp.op === 'attribute') {
-      const [attribute] = filterExp.args;
-      filters[attribute] = filterValue;
+    if (current !== undefined) {
+      throw new QueryExpressionParseError(`Filter on attribute '${attribute}' can not be combined with an equality filter.`, expression);
     }
+
+    filters[attribute] = filterValue;
+  } else if (FilterParams[expression.op]) {
+    if (current !== undefined && !isObject(current)) {
+      throw new QueryExpressionParseError(`Filter on attribute '${attribute}' can not be combined with an equality filter.`, expression);
+    }
+
+    filters[attribute] = current || {};
+    filters[attribute][FilterParams[expression.op]] = serializeFilterValue(expression, filterValue);
+  } else {
+    throw new QueryExpressionParseError(`Filter operator '${expression.op}' can not be fetched.`, expression);
   }
 }
+
+function serializeFilterValue(expression, value) {
+  switch (expression.op) {
+    case 'in': return value.join(',');
+    case 'match': return serializeRegExp(expression, value);
+    case 'isNull': return true;
+    default: return value;
+  }
+}
+
+// Only the source of a regular expression is sent, so flags (e.g. `i`) can't
+// be honored remotely.
+function serializeRegExp(expression, regex) {
+  if (regex.flags) {
+    throw new QueryExpressionParseError(`Regular expression flags '${regex.flags}' can not be fetched.`, expression);
+  }
+
+  return regex.source;
+}
@@ -117,9 +117,12 @@ export default class JSONAPISerializer extends Serializer {
 
   serializeAttributes(record, json) {
     if (record.attributes) {
-      Object.keys(record.attributes).forEach(attr => {
-        this.serializeAttribute(record, attr, json);
-      });
+      const attributeDefs = this.schema.modelDefinition(record.type).attributes;
+
+      Object.keys(record.attributes)
+        // Computed attributes are derived by the cache, so aren't serialized
+        .filter(attr => !(attributeDefs[attr] && attributeDefs[attr].computed))
+        .forEach(attr => this.serializeAttribute(record, attr, json));
     }
   }
 
@@ -1,4 +1,4 @@
-import { get, set } from 'orbit/lib/objects';
+import { clone, get, set } from 'orbit/lib/objects';
 import { firstResult } from 'orbit/lib/arrays';
 import { assert } from 'orbit/lib/assert';
 
@@ -79,6 +79,38 @@ export default class KeyMap {
     });
   }
 
+  /**
+   Returns all of the key mappings in this keyMap as plain JSON, which can be
+   restored with `hydrate`.
+
+   @returns {Object} key mappings
+   */
+  dehydrate() {
+    return clone(this._data);
+  }
+
+  /**
+   Integrate key mappings returned by `dehydrate` into this keyMap.
+
+   @param {Object} data - key mappings
+   @returns {undefined}
+   */
+  hydrate(data) {
+    if (!data) {
+      return;
+    }
+
+    Object.keys(data).forEach(type => {
+      Object.keys(data[type]).forEach(keyName => {
+        const idToKeyMap = data[type][keyName].idToKeyMap || {};
+
+        Object.keys(idToKeyMap).forEach(id => {
+          this.pushRecord({ type, id, keys: { [keyName]: idToKeyMap[id] } });
+        });
+      });
+    });
+  }
+
   /**
    Given a record, find the cached ID if it exists.
 
@@ -1,6 +1,9 @@
 /* eslint-disable valid-jsdoc */
 
-import { Exception } from 'orbit/lib/exceptions';
+import {
+  Exception,
+  QueryExpressionParseError as BaseQueryExpressionParseError
+} from 'orbit/lib/exceptions';
 
 /**
  @module orbit-common
@@ -46,10 +49,23 @@ export class QueryNotAllowed extends Exception {
   }
 }
 
-export class QueryExpressionParseError extends Exception {
-  constructor(message, expression) {
-    super(message);
-    this.expression = expression;
+/**
+ Exception thrown when a query expression can not be parsed.
+
+ When parsing query text, `position` is the offset in the text at which the
+ error was encountered.
+
+ @class QueryExpressionParseError
+ @namespace OC
+ @param {String} message
+ @param {Object} expression
+ @param {Number} [position]
+ @constructor
+ */
+export class QueryExpressionParseError extends BaseQueryExpressionParseError {
+  constructor(message, expression, position) {
+    super(message, expression);
+    this.position = position;
     this.name = 'OC.QueryExpressionParseError';
   }
 }
@@ -88,6 +104,102 @@ export class RelationshipNotRegisteredException extends Exception {
   }
 }
 
+/**
+ Exception thrown when operations are rejected because they would produce
+ records that are invalid.
+
+ Every violation is described in `errors`, each of which includes the
+ `record` (type and id), the `attribute` or `relationship` concerned (if
+ any), a `code` identifying the kind of violation and a `message`.
+
+ @class ValidationError
+ @namespace OC
+ @param {Array} errors
+ @constructor
+ */
+export class ValidationError extends Exception {
+  constructor(errors) {
+    super(`validation failed: ${errors.map(error => error.message).join('; ')}`);
+    this.errors = errors;
+    this.name = 'OC.ValidationError';
+  }
+}
+
+/**
+ Exception thrown when data can't be used with a schema because it was
+ produced with a different schema.
+
+ @class SchemaMismatchException
+ @namespace OC
+ @param {String} expected - fingerprint of the schema
+ @param {String} actual - fingerprint of the schema that produced the data
+ @constructor
+ */
+export class SchemaMismatchException extends Exception {
+  constructor(expected, actual) {
+    super(`schema fingerprint '${actual}' does not match '${expected}'`);
+    this.expected = expected;
+    this.actual = actual;
+    this.name = 'OC.SchemaMismatchException';
+  }
+}
+
+/**
+ Exception thrown when models extend each other, directly or through other
+ models.
+
+ @class CircularInheritanceException
+ @namespace OC
+ @param {Array} models - names of the models in the cycle, in order of
+   inheritance
+ @constructor
+ */
+export class CircularInheritanceException extends Exception {
+  constructor(models) {
+    super(`model inheritance is circular: ${models.join(' extends ')}`);
+    this.models = models;
+    this.name = 'OC.CircularInheritanceException';
+  }
+}
+
+/**
+ Exception thrown when records of several models, whose query results are
+ keyed by id, share the same id.
+
+ @class DuplicateRecordIdException
+ @namespace OC
+ @param {String} id - shared id
+ @param {Array} types - models of the records that share the id
+ @constructor
+ */
+export class DuplicateRecordIdException extends Exception {
+  constructor(id, types) {
+    super(`records of ${types.join(' and ')} share the id '${id}'`);
+    this.id = id;
+    this.types = types;
+    this.name = 'OC.DuplicateRecordIdException';
+  }
+}
+
+/**
+ Exception thrown when a record can't be removed because it's related to
+ other records through a relationship whose `onDelete` policy is `restrict`.
+
+ @class RemovalRestrictedException
+ @namespace OC
+ @param {Object} record - identity of the record that can't be removed
+ @param {Array} blockingRecords - identities of the related records
+ @constructor
+ */
+export class RemovalRestrictedException extends Exception {
+  constructor(record, blockingRecords) {
+    super(`${record.type}:${record.id} can not be removed because it is related to ${blockingRecords.map(r => `${r.type}:${r.id}`).join(', ')}`);
+    this.record = record;
+    this.blockingRecords = blockingRecords;
+    this.name = 'OC.RemovalRestrictedException';
+  }
+}
+
 class _RecordException extends Exception {
   constructor(type, record, key) {
     let message = type + '/' + record;
@@ -0,0 +1,146 @@
+import { isObject, isNone, toArray } from 'orbit/lib/objects';
+import { identity, parseIdentifier } from './identifiers';
+
+/**
+ Returns any violations of the constraints declared by a model for the
+ attributes and relationships of a record.
+
+ Each violation includes the `record` (type and id), the `attribute` or
+ `relationship` concerned, a `code` identifying the kind of violation and a
+ `message`. Codes are:
+
+ * `type` - an attribute's value doesn't match its declared `type`
+ * `required` - a `required` attribute has no value
+ * `invalid` - an attribute's value was rejected by its `validate` function
+ * `unknownAttribute` and `unknownRelationship` - a field isn't declared
+ * `model` - a related record isn't of a relationship's `model` (or, given a
+   `schema`, one of its subtypes)
+
+ @method recordErrors
+ @for OC
+ @param {Object} modelDef - model definition
+ @param {Object} record - record to validate
+ @param {OC.Schema} [schema] - schema that declares subtypes of related models
+ @returns {Array} violations
+ */
+export function recordErrors(modelDef, record, schema) {
+  const errors = [];
+  const attributes = record.attributes || {};
+  const relationships = record.relationships || {};
+
+  Object.keys(attributes).forEach(attribute => {
+    errors.push(...attributeErrors(modelDef, record, attribute));
+  });
+
+  Object.keys(modelDef.attributes)
+    .filter(attribute => !attributes.hasOwnProperty(attribute))
+    .forEach(attribute => errors.push(...attributeErrors(modelDef, record, attribute)));
+
+  Object.keys(relationships).forEach(relationship => {
+    const data = relationships[relationship] && relationships[relationship].data;
+    errors.push(...relationshipErrors(modelDef, record, relationship, relatedRecordsFromData(data), schema));
+  });
+
+  return errors;
+}
+
+/**
+ Returns any violations of the constraints declared for an attribute by the
+ value of that attribute in a record.
+
+ @method attributeErrors
+ @for OC
+ @param {Object} modelDef - model definition
+ @param {Object} record - record containing the attribute's value
+ @param {String} attribute - attribute name
+ @returns {Array} violations
+ */
+export function attributeErrors(modelDef, record, attribute) {
+  const attributeDef = modelDef.attributes[attribute];
+  const value = record.attributes && record.attributes[attribute];
+  const error = (code, message) => [{ record: identity(record), attribute, code, message }];
+
+  if (!attributeDef) {
+    return error('unknownAttribute', `'${attribute}' is not an attribute of ${record.type}`);
+  }
+
+  if (isNone(value)) {
+    if (attributeDef.required) {
+      return error('required', `'${attribute}' of ${record.type}:${record.id} is required`);
+    }
+    return [];
+  }
+
+  if (!isValidType(attributeDef.type, value)) {
+    return error('type', `'${attribute}' of ${record.type}:${record.id} must be a ${attributeDef.type}`);
+  }
+
+  if (attributeDef.validate) {
+    const result = attributeDef.validate(value, record);
+
+    if (result !== true) {
+      return error('invalid', typeof result === 'string' ? result : `'${attribute}' of ${record.type}:${record.id} is invalid`);
+    }
+  }
+
+  return [];
+}
+
+/**
+ Returns any violations of the constraints declared for a relationship by
+ records that are related through it.
+
+ @method relationshipErrors
+ @for OC
+ @param {Object} modelDef - model definition
+ @param {Object} record - record identity
+ @param {String} relationship - relationship name
+ @param {Array} relatedRecords - identities of related records
+ @param {OC.Schema} [schema] - schema that declares subtypes of related models
+ @returns {Array} violations
+ */
+export function relationshipErrors(modelDef, record, relationship, relatedRecords, schema) {
+  const relationshipDef = modelDef.relationships[relationship];
+  const error = (code, message) => ({ record: identity(record), relationship, code, message });
+
+  if (!relationshipDef) {
+    return [error('unknownRelationship', `'${relationship}' is not a relationship of ${record.type}`)];
+  }
+
+  const models = toArray(relationshipDef.model);
+  const accepted = schema ? models.concat(...models.map(model => schema.subtypes(model))) : models;
+
+  return (relatedRecords || [])
+    .filter(relatedRecord => relatedRecord && accepted.indexOf(relatedRecord.type) === -1)
+    .map(relatedRecord => error('model', `'${relationship}' of ${record.type}:${record.id} must be related to ${models.join(' or ')} records, not ${relatedRecord.type}:${relatedRecord.id}`));
+}
+
+function relatedRecordsFromData(data) {
+  if (isObject(data)) {
+    return Object.keys(data).map(parseIdentifier);
+  } else if (typeof data === 'string') {
+    return [parseIdentifier(data)];
+  } else {
+    return [];
+  }
+}
+
+function isValidType(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+
+    case 'number':
+      return typeof value === 'number' && !isNaN(value);
+
+    case 'boolean':
+      return typeof value === 'boolean';
+
+    case 'date':
+      return value instanceof Date ? !isNaN(value.getTime()) : typeof value === 'string' && !isNaN(Date.parse(value));
+
+    default:
+      // Other types aren't validated
+      return true;
+  }
+}
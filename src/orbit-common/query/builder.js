@@ -1,28 +1,129 @@
 import { Records, Record, RelatedRecord, RelatedRecords } from 'orbit-common/query/terms';
 import { queryExpression as oqe } from 'orbit/query/expression';
+import { isArray } from 'orbit/lib/objects';
 
-export default {
-  records(type) {
-    return new Records(oqe('records', type));
-  },
+/**
+ Builds query expressions from terms.
+
+ A query builder that's associated with a schema (see `schema.queryBuilder`)
+ also provides any `scopes` declared in the schema's model definitions:
+
+ ``` javascript
+ const schema = new Schema({
+   models: {
+     planet: {
+       attributes: {
+         classification: { type: 'string' }
+       },
+       scopes: {
+         gasGiants(records) {
+           return records.filterAttributes({ classification: 'gas giant' });
+         }
+       }
+     }
+   }
+ });
+
+ schema.queryBuilder.records('planet').gasGiants().sort('name');
+ ```
+
+ Sources provide their schema's query builder to queries that are specified
+ as functions (e.g. `store.query(qb => qb.records('planet').gasGiants())`).
+
+ @class QueryBuilder
+ @namespace OC
+ @param {OC.Schema} [schema] - schema that declares scopes
+ @constructor
+ */
+export class QueryBuilder {
+  constructor(schema) {
+    this.schema = schema;
+    this._scopedTerms = {};
+
+    if (schema) {
+      schema.on('modelRegistered', () => { this._scopedTerms = {}; });
+    }
+  }
+
+  /**
+   Selects the records of a model. Records of the model's subtypes are
+   included when the `includeSubtypes` option is set.
+
+   @method records
+   @param {String} type - type of model
+   @param {Object} [options] - options, such as `includeSubtypes`
+   @return {OC.Records} records term
+   */
+  records(type, options) {
+    const RecordsTerm = this._termClass(Records, type);
+    return new RecordsTerm(options ? oqe('records', type, options) : oqe('records', type));
+  }
 
   record(recordIdentity) {
     return new Record(recordIdentity);
-  },
+  }
 
   relatedRecord(record, relationship) {
     return new RelatedRecord(record, relationship);
-  },
+  }
 
   relatedRecords(record, relationship) {
-    return new RelatedRecords(record, relationship);
-  },
+    const RelatedRecordsTerm = this._termClass(RelatedRecords, this._relatedType(record.type, relationship));
+    return new RelatedRecordsTerm(oqe('relatedRecords', record, relationship));
+  }
+
+  or(...expressions) {
+    return oqe('or', ...expressions);
+  }
+
+  and(...expressions) {
+    return oqe('and', ...expressions);
+  }
+
+  _termClass(baseClass, type) {
+    const models = this.schema && this.schema.models;
+    const scopes = models && models[type] && models[type].scopes;
+
+    if (!scopes) {
+      return baseClass;
+    }
+
+    const key = `${baseClass === Records ? 'records' : 'relatedRecords'}:${type}`;
+
+    if (!this._scopedTerms[key]) {
+      this._scopedTerms[key] = baseClass.withScopes(scopeMethods(scopes));
+    }
 
-  or(a, b) {
-    return oqe('or', a, b);
-  },
+    return this._scopedTerms[key];
+  }
+
+  _relatedType(type, relationship) {
+    const models = this.schema && this.schema.models;
+    const relationships = models && models[type] && models[type].relationships;
+    const relationshipDef = relationships && relationships[relationship];
 
-  and(a, b) {
-    return oqe('and', a, b);
+    // Scopes aren't available for polymorphic relationships, whose records
+    // may be of several models
+    if (relationshipDef && !isArray(relationshipDef.model)) {
+      return relationshipDef.model;
+    }
   }
-};
+}
+
+// Scopes are declared as functions of a term (e.g. `(records) => ...`), but
+// are called as methods of that term.
+function scopeMethods(scopes) {
+  const methods = {};
+
+  Object.keys(scopes).forEach(name => {
+    const scope = scopes[name];
+
+    methods[name] = function(...args) {
+      return scope(this, ...args);
+    };
+  });
+
+  return methods;
+}
+
+export default new QueryBuilder();
@@ -0,0 +1,509 @@
+import qb from 'orbit-common/query/builder';
+import { RecordCursor } from 'orbit-common/query/terms';
+import { QueryExpressionParseError } from 'orbit-common/lib/exceptions';
+
+/**
+ Parses a textual query into the same query expression that would be
+ produced by the query builder.
+
+ A query starts with a source, which may be followed by any number of
+ modifiers separated by `|`:
+
+ ``` text
+ records(planet) | filter(classification == "gas giant" and mass > 10) | sort(-name) | page(offset: 0, limit: 10)
+ record(planet:jupiter) | include(moons, moons.craters)
+ relatedRecords(planet:jupiter, moons) | include(planet)
+ records(planet) | sort(name) | select(name, classification)
+ ```
+
+ Filters support `==`, `!=`, `>`, `>=`, `<`, `<=`, `in [...]`, `contains`,
+ `startsWith`, `matches /regex/` and `is null` comparisons of attributes or
+ `count(relationship)`, as well as `relatedRecord(relationship) == type:id`,
+ `relatedRecord(relationship) is null` and
+ `relatedRecords(relationship) includes type:id`. Predicates can be combined
+ with `and` and `or`, and grouped with parentheses.
+
+ Errors are reported as `QueryExpressionParseError`s, with the `position` in
+ the text at which they were encountered.
+
+ @method parseQuery
+ @for OC
+ @param {String} text - query text
+ @returns {Object} query expression
+ */
+export function parseQuery(text) {
+  return new QueryParser(text).parse();
+}
+
+const PUNCTUATION = ['==', '!=', '>=', '<=', '>', '<', '|', '(', ')', '[', ']', ',', ':', '.', '-'];
+
+const COMPARISONS = {
+  '==': 'equal',
+  '!=': 'notEqual',
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte'
+};
+
+const PAGE_OPTIONS = ['offset', 'limit', 'after', 'size'];
+
+function isIdentifierStart(char) {
+  return /[A-Za-z_$]/.test(char);
+}
+
+function isIdentifierPart(char) {
+  return /[A-Za-z0-9_$]/.test(char);
+}
+
+function isDigit(char) {
+  return /[0-9]/.test(char);
+}
+
+class QueryParser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = this.tokenize(text);
+    this.index = 0;
+  }
+
+  parse() {
+    let term = this.parseSource();
+
+    while (this.accept('|')) {
+      term = this.parseModifier(term);
+    }
+
+    this.expect('eof');
+
+    return term.toQueryExpression();
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // Sources and modifiers
+  /////////////////////////////////////////////////////////////////////////////
+
+  parseSource() {
+    const token = this.expect('identifier');
+    let term;
+
+    this.expect('(');
+
+    switch (token.value) {
+      case 'records':
+        term = qb.records(this.expect('identifier').value);
+        break;
+
+      case 'record':
+        term = qb.record(this.parseIdentity());
+        break;
+
+      case 'relatedRecord':
+      case 'relatedRecords': {
+        const record = this.parseIdentity();
+        this.expect(',');
+        term = qb[token.value](record, this.expect('identifier').value);
+        break;
+      }
+
+      default:
+        this.error(`Unknown query source '${token.value}'`, token);
+    }
+
+    this.expect(')');
+
+    return term;
+  }
+
+  parseModifier(term) {
+    const token = this.expect('identifier');
+    const name = token.value;
+    let args;
+
+    if (typeof term[name] !== 'function' || ['filter', 'sort', 'page', 'include', 'select'].indexOf(name) === -1) {
+      this.error(`Modifier '${name}' can not be applied to this query`, token);
+    }
+
+    this.expect('(');
+
+    switch (name) {
+      case 'filter': {
+        const predicate = this.parseOr(new RecordCursor());
+        args = [() => predicate];
+        break;
+      }
+
+      case 'sort':
+        args = this.parseList(() => this.parseSortSpecifier());
+        break;
+
+      case 'page':
+        args = [this.parsePageOptions()];
+        break;
+
+      case 'include':
+        args = this.parseList(() => this.parseRelationshipPath());
+        break;
+
+      case 'select':
+        args = this.parseList(() => this.expect('identifier').value);
+        break;
+    }
+
+    this.expect(')');
+
+    try {
+      return term[name](...args);
+    } catch (e) {
+      if (e instanceof QueryExpressionParseError) {
+        this.error(e.message.replace(/\.$/, ''), token);
+      }
+      throw e;
+    }
+  }
+
+  parseSortSpecifier() {
+    const descending = this.accept('-');
+    const attribute = this.expect('identifier').value;
+
+    return descending ? `-${attribute}` : attribute;
+  }
+
+  parsePageOptions() {
+    const options = {};
+
+    this.parseList(() => {
+      const token = this.expect('identifier');
+
+      if (PAGE_OPTIONS.indexOf(token.value) === -1) {
+        this.error(`Unknown page option '${token.value}'`, token);
+      }
+
+      this.expect(':');
+      options[token.value] = token.value === 'after' ? this.parseId() : this.expect('number').value;
+    });
+
+    return options;
+  }
+
+  parseRelationshipPath() {
+    const relationships = [this.expect('identifier').value];
+
+    while (this.accept('.')) {
+      relationships.push(this.expect('identifier').value);
+    }
+
+    return relationships.join('.');
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // Filter predicates
+  /////////////////////////////////////////////////////////////////////////////
+
+  parseOr(record) {
+    const expressions = [this.parseAnd(record)];
+
+    while (this.acceptKeyword('or')) {
+      expressions.push(this.parseAnd(record));
+    }
+
+    return expressions.length === 1 ? expressions[0] : qb.or(...expressions);
+  }
+
+  parseAnd(record) {
+    const expressions = [this.parsePredicate(record)];
+
+    while (this.acceptKeyword('and')) {
+      expressions.push(this.parsePredicate(record));
+    }
+
+    return expressions.length === 1 ? expressions[0] : qb.and(...expressions);
+  }
+
+  parsePredicate(record) {
+    if (this.accept('(')) {
+      const expression = this.parseOr(record);
+      this.expect(')');
+      return expression;
+    }
+
+    const token = this.expect('identifier');
+
+    if (this.peek().type === '(') {
+      this.expect('(');
+      const relationship = this.expect('identifier').value;
+      this.expect(')');
+
+      switch (token.value) {
+        case 'relatedRecord':
+          return this.parseRelatedRecordPredicate(record.relatedRecord(relationship));
+        case 'relatedRecords':
+          return this.parseRelatedRecordsPredicate(record.relatedRecords(relationship));
+        case 'count':
+          return this.parseValuePredicate(record.relatedRecords(relationship).count());
+        default:
+          this.error(`Unknown function '${token.value}'`, token);
+      }
+    }
+
+    return this.parseValuePredicate(record.attribute(token.value));
+  }
+
+  parseValuePredicate(value) {
+    const token = this.next();
+
+    if (COMPARISONS[token.type]) {
+      return value[COMPARISONS[token.type]](this.parseLiteral());
+    }
+
+    if (token.type === 'identifier') {
+      switch (token.value) {
+        case 'is':
+          this.expectKeyword('null');
+          return value.isNull();
+
+        case 'in': {
+          this.expect('[');
+          const values = this.parseList(() => this.parseLiteral());
+          this.expect(']');
+          return value.in(values);
+        }
+
+        case 'contains':
+          return value.contains(this.parseLiteral());
+
+        case 'startsWith':
+          return value.startsWith(this.parseLiteral());
+
+        case 'matches':
+          return value.match(this.expect('regex').value);
+      }
+    }
+
+    this.unexpected('Expected a comparison operator', token);
+  }
+
+  parseRelatedRecordPredicate(value) {
+    const token = this.next();
+
+    if (token.type === '==') {
+      return value.equal(this.acceptKeyword('null') ? null : this.parseIdentity());
+    } else if (token.type === 'identifier' && token.value === 'is') {
+      this.expectKeyword('null');
+      return value.isNull();
+    }
+
+    this.unexpected('Expected `==` or `is null`', token);
+  }
+
+  parseRelatedRecordsPredicate(value) {
+    this.expectKeyword('includes');
+    return value.includes(this.parseIdentity());
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // Values
+  /////////////////////////////////////////////////////////////////////////////
+
+  parseLiteral() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'string':
+      case 'number':
+        return token.value;
+
+      case 'identifier':
+        if (token.value === 'true') { return true; }
+        if (token.value === 'false') { return false; }
+        if (token.value === 'null') { return null; }
+    }
+
+    this.unexpected('Expected a string, number, boolean or null', token);
+  }
+
+  parseIdentity() {
+    const type = this.expect('identifier').value;
+    this.expect(':');
+    const id = this.parseId();
+
+    return { type, id };
+  }
+
+  parseId() {
+    const token = this.next();
+
+    if (token.type === 'identifier' || token.type === 'string') {
+      return token.value;
+    }
+
+    // Ids are opaque, so numeric ids are taken as written (e.g. `007`)
+    if (token.type === 'number') {
+      return this.text.slice(token.position, token.end);
+    }
+
+    this.unexpected('Expected a record id', token);
+  }
+
+  parseList(parseItem) {
+    const items = [parseItem()];
+
+    while (this.accept(',')) {
+      items.push(parseItem());
+    }
+
+    return items;
+  }
+
+  /////////////////////////////////////////////////////////////////////////////
+  // Tokens
+  /////////////////////////////////////////////////////////////////////////////
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    const token = this.tokens[this.index];
+
+    if (token.type !== 'eof') {
+      this.index++;
+    }
+
+    return token;
+  }
+
+  accept(type) {
+    if (this.peek().type === type) {
+      return this.next();
+    }
+  }
+
+  acceptKeyword(keyword) {
+    const token = this.peek();
+
+    if (token.type === 'identifier' && token.value === keyword) {
+      return this.next();
+    }
+  }
+
+  expect(type) {
+    const token = this.peek();
+
+    if (token.type !== type) {
+      this.unexpected(`Expected ${describeType(type)}`, token);
+    }
+
+    return this.next();
+  }
+
+  expectKeyword(keyword) {
+    const token = this.acceptKeyword(keyword);
+
+    if (!token) {
+      this.unexpected(`Expected '${keyword}'`, this.peek());
+    }
+
+    return token;
+  }
+
+  error(message, token) {
+    throw new QueryExpressionParseError(`${message} at position ${token.position}`, this.text, token.position);
+  }
+
+  unexpected(message, token) {
+    const found = token.type === 'eof' ? 'end of query' : `'${this.text.slice(token.position, token.end)}'`;
+    this.error(`${message} but found ${found}`, token);
+  }
+
+  tokenize(text) {
+    const tokens = [];
+    let position = 0;
+
+    const fail = (message) => {
+      throw new QueryExpressionParseError(`${message} at position ${position}`, text, position);
+    };
+
+    while (position < text.length) {
+      const char = text[position];
+      const start = position;
+
+      if (/\s/.test(char)) {
+        position++;
+        continue;
+      }
+
+      if (char === '"' || char === '\'') {
+        let value = '';
+        position++;
+
+        while (text[position] !== char) {
+          if (position >= text.length) {
+            position = start;
+            fail('Unterminated string');
+          }
+
+          if (text[position] === '\\') {
+            position++;
+            const escaped = { n: '\n', t: '\t' }[text[position]];
+            value += escaped || text[position];
+          } else {
+            value += text[position];
+          }
+          position++;
+        }
+
+        position++;
+        tokens.push({ type: 'string', value, position: start, end: position });
+      } else if (isDigit(char) || (char === '-' && isDigit(text[position + 1] || ''))) {
+        const match = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(position));
+        position += match[0].length;
+        tokens.push({ type: 'number', value: parseFloat(match[0]), position: start, end: position });
+      } else if (isIdentifierStart(char)) {
+        while (position < text.length && isIdentifierPart(text[position])) {
+          position++;
+        }
+        tokens.push({ type: 'identifier', value: text.slice(start, position), position: start, end: position });
+      } else if (char === '/') {
+        const match = /^\/((?:\\.|\[(?:\\.|[^\]])*\]|[^\/\\\[])+)\/([a-z]*)/.exec(text.slice(position));
+
+        if (!match) {
+          fail('Unterminated regular expression');
+        }
+
+        let value;
+        try {
+          value = new RegExp(match[1], match[2]);
+        } catch (e) {
+          fail(`Invalid regular expression: ${e.message}`);
+        }
+
+        position += match[0].length;
+        tokens.push({ type: 'regex', value, position: start, end: position });
+      } else {
+        const punctuation = PUNCTUATION.filter(p => text.substr(position, p.length) === p)[0];
+
+        if (!punctuation) {
+          fail(`Unexpected character '${char}'`);
+        }
+
+        position += punctuation.length;
+        tokens.push({ type: punctuation, position: start, end: position });
+      }
+    }
+
+    tokens.push({ type: 'eof', position, end: position });
+
+    return tokens;
+  }
+}
+
+function describeType(type) {
+  switch (type) {
+    case 'identifier': return 'a name';
+    case 'number': return 'a number';
+    case 'regex': return 'a regular expression';
+    case 'eof': return 'end of query';
+    default: return `'${type}'`;
+  }
+}
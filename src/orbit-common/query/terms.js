@@ -1,4 +1,7 @@
 import { queryExpression as oqe } from 'orbit/query/expression';
+import { isObject } from 'orbit/lib/objects';
+import { identity } from 'orbit-common/lib/identifiers';
+import { QueryExpressionParseError } from 'orbit-common/lib/exceptions';
 import {
   Cursor,
   TermBase,
@@ -9,12 +12,48 @@ export class RecordCursor extends Cursor {
   attribute(name) {
     return new Value(oqe('attribute', name));
   }
+
+  relatedRecord(relationship) {
+    return new RelatedRecordValue(oqe('relationship', relationship));
+  }
+
+  relatedRecords(relationship) {
+    return new RelatedRecordsValue(oqe('relationship', relationship));
+  }
+}
+
+export class RelatedRecordValue extends TermBase {
+  equal(record) {
+    return oqe('equal', this.expression, record ? identity(record) : null);
+  }
+
+  isNull() {
+    return oqe('isNull', this.expression);
+  }
+}
+
+export class RelatedRecordsValue extends TermBase {
+  includes(record) {
+    return oqe('includes', this.expression, identity(record));
+  }
+
+  count() {
+    return new Value(oqe('count', this.expression));
+  }
 }
 
 export class Record extends TermBase {
   constructor(record) {
     super(oqe('record', record));
   }
+
+  include(...relationshipPaths) {
+    return includeTerm(this, relationshipPaths);
+  }
+
+  select(...fields) {
+    return selectTerm(this, fields);
+  }
 }
 
 export class Records extends TermBase {
@@ -36,26 +75,159 @@ export class Records extends TermBase {
     return new this.constructor(oqe('filter', this.expression, andExpression));
   }
 
+  sort(...sortSpecifiers) {
+    return new this.constructor(oqe('sort', this.expression, ...sortSpecifiers.map(parseSortSpecifier)));
+  }
+
+  page(options) {
+    const isOffsetPage = options.offset !== undefined || options.limit !== undefined;
+    const isCursorPage = options.after !== undefined || options.size !== undefined;
+
+    if (isOffsetPage && isCursorPage) {
+      throw new QueryExpressionParseError('Offset (`offset`, `limit`) and cursor (`after`, `size`) pagination options can not be combined.', options);
+    }
+
+    return new TermBase(oqe('page', this.expression, options));
+  }
+
+  include(...relationshipPaths) {
+    return includeTerm(this, relationshipPaths);
+  }
+
+  select(...fields) {
+    return selectTerm(this, fields);
+  }
+
+  exists() {
+    return new TermBase(oqe('exists', this.expression));
+  }
+
+  first() {
+    return new TermBase(oqe('first', this.expression));
+  }
+
+  count() {
+    return new TermBase(oqe('count', this.expression));
+  }
+
+  sum(attribute) {
+    return new TermBase(oqe('sum', this.expression, oqe('attribute', attribute)));
+  }
+
+  min(attribute) {
+    return new TermBase(oqe('min', this.expression, oqe('attribute', attribute)));
+  }
+
+  max(attribute) {
+    return new TermBase(oqe('max', this.expression, oqe('attribute', attribute)));
+  }
+
+  groupBy(field) {
+    return new GroupedRecords(oqe('groupBy', this.expression, parseGroupField(field)));
+  }
+
   static withScopes(scopes) {
+    const termClass = this;
     const typeTerm = function(oqe) {
-      Records.call(this, oqe);
+      termClass.call(this, oqe);
     };
 
-    typeTerm.prototype = Object.create(Records.prototype);
+    typeTerm.prototype = Object.create(termClass.prototype);
+    typeTerm.prototype.constructor = typeTerm;
     Object.assign(typeTerm.prototype, scopes);
 
     return typeTerm;
   }
 }
 
+export class GroupedRecords extends TermBase {
+  count() {
+    return new TermBase(oqe('count', this.expression));
+  }
+
+  sum(attribute) {
+    return new TermBase(oqe('sum', this.expression, oqe('attribute', attribute)));
+  }
+
+  min(attribute) {
+    return new TermBase(oqe('min', this.expression, oqe('attribute', attribute)));
+  }
+
+  max(attribute) {
+    return new TermBase(oqe('max', this.expression, oqe('attribute', attribute)));
+  }
+}
+
 export class RelatedRecord extends TermBase {
   constructor(record, relationship) {
     super(oqe('relatedRecord', record, relationship));
   }
+
+  include(...relationshipPaths) {
+    return includeTerm(this, relationshipPaths);
+  }
+
+  select(...fields) {
+    return selectTerm(this, fields);
+  }
 }
 
-export class RelatedRecords extends TermBase {
-  constructor(record, relationship) {
-    super(oqe('relatedRecords', record, relationship));
+export class RelatedRecords extends Records {}
+
+function includeTerm(term, relationshipPaths) {
+  if (relationshipPaths.length === 0) {
+    throw new QueryExpressionParseError('At least one relationship path must be included.', term.expression);
+  }
+
+  relationshipPaths.forEach(path => {
+    if (typeof path !== 'string' || path.split('.').some(relationship => relationship === '')) {
+      throw new QueryExpressionParseError(`Invalid relationship path: ${path}`, term.expression);
+    }
+  });
+
+  return new TermBase(oqe('include', term.expression, ...relationshipPaths));
+}
+
+function selectTerm(term, fields) {
+  if (fields.length === 0) {
+    throw new QueryExpressionParseError('At least one field must be selected.', term.expression);
+  }
+
+  fields.forEach(field => {
+    if (typeof field !== 'string' || field === '') {
+      throw new QueryExpressionParseError(`Invalid field: ${field}`, term.expression);
+    }
+  });
+
+  return new TermBase(oqe('select', term.expression, ...fields));
+}
+
+// Records can be grouped by an attribute (e.g. `'classification'` or
+// `{ attribute: 'classification' }`) or a related record (e.g.
+// `{ relationship: 'planet' }`).
+function parseGroupField(field) {
+  if (isObject(field) && field.relationship) {
+    return oqe('relationship', field.relationship);
+  } else if (isObject(field)) {
+    return oqe('attribute', field.attribute);
+  } else {
+    return oqe('attribute', field);
+  }
+}
+
+function parseSortSpecifier(sortSpecifier) {
+  if (isObject(sortSpecifier)) {
+    const { attribute, order = 'ascending', nulls } = sortSpecifier;
+    const specifier = { field: oqe('attribute', attribute), order };
+
+    if (nulls) {
+      specifier.nulls = nulls;
+    }
+
+    return specifier;
+  } else if (sortSpecifier.indexOf('-') === 0) {
+    return { field: oqe('attribute', sortSpecifier.substr(1)), order: 'descending' };
+  } else {
+    return { field: oqe('attribute', sortSpecifier), order: 'ascending' };
   }
 }
@@ -5,9 +5,12 @@ import {
   OperationNotAllowed,
   ModelNotRegisteredException,
   KeyNotRegisteredException,
-  RelationshipNotRegisteredException
+  RelationshipNotRegisteredException,
+  CircularInheritanceException
 } from './lib/exceptions';
+import { recordErrors } from './lib/validation';
 import Evented from 'orbit/evented';
+import { QueryBuilder } from './query/builder';
 
 /**
  `Schema` defines the models allowed in a source, including their keys,
@@ -151,6 +154,65 @@ follows:
  which can be used to define their purpose and contents. An attribute's type may
  also be used to determine how it should be normalized and serialized.
 
+ ### Constraints
+
+ Attributes may also declare constraints, which are enforced by a cache's
+ `SchemaValidationProcessor`, as well as by `validateRecord`:
+
+ * `required` - the attribute must have a value other than `null` or
+   `undefined`.
+
+ * `unique` - no two records of the model may have the same value for the
+   attribute. Uniqueness may be scoped by other attributes or `hasOne`
+   relationships, e.g. `{scope: 'planet'}`.
+
+ * `validate(value, record)` - a function that returns `true` if a value is
+   valid, or otherwise `false` or a message describing the problem.
+
+ ```
+  var schema = new Schema({
+    models: {
+      moon: {
+        attributes: {
+          name: {type: 'string', required: true, unique: {scope: 'planet'}},
+          radius: {type: 'number', validate: (radius) => radius > 0 || 'radius must be positive'}
+        },
+        relationships: {
+          planet: {type: 'hasOne', model: 'planet', inverse: 'moons'}
+        }
+      }
+    }
+  });
+ ```
+
+ ### Computed attributes
+
+ Attributes may be computed from other fields of a record, by declaring a
+ `computed` function, which is passed the record, and the `dependencies` (the
+ names of attributes and relationships) that should trigger recalculation.
+
+ ```
+  var schema = new Schema({
+    models: {
+      person: {
+        attributes: {
+          firstName: {type: 'string'},
+          lastName: {type: 'string'},
+          fullName: {
+            type: 'string',
+            dependencies: ['firstName', 'lastName'],
+            computed: (person) => `${person.attributes.firstName} ${person.attributes.lastName}`
+          }
+        }
+      }
+    }
+  });
+ ```
+
+ Computed attributes are materialized in a cache by its
+ `ComputedAttributeProcessor`, so that they can be queried like any other
+ attribute, but are not serialized for other sources.
+
  ### Relationships
 
  Two types of relationships between models are allowed:
@@ -183,6 +245,75 @@ follows:
   });
  ```
 
+ Polymorphic relationships, whose records may be of several models, are
+ defined with an array of models. Each of the related models should define the
+ `inverse` relationship, if there is one.
+
+ ```
+  var schema = new Schema({
+    models: {
+      post: {
+        relationships: {
+          attachments: {type: 'hasMany', model: ['image', 'video'], inverse: 'post'}
+        }
+      },
+      image: {
+        relationships: {
+          post: {type: 'hasOne', model: 'post', inverse: 'attachments'}
+        }
+      },
+      video: {
+        relationships: {
+          post: {type: 'hasOne', model: 'post', inverse: 'attachments'}
+        }
+      }
+    }
+  });
+ ```
+
+ Related records of polymorphic relationships are returned as an array in
+ query results, since their ids may be shared across the related models.
+
+ Relationships may also define an `onDelete` policy, which determines what
+ happens to related records when a record is removed from a cache:
+
+ * `nullify` (the default) - related records remain, and their references to
+   the removed record are removed.
+
+ * `cascade` - related records are also removed. This is the default for
+   relationships declared with `dependent: 'remove'`.
+
+ * `restrict` - the removal is rejected with a `RemovalRestrictedException`
+   if there are any related records in the cache.
+
+ `dependent: 'remove'` also removes records that are removed from a
+ relationship without the record itself being removed (e.g. by replacing the
+ relationship). An explicit `onDelete` policy takes precedence over
+ `dependent` only when the record itself is removed.
+
+ ```
+  var schema = new Schema({
+    models: {
+      star: {
+        relationships: {
+          planets: {type: 'hasMany', model: 'planet', inverse: 'star', onDelete: 'restrict'}
+        }
+      },
+      planet: {
+        relationships: {
+          star: {type: 'hasOne', model: 'star', inverse: 'planets'},
+          moons: {type: 'hasMany', model: 'moon', inverse: 'planet', onDelete: 'cascade'}
+        }
+      },
+      moon: {
+        relationships: {
+          planet: {type: 'hasOne', model: 'planet', inverse: 'moons'}
+        }
+      }
+    }
+  });
+ ```
+
  To-many relationships may be defined with a special attribute, `actsAsSet`, to indicate
  that they act as a set that should be changed together. Sources should respect
  this attribute when processing changes.
@@ -256,6 +387,76 @@ follows:
   });
  ```
 
+ ## Scopes
+
+ Models may declare named `scopes`, which are functions that refine a query
+ for records of that model. Scopes are available as methods of the terms
+ created by the schema's `queryBuilder`:
+
+ ```
+  var schema = new Schema({
+    models: {
+      planet: {
+        attributes: {
+          classification: {type: 'string'}
+        },
+        scopes: {
+          gasGiants: (records) => records.filterAttributes({classification: 'gas giant'})
+        }
+      }
+    }
+  });
+
+  store.query(qb => qb.records('planet').gasGiants());
+ ```
+
+ ## Inheritance
+
+ A model may `extend` another model, in which case it inherits that model's
+ keys, attributes, relationships and scopes. Its own definition is merged
+ with them, so fields may be added, overridden or removed (by defining them
+ with a falsey value):
+
+ ```
+  var schema = new Schema({
+    models: {
+      planet: {
+        attributes: {
+          name: {type: 'string'}
+        },
+        relationships: {
+          moons: {type: 'hasMany', model: 'moon', inverse: 'planet'}
+        }
+      },
+      gasGiant: {
+        extends: 'planet',
+        attributes: {
+          ringCount: {type: 'number'}
+        }
+      },
+      moon: {
+        relationships: {
+          planet: {type: 'hasOne', model: 'planet', inverse: 'moons'}
+        }
+      }
+    }
+  });
+ ```
+
+ Records of a subtype are stored under their own type, but may be related
+ through relationships to any of their ancestors' models. Queries for the
+ records of a model include the records of its subtypes only when requested:
+
+ ```
+  store.query(qb => qb.records('planet', {includeSubtypes: true}).sort('name'));
+ ```
+
+ Such results are keyed by id, so ids must be unique across a model and its
+ subtypes (a `DuplicateRecordIdException` is thrown otherwise).
+
+ A model is merged with its parent when it is registered, so changes to a
+ parent that is registered again aren't inherited by existing subtypes.
+
  @class Schema
  @namespace OC
  @param {Object}   [options]
@@ -291,22 +492,58 @@ export default class Schema {
     if (options.models) {
       for (var modelName in options.models) {
         if (options.models.hasOwnProperty(modelName)) {
-          this.registerModel(modelName, options.models[modelName]);
+          this._registerModelWithParents(modelName, options.models);
         }
       }
     }
   }
 
+  /**
+   A query builder whose terms include the `scopes` declared by this schema's
+   models.
+
+   @property queryBuilder
+   @type {OC.QueryBuilder}
+   */
+  get queryBuilder() {
+    if (!this._queryBuilder) {
+      this._queryBuilder = new QueryBuilder(this);
+    }
+
+    return this._queryBuilder;
+  }
+
   /**
    Registers a model's schema definition.
 
+   A definition that `extends` another model is merged with that model's
+   definition, which must already be registered. A
+   `CircularInheritanceException` is thrown if the model would extend
+   itself, directly or through other models.
+
    Emits the `modelRegistered` event upon completion.
 
    @param {String} [name]       name of the model
    @param {Object} [definition] model schema definition
    */
   registerModel(name, definition) {
-    var modelSchema = this._mergeModelSchemas({}, this.modelDefaults, definition);
+    var parent = definition.extends;
+    var ancestors = [name];
+
+    for (var ancestor = parent; ancestor; ancestor = this.models[ancestor] && this.models[ancestor].extends) {
+      ancestors.push(ancestor);
+
+      if (ancestor === name) {
+        throw new CircularInheritanceException(ancestors);
+      }
+    }
+
+    var base = parent ? this.modelDefinition(parent) : this.modelDefaults;
+    var modelSchema = this._mergeModelSchemas({}, base, definition);
+
+    if (parent) {
+      modelSchema.extends = parent;
+    }
 
     this.models[name] = modelSchema;
     this.emit('modelRegistered', name);
@@ -502,6 +739,90 @@ export default class Schema {
     this.modelDefinition(type);
   }
 
+  /**
+   Returns the names of the registered models that extend a model, either
+   directly or through other subtypes.
+
+   @method subtypes
+   @param {String} type - type of model
+   @return {Array} names of subtypes
+   */
+  subtypes(type) {
+    return Object.keys(this.models).filter(name => {
+      let parent = this.models[name].extends;
+
+      while (parent) {
+        if (parent === type) { return true; }
+        parent = this.models[parent] && this.models[parent].extends;
+      }
+
+      return false;
+    });
+  }
+
+  /**
+   Validates a record against the constraints declared by its model,
+   returning any violations (see the Constraints section above).
+
+   This allows records to be checked before they are used to update a
+   source. Uniqueness isn't checked, since it depends upon the other records
+   in a cache.
+
+   @method validateRecord
+   @param {Object} record - record to validate
+   @return {Array} violations, each with a `record`, `attribute` or
+     `relationship`, `code` and `message`
+   */
+  validateRecord(record) {
+    return recordErrors(this.modelDefinition(record.type), record, this);
+  }
+
+  /**
+   Returns a fingerprint of the structure of this schema's models: their
+   keys, attributes and relationships.
+
+   Data that has been produced with one schema can be used with another
+   schema that has the same fingerprint.
+
+   @method fingerprint
+   @return {String} fingerprint
+   */
+  fingerprint() {
+    const models = Object.keys(this.models).sort().map(name => {
+      const { keys, attributes, relationships } = this.models[name];
+
+      return [
+        name,
+        Object.keys(keys).sort(),
+        Object.keys(attributes).sort().map(attribute => [attribute, attributes[attribute].type]),
+        Object.keys(relationships).sort().map(relationship => {
+          const { type, model, inverse } = relationships[relationship];
+          return [relationship, type, model, inverse];
+        })
+      ];
+    });
+
+    return hashString(JSON.stringify(models));
+  }
+
+  // Registers a model from a set of definitions, after the model it extends
+  // (if any), regardless of the order in which they are defined.
+  _registerModelWithParents(name, definitions, chain = []) {
+    if (this.models[name]) { return; }
+
+    if (chain.indexOf(name) !== -1) {
+      throw new CircularInheritanceException(chain.slice(chain.indexOf(name)).concat(name));
+    }
+
+    const parent = definitions[name].extends;
+
+    if (parent && definitions[parent]) {
+      this._registerModelWithParents(parent, definitions, chain.concat(name));
+    }
+
+    this.registerModel(name, definitions[name]);
+  }
+
   _mergeModelSchemas(base) {
     var sources = Array.prototype.slice.call(arguments, 1);
 
@@ -517,6 +838,11 @@ export default class Schema {
       this._mergeModelFields(base.keys, source.keys);
       this._mergeModelFields(base.attributes, source.attributes);
       this._mergeModelFields(base.relationships, source.relationships);
+
+      if (source.scopes) {
+        base.scopes = base.scopes || {};
+        this._mergeModelFields(base.scopes, source.scopes);
+      }
     });
 
     return base;
@@ -540,3 +866,13 @@ export default class Schema {
 }
 
 Evented.extend(Schema.prototype);
+
+function hashString(str) {
+  let hash = 5381;
+
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+  }
+
+  return (hash >>> 0).toString(16);
+}
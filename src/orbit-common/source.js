@@ -9,6 +9,7 @@ import OrbitSource from 'orbit/source';
  @param {Object}    options - Options for source
  @param {OC.Schema} options.schema - Schema for source
  @param {String}    options.name - Name for source
+ @param {Object}    [options.queryBuilder] - Query builder passed to queries that are specified as functions (defaults to the schema's `queryBuilder`)
  @constructor
  */
 export default class Source extends OrbitSource {
@@ -18,5 +19,6 @@ export default class Source extends OrbitSource {
     super(...arguments);
 
     this.schema = options.schema;
+    this.queryBuilder = options.queryBuilder || this.schema.queryBuilder;
   }
 }
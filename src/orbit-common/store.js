@@ -3,8 +3,11 @@ import { assert } from 'orbit/lib/assert';
 import { extend as assign } from 'orbit/lib/objects';
 import Source from './source';
 import Queryable from 'orbit/queryable';
+import Query from 'orbit/query';
 import Updatable from 'orbit/updatable';
 import Cache from './cache';
+import KeyMap from './key-map';
+import { SchemaMismatchException } from './lib/exceptions';
 import {
   coalesceTransforms,
   reduceTransforms
@@ -50,11 +53,18 @@ export default class Store extends Source {
   // Public methods
   /////////////////////////////////////////////////////////////////////////////
 
-  liveQuery(query) {
+  liveQuery(queryOrExpression) {
+    const query = Query.from(queryOrExpression, this.queryBuilder);
     this.query(query);
     return this.cache.liveQuery(query);
   }
 
+  liveResults(queryOrExpression) {
+    const query = Query.from(queryOrExpression, this.queryBuilder);
+    this.query(query);
+    return this.cache.liveResults(query);
+  }
+
   /**
    Create a clone, or "fork", from a "base" store.
 
@@ -75,6 +85,32 @@ export default class Store extends Source {
     return new Store(options);
   }
 
+  /**
+   Exports the store's state as a compact JSON payload, which can be used to
+   create an equivalent store with `Store.hydrate` (e.g. to hand state that
+   was rendered on a server to a browser).
+
+   The payload contains the cache's document, the key mappings of the store's
+   `keyMap`, the head of the transform log (if any) and a fingerprint of the
+   store's schema.
+
+   @method dehydrate
+   @returns {Object} JSON payload
+  */
+  dehydrate() {
+    const payload = {
+      schema: this.schema.fingerprint(),
+      cache: this.cache.get([]),
+      keyMap: this.keyMap.dehydrate()
+    };
+
+    if (!this.transformLog.isEmpty()) {
+      payload.transformLogHead = this.transformLog.head();
+    }
+
+    return payload;
+  }
+
   /**
    Merge transforms from a forked store back into a base store.
 
@@ -180,6 +216,42 @@ export default class Store extends Source {
     this._transformInverses = {};
   }
 
+  /**
+   Creates a store from a payload produced by `dehydrate`.
+
+   The cache is reset with the payload's document in a single step, rather
+   than by applying an operation for each record. If the payload's transform
+   log head is present, it becomes the head of the new store's transform log.
+
+   @method hydrate
+   @static
+   @param {Object} payload - JSON payload produced by `dehydrate`
+   @param {Object} options - Options to pass to the store's constructor
+   @param {OC.Schema} options.schema - Schema, which must match the schema of the dehydrated store
+   @param {OC.KeyMap} [options.keyMap] - KeyMap into which key mappings are restored (a new keyMap is created by default)
+   @returns {Store} The hydrated store.
+   @throws {OC.SchemaMismatchException} If the payload was produced with a different schema.
+  */
+  static hydrate(payload, options = {}) {
+    const fingerprint = options.schema.fingerprint();
+
+    if (payload.schema !== fingerprint) {
+      throw new SchemaMismatchException(fingerprint, payload.schema);
+    }
+
+    const keyMap = options.keyMap || new KeyMap();
+    keyMap.hydrate(payload.keyMap);
+
+    const store = new Store(assign({}, options, { keyMap }));
+    store.cache.reset(payload.cache);
+
+    if (payload.transformLogHead) {
+      store.transformLog.append(payload.transformLogHead);
+    }
+
+    return store;
+  }
+
   /////////////////////////////////////////////////////////////////////////////
   // Private methods
   /////////////////////////////////////////////////////////////////////////////
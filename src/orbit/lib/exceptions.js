@@ -51,3 +51,11 @@ export class QueryBuilderNotRegisteredException extends Exception {
     this.name = 'Orbit.QueryBuilderNotRegisteredException';
   }
 }
+
+export class QueryExpressionParseError extends Exception {
+  constructor(message, expression) {
+    super(message);
+    this.expression = expression;
+    this.name = 'Orbit.QueryExpressionParseError';
+  }
+}
@@ -1,5 +1,6 @@
 /* eslint-disable valid-jsdoc */
 import { uuid } from './lib/uuid';
+import { queryExpressionFromJSON } from './query/expression';
 
 /**
  Queries are used to extract data from a source.
@@ -21,9 +22,39 @@ export default class Query {
 
     this.id = options.id || uuid();
   }
+
+  /**
+   Returns a plain JSON-compatible representation of this query, which can be
+   converted back into a query with `Query.fromJSON`.
+
+   @method toJSON
+   @returns {Object} JSON representation of the query
+   */
+  toJSON() {
+    const expression = this.expression;
+
+    return {
+      id: this.id,
+      expression: expression && expression.toJSON ? expression.toJSON() : expression
+    };
+  }
 }
 
-Query.from = function(queryOrExpression) {
+/**
+ Creates a query from a query, a query expression, a term (which responds to
+ `toQueryExpression`) or a function which returns either of those when called
+ with a `queryBuilder`.
+
+ @method from
+ @param {Object|Function} queryOrExpression - query, expression, term or function
+ @param {Object} [queryBuilder] - query builder passed to functions
+ @returns {Query} query
+ */
+Query.from = function(queryOrExpression, queryBuilder) {
+  if (typeof queryOrExpression === 'function') {
+    queryOrExpression = queryOrExpression(queryBuilder);
+  }
+
   if (queryOrExpression.toQueryExpression) {
     return new Query(queryOrExpression.toQueryExpression());
   } else if (queryOrExpression instanceof Query) {
@@ -32,3 +63,17 @@ Query.from = function(queryOrExpression) {
     return new Query(queryOrExpression);
   }
 };
+
+/**
+ Creates a query from its JSON representation, as returned by `toJSON()`.
+
+ Unknown operators are rejected as they are by `queryExpressionFromJSON`.
+
+ @method fromJSON
+ @param {Object} json - JSON representation of a query
+ @param {Object|Boolean} [operators] - allowed operators, keyed by name
+ @returns {Query} query
+ */
+Query.fromJSON = function(json, operators) {
+  return new Query(queryExpressionFromJSON(json.expression, operators), { id: json.id });
+};
@@ -1,4 +1,5 @@
-import { isObject } from 'orbit/lib/objects';
+import { isArray, isObject } from 'orbit/lib/objects';
+import { QueryExpressionParseError } from 'orbit/lib/exceptions';
 
 class QueryExpression {
   constructor(op, args) {
@@ -11,6 +12,24 @@ class QueryExpression {
     const formattedArgs = this.args.map(arg => '' + arg).join(', ');
     return `${this.op}(${formattedArgs})`;
   }
+
+  /**
+   Returns a plain JSON-compatible representation of this expression, which
+   can be converted back into an expression with `queryExpressionFromJSON`.
+
+   Nested expressions, regular expressions and dates are tagged so that they
+   can be distinguished from plain objects when parsed.
+
+   @method toJSON
+   @returns {Object} JSON representation of the expression
+   */
+  toJSON() {
+    return {
+      __oqe__: true,
+      op: this.op,
+      args: this.args.map(serializeValue)
+    };
+  }
 }
 
 export function queryExpression(op, ...args) {
@@ -21,4 +40,130 @@ export function isQueryExpression(obj) {
   return isObject(obj) && obj.__oqe__;
 }
 
+/**
+ The operators of expressions built by the query builders, which are the
+ operators allowed by `queryExpressionFromJSON` unless others are specified.
+
+ @property QueryExpressionOperators
+ @type {Object}
+ */
+export const QueryExpressionOperators = [
+  'and', 'or', 'equal', 'notEqual', 'gt', 'gte', 'lt', 'lte', 'in',
+  'contains', 'startsWith', 'match', 'isNull', 'includes', 'get',
+  'attribute', 'relationship', 'record', 'records', 'relatedRecord',
+  'relatedRecords', 'filter', 'sort', 'page', 'include', 'select', 'exists',
+  'first', 'count', 'sum', 'min', 'max', 'groupBy'
+].reduce((operators, op) => {
+  operators[op] = true;
+  return operators;
+}, {});
+
+/**
+ Converts the JSON representation of a query expression, as returned by
+ `toJSON()`, back into a query expression.
+
+ Expressions with operators other than `QueryExpressionOperators` are
+ rejected. Other operators can be allowed by specifying `operators` (e.g.
+ the operators of a `QueryEvaluator`, or `QueryExpressionOperators` merged
+ with custom operators), or validation can be skipped with `false`.
+
+ @method queryExpressionFromJSON
+ @param {Object} json - JSON representation of a query expression
+ @param {Object|Boolean} [operators] - allowed operators, keyed by name
+ @returns {QueryExpression} query expression
+ */
+export function queryExpressionFromJSON(json, operators = QueryExpressionOperators) {
+  if (!isObject(json) || !json.__oqe__) {
+    throw new QueryExpressionParseError('Query expression JSON must be an expression.', json);
+  }
+
+  return parseValue(json, operators, 'expression');
+}
+
+function serializeValue(value) {
+  if (isQueryExpression(value)) {
+    return value.toJSON();
+  } else if (value instanceof RegExp) {
+    return { __regexp__: { source: value.source, flags: value.flags } };
+  } else if (value instanceof Date) {
+    return { __date__: value.toISOString() };
+  } else if (isArray(value)) {
+    return value.map(serializeValue);
+  } else if (isObject(value)) {
+    const json = {};
+    Object.keys(value).forEach(key => {
+      json[key] = serializeValue(value[key]);
+    });
+    return json;
+  } else {
+    return value;
+  }
+}
+
+function parseValue(json, operators, path) {
+  if (isArray(json)) {
+    return json.map((value, i) => parseValue(value, operators, `${path}[${i}]`));
+  } else if (isObject(json)) {
+    if (json.__oqe__) {
+      return parseExpression(json, operators, path);
+    } else if (json.__regexp__) {
+      return parseRegExp(json, path);
+    } else if (json.__date__) {
+      return parseDate(json, path);
+    }
+
+    const value = {};
+    Object.keys(json).forEach(key => {
+      if (key.indexOf('__') === 0) {
+        throw new QueryExpressionParseError(`Unrecognized tagged value '${key}' at ${path}.`, json);
+      }
+
+      value[key] = parseValue(json[key], operators, `${path}.${key}`);
+    });
+    return value;
+  } else if (json === null || typeof json === 'string' || typeof json === 'number' || typeof json === 'boolean') {
+    return json;
+  } else {
+    throw new QueryExpressionParseError(`Invalid value at ${path}.`, json);
+  }
+}
+
+function parseExpression(json, operators, path) {
+  const { op, args } = json;
+
+  if (typeof op !== 'string' || !isArray(args) || Object.keys(json).length !== 3) {
+    throw new QueryExpressionParseError(`Malformed query expression at ${path}.`, json);
+  }
+
+  if (operators && !operators.hasOwnProperty(op)) {
+    throw new QueryExpressionParseError(`Unknown query operator '${op}' at ${path}.`, json);
+  }
+
+  return new QueryExpression(op, args.map((arg, i) => parseValue(arg, operators, `${path}.args[${i}]`)));
+}
+
+function parseRegExp(json, path) {
+  const { source, flags } = json.__regexp__;
+
+  if (typeof source !== 'string' || typeof flags !== 'string' || Object.keys(json).length !== 1) {
+    throw new QueryExpressionParseError(`Malformed regular expression at ${path}.`, json);
+  }
+
+  try {
+    return new RegExp(source, flags);
+  } catch (e) {
+    throw new QueryExpressionParseError(`Invalid regular expression at ${path}: ${e.message}`, json);
+  }
+}
+
+function parseDate(json, path) {
+  const date = new Date(json.__date__);
+
+  if (typeof json.__date__ !== 'string' || isNaN(date.getTime()) || Object.keys(json).length !== 1) {
+    throw new QueryExpressionParseError(`Malformed date at ${path}.`, json);
+  }
+
+  return date;
+}
+
 export default QueryExpression;
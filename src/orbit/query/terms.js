@@ -20,4 +20,44 @@ export class Value extends TermBase {
   equal(value) {
     return oqe('equal', this.expression, value);
   }
+
+  notEqual(value) {
+    return oqe('notEqual', this.expression, value);
+  }
+
+  gt(value) {
+    return oqe('gt', this.expression, value);
+  }
+
+  gte(value) {
+    return oqe('gte', this.expression, value);
+  }
+
+  lt(value) {
+    return oqe('lt', this.expression, value);
+  }
+
+  lte(value) {
+    return oqe('lte', this.expression, value);
+  }
+
+  in(values) {
+    return oqe('in', this.expression, values);
+  }
+
+  contains(value) {
+    return oqe('contains', this.expression, value);
+  }
+
+  startsWith(value) {
+    return oqe('startsWith', this.expression, value);
+  }
+
+  match(regex) {
+    return oqe('match', this.expression, regex);
+  }
+
+  isNull() {
+    return oqe('isNull', this.expression);
+  }
 }
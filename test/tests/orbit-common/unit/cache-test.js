@@ -3,8 +3,10 @@ import Schema from 'orbit-common/schema';
 import KeyMap from 'orbit-common/key-map';
 import { queryExpression as oqe } from 'orbit/query/expression';
 import {
+  DuplicateRecordIdException,
   RecordNotFoundException,
-  ModelNotRegisteredException
+  ModelNotRegisteredException,
+  RelationshipNotRegisteredException
 } from 'orbit-common/lib/exceptions';
 import {
   addRecord,
@@ -147,6 +149,127 @@ test('#patch updates the cache and returns an array of inverse ops', function(as
   );
 });
 
+test('#patch emits a single `patches` event with the applied operations and their inverse', function(assert) {
+  const inverseSchema = new Schema({
+    models: {
+      planet: {
+        relationships: {
+          moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+        }
+      },
+      moon: {
+        relationships: {
+          planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+        }
+      }
+    }
+  });
+
+  let cache = new Cache({ schema: inverseSchema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'p1' };
+  const io = { type: 'moon', id: 'm1' };
+
+  cache.patch(addRecord(jupiter));
+
+  const batches = [];
+  let patchCount = 0;
+
+  cache.on('patch', () => patchCount++);
+  cache.on('patches', batch => batches.push(batch));
+
+  const inverse = cache.patch([
+    addRecord(io),
+    replaceHasOne(io, 'planet', jupiter),
+    removeRecord({ type: 'planet', id: 'p2' })
+  ]);
+
+  assert.equal(batches.length, 1, 'one batch is emitted per patch');
+  assert.equal(batches[0].operations.length, patchCount, 'batch includes every applied operation');
+  assert.deepEqual(
+    batches[0].operations.map(operation => operation.op),
+    ['addRecord', 'replaceHasOne', 'addToHasMany'],
+    'batch includes related operations, in the order in which they were applied'
+  );
+  assert.strictEqual(batches[0].inverse, inverse, 'batch includes the inverse operations');
+
+  cache.patch(removeRecord({ type: 'planet', id: 'p2' }));
+
+  assert.equal(batches.length, 1, 'no batch is emitted when no operations are applied');
+});
+
+test('#restore returns the cache to the state of a snapshot, emitting the operations that changed', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'p1', keys: { remoteId: 'r1' }, attributes: { name: 'Jupiter', classification: 'gas giant' }, relationships: { moons: { data: { 'moon:m1': true } } } };
+  const io = { type: 'moon', id: 'm1', attributes: { name: 'Io' }, relationships: { planet: { data: 'planet:p1' } } };
+  const europa = { type: 'moon', id: 'm2', attributes: { name: 'Europa' }, relationships: { planet: { data: null } } };
+
+  cache.patch([addRecord(jupiter), addRecord(io), addRecord(europa)]);
+
+  const snapshot = cache.snapshot();
+
+  cache.patch([
+    replaceAttribute(jupiter, 'name', 'Jove'),
+    addToHasMany(jupiter, 'moons', europa),
+    replaceHasOne(europa, 'planet', jupiter),
+    removeRecord(io),
+    addRecord({ type: 'planet', id: 'p2', attributes: { name: 'Saturn' } })
+  ]);
+
+  const current = cache.get([]);
+  const operations = [];
+  const batches = [];
+
+  cache.on('patch', operation => operations.push(operation));
+  cache.on('patches', batch => batches.push(batch));
+
+  const inverse = cache.restore(snapshot);
+
+  assert.deepEqual(cache.get([]), snapshot.doc.toJS(), 'document is restored');
+  assert.deepEqual(cache.get('planet/p1'), jupiter, 'record is restored');
+
+  assert.deepEqual(operations, [
+    replaceAttribute({ type: 'planet', id: 'p1' }, 'name', 'Jupiter'),
+    addToHasMany({ type: 'planet', id: 'p1' }, 'moons', { type: 'moon', id: 'm1' }),
+    removeFromHasMany({ type: 'planet', id: 'p1' }, 'moons', { type: 'moon', id: 'm2' }),
+    removeRecord({ type: 'planet', id: 'p2' }),
+    replaceHasOne({ type: 'moon', id: 'm2' }, 'planet', null),
+    addRecord(io)
+  ], 'only operations for changed fields are emitted');
+
+  assert.equal(batches.length, 1, 'a single batch is emitted');
+  assert.deepEqual(batches[0].operations, operations);
+  assert.strictEqual(batches[0].inverse, inverse);
+
+  cache.patch(inverse);
+
+  assert.deepEqual(cache.get([]), current, 'inverse operations undo the restore');
+});
+
+test('#restore restores reverse links, so that references to restored records are cleared when they are removed', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'p1', attributes: { name: 'Jupiter' } };
+  const io = { type: 'moon', id: 'm1', attributes: { name: 'Io' }, relationships: { planet: { data: 'planet:p1' } } };
+
+  cache.patch([addRecord(jupiter), addRecord(io)]);
+
+  const snapshot = cache.snapshot();
+
+  cache.patch(removeRecord(jupiter));
+
+  assert.equal(cache.get('moon/m1/relationships/planet/data'), undefined, 'Jupiter has been cleared from Io');
+
+  cache.restore(snapshot);
+
+  assert.equal(cache.get('moon/m1/relationships/planet/data'), 'planet:p1', 'Jupiter has been restored to Io');
+
+  cache.patch(removeRecord(jupiter));
+
+  assert.equal(cache.get('moon/m1/relationships/planet/data'), undefined, 'Jupiter has been cleared from Io again');
+});
+
 test('#patch tracks refs and clears them from hasOne relationships when a referenced record is removed', function(assert) {
   let cache = new Cache({ schema, keyMap });
 
@@ -414,8 +537,7 @@ test('#patch removes dependent records', function(assert) {
   // Removing the moon should remove the planet should remove the other moon
   cache.patch(removeRecord(io));
 
-  // TODO-investigate why there's still a moon left
-  // assert.equal(cache.length('moon'), 0, 'No moons left in store');
+  assert.equal(cache.length('moon'), 0, 'No moons left in store');
   assert.equal(cache.length('planet'), 0, 'No planets left in store');
 });
 
@@ -544,6 +666,321 @@ test('#query can perform a complex conditional `or` filter', function(assert) {
   );
 });
 
+test('#query - filter - comparison predicates', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', mass: 317.8 } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', mass: 1 } };
+  let mars = { type: 'planet', id: 'mars', attributes: { name: 'Mars', mass: 0.107 } };
+  let pluto = { type: 'planet', id: 'pluto', attributes: { name: 'Pluto', mass: null } };
+
+  cache.reset({ planet: { jupiter, earth, mars, pluto } });
+
+  const filterByMass = (op, value) => cache.query(
+    oqe('filter', oqe('records', 'planet'), oqe(op, oqe('attribute', 'mass'), value))
+  );
+
+  assert.deepEqual(filterByMass('gt', 1), { jupiter }, 'gt');
+  assert.deepEqual(filterByMass('gte', 1), { jupiter, earth }, 'gte');
+  assert.deepEqual(filterByMass('lt', 1), { mars }, 'lt');
+  assert.deepEqual(filterByMass('lte', 1), { earth, mars }, 'lte');
+  assert.deepEqual(filterByMass('notEqual', 1), { jupiter, mars, pluto }, 'notEqual');
+});
+
+test('#query - filter - membership and text predicates', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', tags: ['giant', 'ringed'] } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', tags: ['home'] } };
+  let mars = { type: 'planet', id: 'mars', attributes: { name: 'Mars', classification: 'terrestrial' } };
+  let pluto = { type: 'planet', id: 'pluto', attributes: { name: 'Pluto', classification: null } };
+
+  cache.reset({ planet: { jupiter, earth, mars, pluto } });
+
+  const filter = (predicate) => cache.query(
+    oqe('filter', oqe('records', 'planet'), predicate)
+  );
+
+  assert.deepEqual(filter(oqe('in', oqe('attribute', 'name'), ['Earth', 'Pluto'])), { earth, pluto }, 'in');
+  assert.deepEqual(filter(oqe('contains', oqe('attribute', 'name'), 'ar')), { earth, mars }, 'contains - string');
+  assert.deepEqual(filter(oqe('contains', oqe('attribute', 'tags'), 'ringed')), { jupiter }, 'contains - array');
+  assert.deepEqual(filter(oqe('startsWith', oqe('attribute', 'name'), 'Ma')), { mars }, 'startsWith');
+  assert.deepEqual(filter(oqe('match', oqe('attribute', 'name'), /^[jp]/i)), { jupiter, pluto }, 'match');
+  assert.deepEqual(filter(oqe('match', oqe('attribute', 'name'), /r/g)), { jupiter, earth, mars }, 'match - global regex');
+  assert.deepEqual(filter(oqe('isNull', oqe('attribute', 'classification'))), { pluto }, 'isNull');
+});
+
+test('#query - filter - by related record', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+  let io = { type: 'moon', id: 'io', attributes: { name: 'Io' }, relationships: { planet: { data: 'planet:jupiter' } } };
+  let callisto = { type: 'moon', id: 'callisto', attributes: { name: 'Callisto' }, relationships: { planet: { data: 'planet:jupiter' } } };
+  let phobos = { type: 'moon', id: 'phobos', attributes: { name: 'Phobos' }, relationships: { planet: { data: 'planet:mars' } } };
+  let lonely = { type: 'moon', id: 'lonely', attributes: { name: 'Lonely' }, relationships: { planet: { data: null } } };
+
+  cache.reset({ planet: { jupiter }, moon: { io, callisto, phobos, lonely } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'moon'),
+          oqe('equal', oqe('relationship', 'planet'), { type: 'planet', id: 'jupiter' }))
+    ),
+    { io, callisto },
+    'equal'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'moon'),
+          oqe('isNull', oqe('relationship', 'planet')))
+    ),
+    { lonely },
+    'isNull'
+  );
+});
+
+test('#query - filter - by related records', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' }, relationships: { moons: { data: { 'moon:io': true, 'moon:callisto': true } } } };
+  let mars = { type: 'planet', id: 'mars', attributes: { name: 'Mars' }, relationships: { moons: { data: { 'moon:phobos': true } } } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus' }, relationships: { moons: { data: {} } } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury' } };
+
+  cache.reset({ planet: { jupiter, mars, venus, mercury } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('includes', oqe('relationship', 'moons'), { type: 'moon', id: 'phobos' }))
+    ),
+    { mars },
+    'includes'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('gt', oqe('count', oqe('relationship', 'moons')), 0))
+    ),
+    { jupiter, mars },
+    'count'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('records', 'planet'),
+          oqe('equal', oqe('count', oqe('relationship', 'moons')), 0))
+    ),
+    { venus, mercury },
+    'count of empty relationships'
+  );
+});
+
+test('#query - sort - orders records by an attribute in ascending order', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial' } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial' } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial' } };
+
+  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('sort',
+          oqe('records', 'planet'),
+          { field: oqe('attribute', 'name'), order: 'ascending' })
+    ),
+    [earth, jupiter, mercury, venus]
+  );
+});
+
+test('#query - sort - orders records by multiple attributes in mixed order', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial' } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial' } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury', classification: 'terrestrial' } };
+
+  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('sort',
+          oqe('records', 'planet'),
+          { field: oqe('attribute', 'classification'), order: 'descending' },
+          { field: oqe('attribute', 'name'), order: 'ascending' })
+    ),
+    [earth, mercury, venus, jupiter]
+  );
+});
+
+test('#query - sort - places null values last in ascending order and first in descending order by default', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', mass: 317 } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', mass: 1 } };
+  let pluto = { type: 'planet', id: 'pluto', attributes: { name: 'Pluto', mass: null } };
+
+  cache.reset({ planet: { pluto, jupiter, earth } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('sort',
+          oqe('records', 'planet'),
+          { field: oqe('attribute', 'mass'), order: 'ascending' })
+    ),
+    [earth, jupiter, pluto],
+    'nulls last when ascending'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('sort',
+          oqe('records', 'planet'),
+          { field: oqe('attribute', 'mass'), order: 'descending' })
+    ),
+    [pluto, jupiter, earth],
+    'nulls first when descending'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('sort',
+          oqe('records', 'planet'),
+          { field: oqe('attribute', 'mass'), order: 'ascending', nulls: 'first' })
+    ),
+    [pluto, earth, jupiter],
+    'null placement can be specified'
+  );
+});
+
+test('#query - sort - can sort filtered records and filter sorted records', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial' } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial' } };
+
+  cache.reset({ planet: { jupiter, earth, venus } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('sort',
+          oqe('filter',
+              oqe('records', 'planet'),
+              oqe('equal', oqe('attribute', 'classification'), 'terrestrial')),
+          { field: oqe('attribute', 'name'), order: 'descending' })
+    ),
+    [venus, earth],
+    'sort after filter'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('filter',
+          oqe('sort',
+              oqe('records', 'planet'),
+              { field: oqe('attribute', 'name'), order: 'descending' }),
+          oqe('equal', oqe('attribute', 'classification'), 'terrestrial'))
+    ),
+    [venus, earth],
+    'filter after sort'
+  );
+});
+
+test('#query - page - returns a window of records with offset and limit', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus' } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury' } };
+
+  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+
+  assert.deepEqual(
+    cache.query(
+      oqe('page',
+          oqe('sort',
+              oqe('records', 'planet'),
+              { field: oqe('attribute', 'name'), order: 'ascending' }),
+          { offset: 1, limit: 2 })
+    ),
+    {
+      data: [jupiter, mercury],
+      meta: { total: 4, offset: 1, limit: 2 }
+    },
+    'window in the middle of the results'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('page',
+          oqe('sort',
+              oqe('records', 'planet'),
+              { field: oqe('attribute', 'name'), order: 'ascending' }),
+          { offset: 3, limit: 2 })
+    ),
+    {
+      data: [venus],
+      meta: { total: 4, offset: 3, limit: 2 }
+    },
+    'window at the end of the results'
+  );
+});
+
+test('#query - page - returns a window of records after a cursor', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  let jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+  let earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' } };
+  let venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus' } };
+  let mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury' } };
+
+  cache.reset({ planet: { jupiter, earth, venus, mercury } });
+
+  const sorted = oqe('sort',
+                     oqe('records', 'planet'),
+                     { field: oqe('attribute', 'name'), order: 'ascending' });
+
+  assert.deepEqual(
+    cache.query(oqe('page', sorted, { size: 2 })),
+    {
+      data: [earth, jupiter],
+      meta: { total: 4, after: undefined, size: 2, next: 'jupiter' }
+    },
+    'first page'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('page', sorted, { after: 'jupiter', size: 2 })),
+    {
+      data: [mercury, venus],
+      meta: { total: 4, after: 'jupiter', size: 2, next: null }
+    },
+    'last page'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('page', sorted, { after: 'pluto', size: 2 })),
+    {
+      data: [],
+      meta: { total: 4, after: 'pluto', size: 2, next: null }
+    },
+    'unknown cursor'
+  );
+});
+
 test('#query - record', function(assert) {
   let cache = new Cache({ schema, keyMap });
 
@@ -669,3 +1106,512 @@ test('#query - relatedRecord', function(assert) {
     }
   );
 });
+
+test('#query - include - returns primary and included records', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = {
+    id: 'jupiter', type: 'planet',
+    attributes: { name: 'Jupiter' },
+    relationships: { moons: { data: { 'moon:callisto': true, 'moon:europa': true } } } };
+
+  const saturn = {
+    id: 'saturn', type: 'planet',
+    attributes: { name: 'Saturn' },
+    relationships: { moons: { data: {} } } };
+
+  const callisto = {
+    id: 'callisto', type: 'moon',
+    attributes: { name: 'Callisto' },
+    relationships: { planet: { data: 'planet:jupiter' } } };
+
+  const europa = {
+    id: 'europa', type: 'moon',
+    attributes: { name: 'Europa' },
+    relationships: { planet: { data: 'planet:jupiter' } } };
+
+  cache.reset({ planet: { jupiter, saturn }, moon: { callisto, europa } });
+
+  assert.deepEqual(
+    cache.query(oqe('include', oqe('record', { type: 'planet', id: 'jupiter' }), 'moons')),
+    {
+      primary: jupiter,
+      included: [callisto, europa]
+    },
+    'includes related records of a single record'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('include', oqe('record', { type: 'moon', id: 'callisto' }), 'planet', 'planet.moons')),
+    {
+      primary: callisto,
+      included: [jupiter, europa]
+    },
+    'follows nested relationship paths, without duplicating primary records'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('include', oqe('records', 'planet'), 'moons')),
+    {
+      primary: { jupiter, saturn },
+      included: [callisto, europa]
+    },
+    'includes related records of many records'
+  );
+
+  assert.throws(
+    () => cache.query(oqe('include', oqe('records', 'planet'), 'rings')),
+    RelationshipNotRegisteredException,
+    'throws for unknown relationships'
+  );
+});
+
+test('#query - count, sum, min and max - aggregate the selected records', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', mass: 318 } };
+  const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn', classification: 'gas giant', mass: 95 } };
+  const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', mass: 1 } };
+  const pluto = { type: 'planet', id: 'pluto', attributes: { name: 'Pluto', classification: 'dwarf' } };
+
+  cache.reset({ planet: { jupiter, saturn, earth, pluto } });
+
+  const gasGiants = oqe('filter', oqe('records', 'planet'), oqe('equal', oqe('attribute', 'classification'), 'gas giant'));
+
+  assert.equal(cache.query(oqe('count', oqe('records', 'planet'))), 4, 'count');
+  assert.equal(cache.query(oqe('count', gasGiants)), 2, 'count of filtered records');
+  assert.equal(cache.query(oqe('count', oqe('page', oqe('sort', oqe('records', 'planet'), { field: oqe('attribute', 'name'), order: 'ascending' }), { offset: 1, limit: 2 }))), 2, 'count of a page');
+  assert.equal(cache.query(oqe('sum', oqe('records', 'planet'), oqe('attribute', 'mass'))), 414, 'sum ignores missing values');
+  assert.equal(cache.query(oqe('min', oqe('records', 'planet'), oqe('attribute', 'mass'))), 1, 'min');
+  assert.equal(cache.query(oqe('max', gasGiants, oqe('attribute', 'mass'))), 318, 'max');
+  assert.strictEqual(cache.query(oqe('min', oqe('records', 'moon'), oqe('attribute', 'mass'))), null, 'min of no records');
+  assert.equal(cache.query(oqe('sum', oqe('records', 'moon'), oqe('attribute', 'mass'))), 0, 'sum of no records');
+});
+
+test('#query - groupBy - groups records by an attribute or related record', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', mass: 318 } };
+  const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn', classification: 'gas giant', mass: 95 } };
+  const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', mass: 1 } };
+  const io = { type: 'moon', id: 'io', relationships: { planet: { data: 'planet:jupiter' } } };
+  const europa = { type: 'moon', id: 'europa', relationships: { planet: { data: 'planet:jupiter' } } };
+  const titan = { type: 'moon', id: 'titan', relationships: { planet: { data: 'planet:saturn' } } };
+  const lonely = { type: 'moon', id: 'lonely', relationships: { planet: { data: null } } };
+
+  cache.reset({ planet: { jupiter, saturn, earth }, moon: { io, europa, titan, lonely } });
+
+  const byClassification = oqe('groupBy', oqe('records', 'planet'), oqe('attribute', 'classification'));
+  const byPlanet = oqe('groupBy', oqe('records', 'moon'), oqe('relationship', 'planet'));
+
+  assert.deepEqual(
+    cache.query(byClassification),
+    { 'gas giant': { jupiter, saturn }, terrestrial: { earth } },
+    'groups records'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('sum', byClassification, oqe('attribute', 'mass'))),
+    { 'gas giant': 413, terrestrial: 1 },
+    'aggregates each group'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('count', byPlanet)),
+    { 'planet:jupiter': 2, 'planet:saturn': 1, 'null': 1 },
+    'groups by related record'
+  );
+});
+
+test('#query - select - projects the selected fields of records', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = {
+    type: 'planet', id: 'jupiter',
+    attributes: { name: 'Jupiter', classification: 'gas giant', mass: 318 },
+    relationships: { moons: { data: { 'moon:io': true } } } };
+
+  const earth = {
+    type: 'planet', id: 'earth',
+    attributes: { name: 'Earth', mass: 1 } };
+
+  const io = {
+    type: 'moon', id: 'io',
+    attributes: { name: 'Io' },
+    relationships: { planet: { data: 'planet:jupiter' } } };
+
+  cache.reset({ planet: { jupiter, earth }, moon: { io } });
+
+  assert.deepEqual(
+    cache.query(oqe('select', oqe('records', 'planet'), 'name', 'classification')),
+    {
+      jupiter: { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } },
+      earth: { type: 'planet', id: 'earth', attributes: { name: 'Earth' } }
+    },
+    'attributes are projected, omitting those without values'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('select', oqe('record', { type: 'planet', id: 'jupiter' }), 'moons')),
+    { type: 'planet', id: 'jupiter', relationships: { moons: { data: { 'moon:io': true } } } },
+    'relationships are projected'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('select', oqe('relatedRecords', { type: 'planet', id: 'jupiter' }, 'moons'), 'name')),
+    { io: { type: 'moon', id: 'io', attributes: { name: 'Io' } } },
+    'related records are projected'
+  );
+
+  assert.deepEqual(
+    cache.query(
+      oqe('select',
+          oqe('sort',
+              oqe('filter', oqe('records', 'planet'), oqe('gt', oqe('attribute', 'mass'), 0)),
+              { field: oqe('attribute', 'mass'), order: 'descending' }),
+          'name')
+    ),
+    [
+      { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } },
+      { type: 'planet', id: 'earth', attributes: { name: 'Earth' } }
+    ],
+    'filters and sorts may still use fields that are not selected'
+  );
+});
+
+test('#query - select - does not convert entire records', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } };
+
+  cache.reset({ planet: { jupiter } });
+
+  const paths = [];
+  const get = cache.get;
+  cache.get = function(path) {
+    paths.push(path.join('/'));
+    return get.apply(this, arguments);
+  };
+
+  cache.query(oqe('select', oqe('records', 'planet'), 'name'));
+
+  assert.deepEqual(paths, ['planet/jupiter/attributes/name']);
+});
+
+test('#query - relatedRecords - can be filtered, sorted and paged', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = {
+    type: 'planet', id: 'jupiter',
+    attributes: { name: 'Jupiter' },
+    relationships: { moons: { data: { 'moon:io': true, 'moon:europa': true, 'moon:callisto': true } } } };
+
+  const io = { type: 'moon', id: 'io', attributes: { name: 'Io', radius: 1822 } };
+  const europa = { type: 'moon', id: 'europa', attributes: { name: 'Europa', radius: 1561 } };
+  const callisto = { type: 'moon', id: 'callisto', attributes: { name: 'Callisto', radius: 2410 } };
+  const phobos = { type: 'moon', id: 'phobos', attributes: { name: 'Phobos', radius: 11 } };
+
+  cache.reset({ planet: { jupiter }, moon: { io, europa, callisto, phobos } });
+
+  const moons = oqe('relatedRecords', { type: 'planet', id: 'jupiter' }, 'moons');
+
+  assert.deepEqual(
+    cache.query(oqe('filter', moons, oqe('gt', oqe('attribute', 'radius'), 1700))),
+    { io, callisto },
+    'filter'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('sort', moons, { field: oqe('attribute', 'name'), order: 'ascending' })),
+    [callisto, europa, io],
+    'sort'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('page', oqe('sort', moons, { field: oqe('attribute', 'radius'), order: 'descending' }), { offset: 0, limit: 2 })).data,
+    [callisto, io],
+    'page'
+  );
+});
+
+test('#query - exists and first - find whether and which records match', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } };
+  const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial' } };
+  const venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial' } };
+
+  cache.reset({ planet: { jupiter, earth, venus } });
+
+  const terrestrial = oqe('filter', oqe('records', 'planet'), oqe('equal', oqe('attribute', 'classification'), 'terrestrial'));
+  const dwarfs = oqe('filter', oqe('records', 'planet'), oqe('equal', oqe('attribute', 'classification'), 'dwarf'));
+
+  assert.strictEqual(cache.query(oqe('exists', terrestrial)), true, 'exists with matches');
+  assert.strictEqual(cache.query(oqe('exists', dwarfs)), false, 'exists without matches');
+  assert.strictEqual(cache.query(oqe('exists', oqe('records', 'moon'))), false, 'exists without records');
+
+  assert.deepEqual(cache.query(oqe('first', terrestrial)), earth, 'first match');
+  assert.strictEqual(cache.query(oqe('first', dwarfs)), null, 'first without matches');
+  assert.deepEqual(
+    cache.query(oqe('first', oqe('sort', terrestrial, { field: oqe('attribute', 'name'), order: 'descending' }))),
+    venus,
+    'first of sorted records'
+  );
+});
+
+test('#query - exists and first - stop evaluating filters once a match is found', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } };
+  const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial' } };
+  const venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus', classification: 'terrestrial' } };
+
+  cache.reset({ planet: { jupiter, earth, venus } });
+
+  const paths = [];
+  const get = cache.get;
+  cache.get = function(path) {
+    paths.push(path.join('/'));
+    return get.apply(this, arguments);
+  };
+
+  const terrestrial = oqe('filter', oqe('records', 'planet'), oqe('equal', oqe('attribute', 'classification'), 'terrestrial'));
+
+  assert.deepEqual(cache.query(oqe('first', terrestrial)), earth);
+  assert.deepEqual(
+    paths,
+    ['planet/jupiter/attributes/classification', 'planet/earth/attributes/classification', 'planet/earth'],
+    'only records up to the first match are evaluated, and only the match is fetched'
+  );
+});
+
+module('OC - Cache - polymorphic relationships', {
+  setup() {
+    schema = new Schema({
+      models: {
+        post: {
+          attributes: {
+            title: { type: 'string' }
+          },
+          relationships: {
+            attachments: { type: 'hasMany', model: ['image', 'video'], inverse: 'post' }
+          }
+        },
+        image: {
+          attributes: {
+            name: { type: 'string' },
+            size: { type: 'number' }
+          },
+          relationships: {
+            post: { type: 'hasOne', model: 'post', inverse: 'attachments' }
+          }
+        },
+        video: {
+          attributes: {
+            name: { type: 'string' },
+            size: { type: 'number' }
+          },
+          relationships: {
+            post: { type: 'hasOne', model: 'post', inverse: 'attachments' }
+          }
+        }
+      }
+    });
+
+    keyMap = new KeyMap();
+  },
+
+  teardown() {
+    schema = null;
+    keyMap = null;
+  }
+});
+
+const post = { type: 'post', id: 'post1', attributes: { title: 'Holiday' } };
+const photo = { type: 'image', id: 'photo', attributes: { name: 'Photo', size: 10 } };
+const clip = { type: 'video', id: 'clip', attributes: { name: 'Clip', size: 100 } };
+
+test('#patch maintains the inverses of polymorphic relationships', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  cache.patch([
+    addRecord(post),
+    addRecord(photo),
+    addRecord(clip),
+    addToHasMany(post, 'attachments', photo),
+    addToHasMany(post, 'attachments', clip)
+  ]);
+
+  assert.deepEqual(cache.get(['post', 'post1', 'relationships', 'attachments', 'data']), { 'image:photo': true, 'video:clip': true }, 'related records of several models');
+  assert.equal(cache.get(['image', 'photo', 'relationships', 'post', 'data']), 'post:post1', 'inverse on one model');
+  assert.equal(cache.get(['video', 'clip', 'relationships', 'post', 'data']), 'post:post1', 'inverse on another model');
+
+  cache.patch(removeRecord(clip));
+
+  assert.deepEqual(cache.get(['post', 'post1', 'relationships', 'attachments', 'data']), { 'image:photo': true }, 'removed record is removed from the relationship');
+});
+
+test('#query - can filter and sort the related records of a polymorphic relationship', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  cache.patch([
+    addRecord(post),
+    addRecord(photo),
+    addRecord(clip),
+    addToHasMany(post, 'attachments', photo),
+    addToHasMany(post, 'attachments', clip)
+  ]);
+
+  const attachments = oqe('relatedRecords', post, 'attachments');
+
+  assert.deepEqual(
+    cache.query(oqe('filter', attachments, oqe('gt', oqe('attribute', 'size'), 50))),
+    [cache.get(['video', 'clip'])],
+    'filtered related records'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('sort', attachments, { field: oqe('attribute', 'size'), order: 'descending' })).map(record => record.id),
+    ['clip', 'photo'],
+    'sorted related records'
+  );
+});
+
+test('#query - returns related records of a polymorphic relationship that share ids', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  const image = { type: 'image', id: '1', attributes: { name: 'Image', size: 10 } };
+  const video = { type: 'video', id: '1', attributes: { name: 'Video', size: 100 } };
+
+  cache.patch([
+    addRecord(post),
+    addRecord(image),
+    addRecord(video),
+    addToHasMany(post, 'attachments', image),
+    addToHasMany(post, 'attachments', video)
+  ]);
+
+  const attachments = oqe('relatedRecords', post, 'attachments');
+
+  assert.deepEqual(
+    cache.query(attachments).map(record => `${record.type}:${record.id}`),
+    ['image:1', 'video:1'],
+    'related records of each type'
+  );
+
+  assert.equal(cache.query(oqe('count', attachments)), 2, 'related records are counted');
+
+  assert.deepEqual(
+    cache.query(oqe('filter', attachments, oqe('gt', oqe('attribute', 'size'), 50))),
+    [cache.get(['video', '1'])],
+    'related records are filtered with their own types'
+  );
+});
+
+module('OC - Cache - model inheritance', {
+  setup() {
+    schema = new Schema({
+      models: {
+        planet: {
+          attributes: {
+            name: { type: 'string' },
+            mass: { type: 'number' }
+          },
+          relationships: {
+            moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+          }
+        },
+        gasGiant: {
+          extends: 'planet',
+          attributes: {
+            ringCount: { type: 'number' }
+          }
+        },
+        moon: {
+          attributes: {
+            name: { type: 'string' }
+          },
+          relationships: {
+            planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+          }
+        }
+      }
+    });
+
+    keyMap = new KeyMap();
+  },
+
+  teardown() {
+    schema = null;
+    keyMap = null;
+  }
+});
+
+const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', mass: 1 } };
+const saturn = { type: 'gasGiant', id: 'saturn', attributes: { name: 'Saturn', mass: 95, ringCount: 7 } };
+const titan = { type: 'moon', id: 'titan', attributes: { name: 'Titan' } };
+
+test('#query - includes the records of subtypes only when requested', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  cache.patch([
+    addRecord(earth),
+    addRecord(saturn)
+  ]);
+
+  assert.deepEqual(cache.query(oqe('records', 'planet')), { earth: cache.get(['planet', 'earth']) }, 'subtypes are excluded by default');
+
+  const planets = oqe('records', 'planet', { includeSubtypes: true });
+
+  assert.deepEqual(
+    cache.query(planets),
+    { earth: cache.get(['planet', 'earth']), saturn: cache.get(['gasGiant', 'saturn']) },
+    'subtypes are included'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('filter', planets, oqe('gt', oqe('attribute', 'mass'), 10))),
+    { saturn: cache.get(['gasGiant', 'saturn']) },
+    'records of subtypes can be filtered'
+  );
+
+  assert.deepEqual(
+    cache.query(oqe('sort', planets, { field: oqe('attribute', 'mass'), order: 'descending' })).map(record => record.id),
+    ['saturn', 'earth'],
+    'records of subtypes can be sorted'
+  );
+
+  assert.equal(cache.query(oqe('first', oqe('filter', planets, oqe('equal', oqe('attribute', 'name'), 'Saturn')))).id, 'saturn', 'first match among subtypes');
+
+  const jupiter = { type: 'gasGiant', id: 'jupiter', attributes: { name: 'Jupiter', mass: 318 } };
+  cache.patch(addRecord(jupiter));
+
+  assert.deepEqual(Object.keys(cache.query(planets)).sort(), ['earth', 'jupiter', 'saturn'], 'results are updated when subtype records are added');
+});
+
+test('#patch relates records of subtypes through inherited relationships', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  cache.patch([
+    addRecord(saturn),
+    addRecord(titan),
+    replaceHasOne(titan, 'planet', saturn)
+  ]);
+
+  assert.deepEqual(cache.get(['gasGiant', 'saturn', 'relationships', 'moons', 'data']), { 'moon:titan': true }, 'inverse is maintained on the subtype');
+  assert.deepEqual(cache.query(oqe('relatedRecord', titan, 'planet')), { saturn: cache.get(['gasGiant', 'saturn']) }, 'related record of a subtype');
+});
+
+test('#query - rejects records of subtypes that share ids', function(assert) {
+  let cache = new Cache({ schema, keyMap });
+
+  cache.patch([
+    addRecord(earth),
+    addRecord({ type: 'gasGiant', id: 'earth', attributes: { name: 'Giant Earth', mass: 300 } })
+  ]);
+
+  const planets = oqe('records', 'planet', { includeSubtypes: true });
+
+  assert.throws(() => cache.query(planets), DuplicateRecordIdException, 'records');
+  assert.throws(() => cache.query(oqe('filter', planets, oqe('gt', oqe('attribute', 'mass'), 0))), DuplicateRecordIdException, 'filtered records');
+});
@@ -26,6 +26,9 @@ const planetsSchema = new Schema({
       relationships: {
         planet: { type: 'hasOne', model: 'planet' }
       }
+    },
+    gasGiant: {
+      extends: 'planet'
     }
   }
 });
@@ -70,6 +73,27 @@ module('OC - Cache - liveQuery', function(hooks) {
     ]);
   });
 
+  test('records - including subtypes', function(assert) {
+    const done = assert.async();
+    const saturn = { type: 'gasGiant', id: 'saturn', attributes: { name: 'Saturn' } };
+    const liveQuery = cache.liveQuery(qb.records('planet', { includeSubtypes: true }));
+
+    liveQuery.take(2).toArray().subscribe((operations) => {
+      assert.deepEqual(operations, [
+        { op: 'addRecord', record: saturn },
+        { op: 'addRecord', record: pluto }
+      ]);
+
+      done();
+    });
+
+    cache.patch([
+      addRecord(saturn),
+      addRecord(io),
+      addRecord(pluto)
+    ]);
+  });
+
   test('filter - add new match', function(assert) {
     const done = assert.async();
 
@@ -182,6 +206,75 @@ module('OC - Cache - liveQuery', function(hooks) {
     assert.equal(onOperation.getCalls().length, 0);
   });
 
+  test('filter - comparison predicate', function(assert) {
+    const done = assert.async();
+
+    const liveQuery = cache.liveQuery(
+      qb.records('planet').filter(record => record.attribute('name').startsWith('P'))
+    );
+
+    liveQuery.take(2).toArray().subscribe(operations => {
+      assert.deepEqual(operations, [
+        { op: 'addRecord', record: pluto },
+        { op: 'removeRecord', record: pluto }
+      ]);
+      done();
+    });
+
+    cache.patch([
+      addRecord(jupiter),
+      addRecord(pluto),
+      replaceAttribute(pluto, 'name', 'Ex-Pluto')
+    ]);
+  });
+
+  test('filter - by related record', function(assert) {
+    const done = assert.async();
+
+    cache.reset({ planet: { jupiter, pluto }, moon: { callisto, io } });
+
+    const liveQuery = cache.liveQuery(
+      qb.records('moon').filter(record => record.relatedRecord('planet').equal(jupiter))
+    );
+
+    liveQuery.take(2).toArray().subscribe(operations => {
+      assert.deepEqual(operations, [
+        { op: 'addRecord', record: { type: 'moon', id: 'callisto', attributes: { name: 'Callisto' }, relationships: { planet: { data: 'planet:jupiter' } } } },
+        { op: 'removeRecord', record: { type: 'moon', id: 'callisto', attributes: { name: 'Callisto' }, relationships: { planet: { data: 'planet:jupiter' } } } }
+      ]);
+      done();
+    });
+
+    cache.patch([
+      replaceHasOne(io, 'planet', pluto),
+      replaceHasOne(callisto, 'planet', jupiter),
+      replaceHasOne(callisto, 'planet', pluto)
+    ]);
+  });
+
+  test('filter - by related records count', function(assert) {
+    const done = assert.async();
+
+    cache.reset({ planet: { jupiter, pluto }, moon: { callisto, io } });
+
+    const liveQuery = cache.liveQuery(
+      qb.records('planet').filter(record => record.relatedRecords('moons').count().gt(0))
+    );
+
+    liveQuery.take(2).toArray().subscribe(operations => {
+      assert.deepEqual(operations, [
+        { op: 'addRecord', record: { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' }, relationships: { moons: { data: { 'moon:io': true } } } } },
+        { op: 'removeRecord', record: { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' }, relationships: { moons: { data: { 'moon:io': true } } } } }
+      ]);
+      done();
+    });
+
+    cache.patch([
+      addToHasMany(jupiter, 'moons', io),
+      removeFromHasMany(jupiter, 'moons', io)
+    ]);
+  });
+
   test('filter - chained', function(assert) {
     const done = assert.async();
 
@@ -215,6 +308,298 @@ module('OC - Cache - liveQuery', function(hooks) {
     });
   });
 
+  test('sort - emits operations for the sorted records', function(assert) {
+    const done = assert.async();
+
+    cache.patch([
+      addRecord(pluto),
+      addRecord(jupiter)
+    ]);
+
+    const liveQuery = cache.liveQuery(
+      qb.records('planet').sort('name')
+    );
+
+    liveQuery.take(3).toArray().subscribe(operations => {
+      assert.deepEqual(operations, [
+        { op: 'addRecord', record: jupiter },
+        { op: 'addRecord', record: pluto },
+        { op: 'removeRecord', record: pluto }
+      ]);
+
+      done();
+    });
+
+    cache.patch(removeRecord(pluto));
+  });
+
+  test('sort - filtered', function(assert) {
+    const done = assert.async();
+
+    const liveQuery = cache.liveQuery(
+      qb.records('planet')
+        .sort('name')
+        .filterAttributes({ name: 'Pluto' })
+    );
+
+    liveQuery.subscribe(operation => {
+      assert.deepEqual(operation, { op: 'addRecord', record: pluto });
+      done();
+    });
+
+    cache.patch([
+      addRecord(jupiter),
+      addRecord(pluto)
+    ]);
+  });
+
+  test('page - emits operations as records enter and leave the window', function(assert) {
+    const done = assert.async();
+
+    cache.patch([
+      addRecord(pluto),
+      addRecord(jupiter)
+    ]);
+
+    const liveQuery = cache.liveQuery(
+      qb.records('planet').sort('name').page({ offset: 0, limit: 1 })
+    );
+
+    liveQuery.take(3).toArray().subscribe(operations => {
+      assert.deepEqual(operations, [
+        { op: 'addRecord', record: jupiter },
+        { op: 'removeRecord', record: jupiter },
+        { op: 'addRecord', record: pluto }
+      ]);
+
+      done();
+    });
+
+    cache.patch(removeRecord(jupiter));
+  });
+
+  test('include - emits operations for the primary and included records', function(assert) {
+    const done = assert.async();
+
+    jupiter.relationships = { moons: { data: { 'moon:callisto': true } } };
+    cache.reset({ planet: { jupiter, pluto }, moon: { callisto, io } });
+
+    const liveQuery = cache.liveQuery(qb.record(identity(jupiter)).include('moons'));
+
+    liveQuery.take(5).toArray().subscribe(operations => {
+      assert.deepEqual(operations, [
+        { op: 'addRecord', record: jupiter },
+        { op: 'addRecord', record: callisto },
+        { op: 'addRecord', record: io },
+        { op: 'replaceRecord', record: { type: 'moon', id: 'io', attributes: { name: 'Io2' } } },
+        { op: 'removeRecord', record: callisto }
+      ]);
+
+      done();
+    });
+
+    cache.patch([
+      addToHasMany(jupiter, 'moons', io),
+      replaceAttribute(pluto, 'name', 'Pluto2'),
+      replaceAttribute(io, 'name', 'Io2'),
+      removeFromHasMany(jupiter, 'moons', callisto)
+    ]);
+  });
+
+  test('select - only emits changes to selected fields', function(assert) {
+    const done = assert.async();
+
+    pluto.attributes.classification = 'dwarf';
+    cache.reset({ planet: { pluto } });
+
+    const liveQuery = cache.liveQuery(qb.records('planet').select('name'));
+
+    liveQuery.take(4).toArray().subscribe(operations => {
+      assert.deepEqual(operations, [
+        { op: 'addRecord', record: { type: 'planet', id: 'pluto', attributes: { name: 'Pluto' } } },
+        { op: 'replaceRecord', record: { type: 'planet', id: 'pluto', attributes: { name: 'Pluto2' } } },
+        { op: 'addRecord', record: { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } } },
+        { op: 'removeRecord', record: { type: 'planet', id: 'pluto', attributes: { name: 'Pluto2' } } }
+      ]);
+
+      done();
+    });
+
+    cache.patch([
+      replaceAttribute(pluto, 'classification', 'planet'),
+      replaceAttribute(pluto, 'name', 'Pluto2'),
+      addRecord(jupiter),
+      replaceAttribute(jupiter, 'classification', 'gas giant'),
+      removeRecord(pluto)
+    ]);
+  });
+
+  test('exists - emits only when the answer changes', function(assert) {
+    const done = assert.async();
+
+    const liveQuery = cache.liveQuery(
+      qb.records('planet').filterAttributes({ name: 'Pluto' }).exists()
+    );
+
+    liveQuery.take(3).toArray().subscribe(answers => {
+      assert.deepEqual(answers, [false, true, false]);
+      done();
+    });
+
+    cache.patch([
+      addRecord(jupiter),
+      addRecord(pluto),
+      replaceAttribute(jupiter, 'name', 'Pluto'),
+      removeRecord(pluto),
+      removeRecord(jupiter)
+    ]);
+  });
+
+  test('first - emits the first record as it changes', function(assert) {
+    const done = assert.async();
+
+    cache.reset({ planet: { pluto } });
+
+    const liveQuery = cache.liveQuery(qb.records('planet').sort('name').first());
+
+    liveQuery.take(3).toArray().subscribe(records => {
+      assert.deepEqual(records, [
+        pluto,
+        jupiter,
+        { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter2' } }
+      ]);
+      done();
+    });
+
+    cache.patch([
+      addRecord({ type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } }),
+      addRecord(jupiter),
+      replaceAttribute(pluto, 'name', 'Pluto2'),
+      replaceAttribute(jupiter, 'name', 'Jupiter2')
+    ]);
+  });
+
+  test('count - emits the count as it changes', function(assert) {
+    const done = assert.async();
+
+    cache.patch(addRecord(pluto));
+
+    const liveQuery = cache.liveQuery(qb.records('planet').count());
+
+    liveQuery.take(3).toArray().subscribe(counts => {
+      assert.deepEqual(counts, [1, 2, 1]);
+      done();
+    });
+
+    cache.patch(addRecord(jupiter));
+    cache.patch(replaceAttribute(jupiter, 'name', 'Jupiter2'));
+    cache.patch(removeRecord(pluto));
+  });
+
+  test('count - filtered', function(assert) {
+    const done = assert.async();
+
+    const liveQuery = cache.liveQuery(
+      qb.records('planet').filterAttributes({ name: 'Pluto' }).count()
+    );
+
+    liveQuery.take(3).toArray().subscribe(counts => {
+      assert.deepEqual(counts, [0, 1, 0]);
+      done();
+    });
+
+    cache.patch(addRecord(pluto));
+    cache.patch(addRecord(jupiter));
+    cache.patch(replaceAttribute(pluto, 'name', 'Pluto2'));
+  });
+
+  test('sum, min and max - update as attributes change', function(assert) {
+    pluto.attributes.mass = 2;
+    jupiter.attributes.mass = 300;
+    cache.reset({ planet: { pluto, jupiter } });
+
+    const sums = [];
+    const mins = [];
+    const maxes = [];
+
+    cache.liveQuery(qb.records('planet').sum('mass')).subscribe(value => sums.push(value));
+    cache.liveQuery(qb.records('planet').min('mass')).subscribe(value => mins.push(value));
+    cache.liveQuery(qb.records('planet').max('mass')).subscribe(value => maxes.push(value));
+
+    cache.patch(replaceAttribute(pluto, 'mass', 5));
+    cache.patch(removeRecord(jupiter));
+
+    assert.deepEqual(sums, [302, 305, 5]);
+    assert.deepEqual(mins, [2, 5]);
+    assert.deepEqual(maxes, [300, 5], 'the extreme value is recomputed when its record is removed');
+  });
+
+  test('groupBy - counts records per related record', function(assert) {
+    const done = assert.async();
+
+    callisto.relationships = { planet: { data: 'planet:jupiter' } };
+    cache.reset({ planet: { jupiter, pluto }, moon: { callisto } });
+
+    const liveQuery = cache.liveQuery(
+      qb.records('moon').groupBy({ relationship: 'planet' }).count()
+    );
+
+    liveQuery.take(3).toArray().subscribe(counts => {
+      assert.deepEqual(counts, [
+        { 'planet:jupiter': 1 },
+        { 'planet:jupiter': 2 },
+        { 'planet:jupiter': 1, 'planet:pluto': 1 }
+      ]);
+      done();
+    });
+
+    cache.patch([
+      addRecord(io),
+      replaceHasOne(io, 'planet', jupiter)
+    ]);
+    cache.patch(replaceAttribute(io, 'name', 'Io2'));
+    cache.patch(replaceHasOne(callisto, 'planet', pluto));
+  });
+
+  test('aggregates emit once per patch', function(assert) {
+    const schema = new Schema({
+      models: {
+        planet: {
+          relationships: {
+            moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+          }
+        },
+        moon: {
+          relationships: {
+            planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+          }
+        }
+      }
+    });
+
+    cache = new Cache({ keyMap, schema });
+    cache.patch([
+      addRecord(jupiter),
+      addRecord(pluto),
+      addRecord(callisto),
+      replaceHasOne(callisto, 'planet', jupiter)
+    ]);
+
+    const groupCounts = [];
+    const planetsWithMoons = [];
+
+    cache.liveQuery(qb.records('moon').groupBy({ relationship: 'planet' }).count())
+      .subscribe(counts => groupCounts.push(counts));
+
+    cache.liveQuery(qb.records('planet').filter(record => record.relatedRecords('moons').count().gt(0)).count())
+      .subscribe(count => planetsWithMoons.push(count));
+
+    cache.patch(replaceHasOne(callisto, 'planet', pluto));
+
+    assert.deepEqual(groupCounts, [{ 'planet:jupiter': 1 }, { 'planet:pluto': 1 }], 'moving a record between groups emits once');
+    assert.deepEqual(planetsWithMoons, [1], 'intermediate values are not emitted');
+  });
+
   test('record - existing record with removal', function(assert) {
     const done = assert.async();
 
@@ -259,6 +644,21 @@ module('OC - Cache - liveQuery', function(hooks) {
         replaceHasOne(callisto, 'planet', null)
       ]);
     });
+
+    test('emits results when the related record changes', function(assert) {
+      const results = [];
+
+      cache.reset({ planet: { jupiter, pluto }, moon: { callisto, io } });
+
+      cache.liveResults(qb.relatedRecord(callisto, 'planet'))
+        .subscribe(result => results.push(result && Object.keys(result).map(id => result[id].attributes.name)));
+
+      cache.patch(replaceHasOne(callisto, 'planet', jupiter));
+      cache.patch(replaceAttribute(pluto, 'name', 'Hades'));
+      cache.patch(replaceAttribute(jupiter, 'name', 'Zeus'));
+
+      assert.deepEqual(results, [null, ['Jupiter'], ['Zeus']]);
+    });
   });
 
   module('relatedRecords', function() {
@@ -286,5 +686,102 @@ module('OC - Cache - liveQuery', function(hooks) {
         removeFromHasMany(jupiter, 'moons', callisto)
       ]);
     });
+
+    test('filter - adds and removes matching related records', function(assert) {
+      const done = assert.async();
+
+      cache.reset({ planet: { jupiter, pluto }, moon: { callisto, io } });
+
+      const liveQuery = cache.liveQuery(
+        qb.relatedRecords(jupiter, 'moons').filterAttributes({ name: 'Io' })
+      );
+
+      liveQuery.take(3).toArray().subscribe(operations => {
+        assert.deepEqual(operations, [
+          { op: 'addRecord', record: io },
+          { op: 'removeRecord', record: io },
+          { op: 'addRecord', record: { type: 'moon', id: 'callisto', attributes: { name: 'Io' } } }
+        ]);
+
+        done();
+      });
+
+      cache.patch([
+        addToHasMany(jupiter, 'moons', callisto),
+        addToHasMany(pluto, 'moons', io),
+        addToHasMany(jupiter, 'moons', io),
+        removeFromHasMany(jupiter, 'moons', io),
+        replaceAttribute(callisto, 'name', 'Io')
+      ]);
+    });
+  });
+
+  module('liveResults', function() {
+    test('emits the current results, then the full results once per patch', function(assert) {
+      const results = [];
+
+      const subscription = cache.liveResults(qb.records('planet').sort('name'))
+        .subscribe(result => results.push(result));
+
+      cache.patch([
+        addRecord(pluto),
+        addRecord(jupiter),
+        replaceAttribute(pluto, 'name', 'Ex-Pluto')
+      ]);
+
+      cache.patch(replaceAttribute(jupiter, 'name', 'Zeus'));
+
+      subscription.unsubscribe();
+
+      cache.patch(removeRecord(jupiter));
+
+      assert.deepEqual(results, [
+        [],
+        [{ type: 'planet', id: 'pluto', attributes: { name: 'Ex-Pluto' } }, jupiter],
+        [{ type: 'planet', id: 'pluto', attributes: { name: 'Ex-Pluto' } }, { type: 'planet', id: 'jupiter', attributes: { name: 'Zeus' } }]
+      ]);
+    });
+
+    test('does not emit for patches that do not affect the results', function(assert) {
+      const results = [];
+
+      cache.reset({ planet: { jupiter, pluto }, moon: { callisto } });
+
+      cache.liveResults(qb.records('planet').filterAttributes({ name: 'Jupiter' }))
+        .subscribe(result => results.push(result));
+
+      cache.patch(addRecord(io));
+      cache.patch(replaceAttribute(pluto, 'name', 'Ex-Pluto'));
+      cache.patch(replaceAttribute(jupiter, 'name', 'Zeus'));
+
+      assert.deepEqual(results, [
+        { jupiter },
+        {}
+      ]);
+    });
+
+    test('emits null when a single record is removed', function(assert) {
+      const results = [];
+
+      cache.patch(addRecord(pluto));
+
+      cache.liveResults(qb.record(identity(pluto)))
+        .subscribe(result => results.push(result));
+
+      cache.patch(removeRecord(pluto));
+
+      assert.deepEqual(results, [pluto, null]);
+    });
+
+    test('emits the full results when the cache is reset', function(assert) {
+      const results = [];
+
+      cache.liveResults(qb.records('moon'))
+        .subscribe(result => results.push(result));
+
+      cache.reset({ moon: { io } });
+
+      assert.deepEqual(results, [[], { io }]);
+    });
   });
 });
@@ -303,4 +303,39 @@ module('OC - Cache - CacheObservable', function(hooks) {
   });
 
   QUnit.skip('filter');
+
+  test('batches - emits the operations applied by each patch', function(assert) {
+    const jupiter = { id: 'jupiter', type: 'planet', attributes: { name: 'Jupiter' } };
+    const ganymede = { id: 'ganymede', type: 'moon', attributes: { name: 'Ganymede' } };
+    const batches = [];
+    const operations = [];
+
+    cache.batches
+      .forRecord(ganymede)
+      .subscribe(batch => batches.push(batch));
+
+    cache.batches
+      .operations()
+      .forRecord(jupiter)
+      .subscribe(operation => operations.push(operation));
+
+    cache.patch([
+      addRecord(jupiter),
+      addRecord(ganymede),
+      replaceAttribute(ganymede, 'colour', 'grey')
+    ]);
+
+    cache.patch(replaceAttribute(jupiter, 'name', 'Jove'));
+
+    assert.equal(batches.length, 1, 'only batches that contain matching operations are emitted');
+    assert.deepEqual(batches[0].operations, [
+      addRecord(jupiter),
+      addRecord(ganymede),
+      replaceAttribute(ganymede, 'colour', 'grey')
+    ]);
+    assert.deepEqual(operations, [
+      addRecord(jupiter),
+      replaceAttribute(jupiter, 'name', 'Jove')
+    ], 'operations can be observed individually');
+  });
 });
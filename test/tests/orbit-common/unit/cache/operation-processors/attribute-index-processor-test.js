@@ -0,0 +1,198 @@
+import 'tests/test-helper';
+import Schema from 'orbit-common/schema';
+import AttributeIndexProcessor from 'orbit-common/cache/operation-processors/attribute-index-processor';
+import Cache from 'orbit-common/cache';
+import Store from 'orbit-common/store';
+import KeyMap from 'orbit-common/key-map';
+import qb from 'orbit-common/query/builder';
+import {
+  addRecord,
+  replaceRecord,
+  removeRecord,
+  replaceAttribute
+} from 'orbit-common/transform/operators';
+
+let schema, cache;
+
+const schemaDefinition = {
+  models: {
+    planet: {
+      attributes: {
+        name: { type: 'string', index: true },
+        classification: { type: 'string' },
+        mass: { type: 'number', index: true }
+      },
+      relationships: {
+        moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+      }
+    },
+    moon: {
+      attributes: {
+        name: { type: 'string' }
+      },
+      relationships: {
+        planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+      }
+    }
+  }
+};
+
+const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', mass: 317.8 } };
+const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', mass: 1 } };
+const mars = { type: 'planet', id: 'mars', attributes: { name: 'Mars', mass: 0.107 } };
+const pluto = { type: 'planet', id: 'pluto', attributes: { name: 'Pluto', mass: null } };
+
+function sortedIds(cache, attribute, options) {
+  return cache.attributeIndex('planet', attribute).sorted(options);
+}
+
+module('OC - OperationProcessors - AttributeIndexProcessor', {
+  setup() {
+    let keyMap = new KeyMap();
+    schema = new Schema(schemaDefinition);
+    cache = new Cache({ schema, keyMap, processors: [AttributeIndexProcessor] });
+  },
+
+  teardown() {
+    schema = null;
+    cache = null;
+  }
+});
+
+test('introduces an `attributeIndex` method on the cache for indexed attributes', function(assert) {
+  assert.ok(typeof cache.attributeIndex === 'function', 'adds `attributeIndex` method to cache');
+  assert.ok(cache.attributeIndex('planet', 'name'), 'name is indexed');
+  assert.ok(cache.attributeIndex('planet', 'mass'), 'mass is indexed');
+  assert.strictEqual(cache.attributeIndex('planet', 'classification'), undefined, 'classification is not indexed');
+  assert.strictEqual(cache.attributeIndex('moon', 'name'), undefined, 'moon name is not indexed');
+});
+
+test('indexes records as they are added, replaced and removed', function(assert) {
+  cache.patch([
+    addRecord(jupiter),
+    addRecord(earth),
+    addRecord(mars),
+    addRecord(pluto)
+  ]);
+
+  assert.deepEqual(sortedIds(cache, 'mass'), ['mars', 'earth', 'jupiter', 'pluto'], 'records are indexed when added');
+
+  cache.patch(replaceAttribute(mars, 'mass', 1000));
+
+  assert.deepEqual(sortedIds(cache, 'mass'), ['earth', 'jupiter', 'mars', 'pluto'], 'index is updated when an attribute is replaced');
+
+  cache.patch(replaceRecord({ type: 'planet', id: 'pluto', attributes: { name: 'Pluto', mass: 0.002 } }));
+
+  assert.deepEqual(sortedIds(cache, 'mass'), ['pluto', 'earth', 'jupiter', 'mars'], 'index is updated when a record is replaced');
+
+  cache.patch(removeRecord(jupiter));
+
+  assert.deepEqual(sortedIds(cache, 'mass'), ['pluto', 'earth', 'mars'], 'records are removed from the index when removed');
+  assert.deepEqual(sortedIds(cache, 'name', { order: 'descending' }), ['pluto', 'mars', 'earth'], 'other indexes are kept in sync');
+});
+
+test('rebuilds indexes when the cache is reset', function(assert) {
+  cache.patch(addRecord(jupiter));
+
+  assert.deepEqual(sortedIds(cache, 'name'), ['jupiter']);
+
+  cache.reset({ planet: { earth, mars } });
+
+  assert.deepEqual(sortedIds(cache, 'name'), ['earth', 'mars'], 'index reflects the reset document');
+
+  cache.reset();
+
+  assert.deepEqual(sortedIds(cache, 'name'), [], 'index is empty after an empty reset');
+});
+
+test('looks up candidates for equality and range comparisons', function(assert) {
+  cache.reset({ planet: { jupiter, earth, mars, pluto } });
+
+  const index = cache.attributeIndex('planet', 'mass');
+
+  assert.deepEqual(index.lookup('equal', 1), ['earth'], 'equal');
+  assert.deepEqual(index.lookup('gt', 1), ['jupiter'], 'gt');
+  assert.deepEqual(index.lookup('gte', 1), ['earth', 'jupiter'], 'gte');
+  assert.deepEqual(index.lookup('lt', 1), ['mars'], 'lt');
+  assert.deepEqual(index.lookup('lte', 1), ['mars', 'earth'], 'lte');
+  assert.deepEqual(index.lookup('in', [0.107, 317.8]), ['mars', 'jupiter'], 'in');
+});
+
+test('indexed filters and sorts return the same results as unindexed queries', function(assert) {
+  cache.reset({ planet: { jupiter, earth, mars, pluto } });
+
+  assert.deepEqual(
+    cache.query(qb.records('planet').filterAttributes({ name: 'Earth' })),
+    { earth },
+    'equal filter'
+  );
+
+  assert.deepEqual(
+    cache.query(qb.records('planet').filter(record => record.attribute('mass').gte(1))),
+    { jupiter, earth },
+    'range filter'
+  );
+
+  assert.deepEqual(
+    cache.query(qb.records('planet').filter(record => qb.and(
+      record.attribute('mass').lt(10),
+      record.attribute('name').startsWith('M')
+    ))),
+    { mars },
+    'indexed and unindexed predicates combined'
+  );
+
+  assert.deepEqual(
+    cache.query(qb.records('planet').sort('-mass')),
+    [pluto, jupiter, earth, mars],
+    'sort'
+  );
+});
+
+test('indexes remain consistent when a store is rolled back', function(assert) {
+  const store = new Store({ schema, keyMap: new KeyMap() });
+  let firstTransformId;
+
+  return store.update(addRecord(jupiter))
+    .then(() => {
+      firstTransformId = store.transformLog.head();
+      return store.update([
+        addRecord(earth),
+        replaceAttribute(jupiter, 'mass', 0.5)
+      ]);
+    })
+    .then(() => {
+      assert.deepEqual(sortedIds(store.cache, 'mass'), ['jupiter', 'earth'], 'index reflects the updates');
+
+      store.rollback(firstTransformId);
+
+      assert.deepEqual(sortedIds(store.cache, 'mass'), ['jupiter'], 'index reflects the rollback');
+      assert.deepEqual(
+        store.cache.query(qb.records('planet').filter(record => record.attribute('mass').gt(100))),
+        { jupiter },
+        'indexed filters reflect the rollback'
+      );
+    });
+});
+
+test('indexes are up to date when `patch` events are emitted', function(assert) {
+  const results = [];
+  const aaa = { type: 'planet', id: 'aaa', attributes: { name: 'AAA' } };
+
+  cache.patch([addRecord(jupiter), addRecord(earth)]);
+
+  cache.on('patch', () => {
+    results.push(cache.query(qb.records('planet').sort('name').page({ limit: 2 })).data.map(record => record.id));
+  });
+
+  cache.liveResults(qb.records('planet').sort('name').page({ limit: 2 }))
+    .subscribe(result => results.push(result.data.map(record => record.id)));
+
+  cache.patch(addRecord(aaa));
+
+  assert.deepEqual(results, [
+    ['earth', 'jupiter'],
+    ['aaa', 'earth'],
+    ['aaa', 'earth']
+  ]);
+});
@@ -0,0 +1,164 @@
+import 'tests/test-helper';
+import Schema from 'orbit-common/schema';
+import Cache from 'orbit-common/cache';
+import KeyMap from 'orbit-common/key-map';
+import qb from 'orbit-common/query/builder';
+import {
+  addRecord,
+  replaceRecord,
+  replaceAttribute,
+  removeRecord
+} from 'orbit-common/transform/operators';
+
+let schema, cache;
+
+const schemaDefinition = {
+  models: {
+    planet: {
+      attributes: {
+        name: { type: 'string' },
+        classification: { type: 'string' },
+        moonCount: {
+          type: 'number',
+          dependencies: ['moons'],
+          computed: (planet) => Object.keys(planet.relationships && planet.relationships.moons && planet.relationships.moons.data || {}).length
+        },
+        title: {
+          type: 'string',
+          dependencies: ['name', 'moonCount'],
+          computed: (planet) => `${planet.attributes.name} (${planet.attributes.moonCount} moons)`
+        }
+      },
+      relationships: {
+        moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+      }
+    },
+    moon: {
+      attributes: {
+        name: { type: 'string' }
+      },
+      relationships: {
+        planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+      }
+    }
+  }
+};
+
+const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' } };
+const io = { type: 'moon', id: 'io', attributes: { name: 'Io' }, relationships: { planet: { data: 'planet:jupiter' } } };
+const europa = { type: 'moon', id: 'europa', attributes: { name: 'Europa' }, relationships: { planet: { data: 'planet:jupiter' } } };
+const moon = { type: 'moon', id: 'moon', attributes: { name: 'The Moon' }, relationships: { planet: { data: 'planet:earth' } } };
+
+module('OC - OperationProcessors - ComputedAttributeProcessor', {
+  setup() {
+    let keyMap = new KeyMap();
+    schema = new Schema(schemaDefinition);
+    cache = new Cache({ schema, keyMap });
+  },
+
+  teardown() {
+    schema = null;
+    cache = null;
+  }
+});
+
+test('computes attributes when records are added', function(assert) {
+  cache.patch(addRecord(jupiter));
+
+  assert.deepEqual(
+    cache.get(['planet', 'jupiter', 'attributes']),
+    { name: 'Jupiter', moonCount: 0, title: 'Jupiter (0 moons)' }
+  );
+});
+
+test('recomputes attributes when their dependencies change', function(assert) {
+  cache.patch([
+    addRecord(jupiter),
+    addRecord(io),
+    addRecord(europa)
+  ]);
+
+  assert.equal(cache.get(['planet', 'jupiter', 'attributes', 'moonCount']), 2, 'relationship dependency');
+  assert.equal(cache.get(['planet', 'jupiter', 'attributes', 'title']), 'Jupiter (2 moons)', 'dependencies on other computed attributes');
+
+  cache.patch(replaceAttribute(jupiter, 'name', 'Zeus'));
+  assert.equal(cache.get(['planet', 'jupiter', 'attributes', 'title']), 'Zeus (2 moons)', 'attribute dependency');
+
+  cache.patch(removeRecord(io));
+  assert.equal(cache.get(['planet', 'jupiter', 'attributes', 'title']), 'Zeus (1 moons)', 'removal of a related record');
+
+  cache.patch(replaceRecord({ type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' }, relationships: { moons: { data: {} } } }));
+  assert.equal(cache.get(['planet', 'jupiter', 'attributes', 'title']), 'Jupiter (0 moons)', 'replaced record');
+});
+
+test('does not recompute attributes when other fields change', function(assert) {
+  cache.patch(addRecord(jupiter));
+
+  let operations = [];
+  cache.on('patch', operation => operations.push(operation));
+
+  cache.patch(replaceAttribute(jupiter, 'classification', 'gas giant'));
+
+  assert.deepEqual(operations, [replaceAttribute(jupiter, 'classification', 'gas giant')]);
+});
+
+test('computed attributes can be filtered and sorted', function(assert) {
+  cache.patch([
+    addRecord(jupiter),
+    addRecord(earth),
+    addRecord(io),
+    addRecord(europa),
+    addRecord(moon)
+  ]);
+
+  assert.deepEqual(
+    Object.keys(cache.query(qb.records('planet').filter(record => record.attribute('moonCount').gt(1)))),
+    ['jupiter'],
+    'filtered records'
+  );
+
+  assert.deepEqual(
+    cache.query(qb.records('planet').sort('moonCount')).map(planet => planet.id),
+    ['earth', 'jupiter'],
+    'sorted records'
+  );
+});
+
+test('replaces values written directly to computed attributes', function(assert) {
+  cache.patch(addRecord(jupiter));
+
+  cache.patch(replaceAttribute(jupiter, 'title', 'hacked'));
+  assert.equal(cache.get(['planet', 'jupiter', 'attributes', 'title']), 'Jupiter (0 moons)', 'replaced attribute');
+
+  cache.patch(replaceRecord({ type: 'planet', id: 'jupiter', attributes: { moonCount: 10 } }));
+  assert.equal(cache.get(['planet', 'jupiter', 'attributes', 'moonCount']), 0, 'replaced record');
+});
+
+test('computes attributes declared by models registered later', function(assert) {
+  cache.patch(addRecord({ type: 'moon', id: 'phobos', attributes: { name: 'Phobos' } }));
+
+  schema.registerModel('moon', {
+    attributes: {
+      name: { type: 'string' },
+      shout: {
+        type: 'string',
+        dependencies: ['name'],
+        computed: (moon) => moon.attributes.name.toUpperCase()
+      }
+    },
+    relationships: schemaDefinition.models.moon.relationships
+  });
+
+  cache.patch(addRecord(io));
+
+  assert.equal(cache.get(['moon', 'io', 'attributes', 'shout']), 'IO');
+});
+
+test('does not retain caches by listening to their schema', function(assert) {
+  const listenerCount = schema.listeners('modelRegistered').length;
+
+  [1, 2].forEach(() => new Cache({ schema, keyMap: new KeyMap() }));
+
+  assert.equal(schema.listeners('modelRegistered').length, listenerCount);
+});
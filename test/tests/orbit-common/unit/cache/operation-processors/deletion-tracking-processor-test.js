@@ -4,6 +4,7 @@ import DeletionTrackingProcessor from 'orbit-common/cache/operation-processors/d
 import Cache from 'orbit-common/cache';
 import KeyMap from 'orbit-common/key-map';
 import {
+  addRecord,
   removeRecord
 } from 'orbit-common/transform/operators';
 
@@ -76,3 +77,37 @@ test('tracks deletions and makes them queryable through `hasDeleted`', function(
 
   assert.equal(cache.hasDeleted('planet/saturn'), false, 'Resets deletion tracking when cache is reset');
 });
+
+test('restores deletion tracking along with a snapshot', function(assert) {
+  const saturn = { id: 'saturn', type: 'planet', attributes: { name: 'Saturn' } };
+
+  cache.reset({ planet: { saturn } });
+
+  const snapshot = cache.snapshot();
+
+  cache.patch(removeRecord(saturn));
+
+  assert.equal(cache.hasDeleted('planet/saturn'), true, 'Saturn has been deleted');
+
+  cache.restore(snapshot);
+
+  assert.equal(cache.hasDeleted('planet/saturn'), false, 'deletion of Saturn is forgotten');
+  assert.deepEqual(cache.get('planet/saturn'), saturn, 'Saturn is restored');
+});
+
+test('tracks evictions separately from deletions', function(assert) {
+  const saturn = { id: 'saturn', type: 'planet', attributes: { name: 'Saturn' } };
+
+  cache.reset({ planet: { saturn } });
+
+  cache.patch({ op: 'removeRecord', record: { type: 'planet', id: 'saturn' }, evicted: true });
+
+  assert.equal(cache.get('planet/saturn'), undefined, 'Saturn has been evicted');
+  assert.equal(cache.hasDeleted('planet/saturn'), false, 'Saturn has not been deleted');
+  assert.equal(cache.hasEvicted('planet/saturn'), true, 'Saturn has been evicted');
+
+  cache.patch(addRecord(saturn));
+
+  assert.deepEqual(cache.get('planet/saturn'), saturn, 'Saturn has been repopulated');
+  assert.equal(cache.hasEvicted('planet/saturn'), false, 'Saturn is no longer evicted');
+});
@@ -0,0 +1,153 @@
+import 'tests/test-helper';
+import Schema from 'orbit-common/schema';
+import EvictionProcessor from 'orbit-common/cache/operation-processors/eviction-processor';
+import Cache from 'orbit-common/cache';
+import KeyMap from 'orbit-common/key-map';
+import qb from 'orbit-common/query/builder';
+import {
+  addRecord,
+  removeRecord
+} from 'orbit-common/transform/operators';
+
+let schema;
+
+const schemaDefinition = {
+  models: {
+    planet: {
+      attributes: {
+        name: { type: 'string' }
+      },
+      relationships: {
+        moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+      }
+    },
+    moon: {
+      attributes: {
+        name: { type: 'string' }
+      },
+      relationships: {
+        planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+      }
+    }
+  }
+};
+
+const mercury = { type: 'planet', id: 'mercury', attributes: { name: 'Mercury' } };
+const venus = { type: 'planet', id: 'venus', attributes: { name: 'Venus' } };
+const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' } };
+const mars = { type: 'planet', id: 'mars', attributes: { name: 'Mars' } };
+
+function planetIds(cache) {
+  return Object.keys(cache.get(['planet']) || {}).sort();
+}
+
+module('OC - OperationProcessors - EvictionProcessor', {
+  setup() {
+    schema = new Schema(schemaDefinition);
+  },
+
+  teardown() {
+    schema = null;
+  }
+});
+
+test('is added to the default processors when the `eviction` option is specified', function(assert) {
+  const cache = new Cache({ schema, keyMap: new KeyMap(), eviction: { maxRecords: 10 } });
+
+  assert.ok(cache._processors.some(processor => processor instanceof EvictionProcessor));
+  assert.notOk(new Cache({ schema, keyMap: new KeyMap() })._processors.some(processor => processor instanceof EvictionProcessor));
+});
+
+test('evicts the least recently used records of a type beyond `maxRecordsPerType`', function(assert) {
+  const cache = new Cache({ schema, keyMap: new KeyMap(), eviction: { maxRecordsPerType: { planet: 2 } } });
+
+  cache.patch([addRecord(mercury), addRecord(venus)]);
+
+  cache.query(qb.record(mercury));
+
+  const operations = [];
+  cache.on('patch', operation => operations.push(operation));
+
+  cache.patch(addRecord(earth));
+
+  assert.deepEqual(planetIds(cache), ['earth', 'mercury'], 'least recently used planet was evicted');
+  assert.deepEqual(operations, [
+    addRecord(earth),
+    { op: 'removeRecord', record: { type: 'planet', id: 'venus' }, evicted: true }
+  ], 'eviction is flagged');
+
+  cache.query(qb.records('planet').filterAttributes({ name: 'Earth' }));
+  cache.patch(addRecord(mars));
+
+  assert.deepEqual(planetIds(cache), ['earth', 'mars'], 'records used by queries are kept');
+});
+
+test('evicts the least recently used records of any type beyond `maxRecords`', function(assert) {
+  const cache = new Cache({ schema, keyMap: new KeyMap(), eviction: { maxRecords: 3 } });
+
+  cache.reset({ planet: { mercury, venus } });
+  cache.patch(addRecord({ type: 'moon', id: 'moon', attributes: { name: 'Moon' } }));
+  cache.query(qb.record(mercury));
+
+  cache.patch([addRecord(earth), addRecord(mars)]);
+
+  assert.deepEqual(planetIds(cache), ['earth', 'mars', 'mercury']);
+  assert.equal(cache.get(['moon', 'moon']), undefined, 'records of other types are evicted');
+});
+
+test('keeps references to evicted records', function(assert) {
+  const cache = new Cache({ schema, keyMap: new KeyMap(), eviction: { maxRecordsPerType: 1 } });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' }, relationships: { moons: { data: {} } } };
+  const io = { type: 'moon', id: 'io', attributes: { name: 'Io' }, relationships: { planet: { data: 'planet:jupiter' } } };
+
+  cache.patch([addRecord(jupiter), addRecord(io)]);
+
+  assert.deepEqual(cache.get(['planet', 'jupiter', 'relationships', 'moons', 'data']), { 'moon:io': true });
+
+  cache.patch(addRecord(earth));
+
+  assert.equal(cache.get(['planet', 'jupiter']), undefined, 'Jupiter was evicted');
+  assert.equal(cache.get(['moon', 'io', 'relationships', 'planet', 'data']), 'planet:jupiter', 'Io still refers to Jupiter');
+
+  cache.patch(addRecord(jupiter));
+
+  assert.equal(cache.get(['planet', 'earth']), undefined, 'Earth was evicted');
+
+  cache.patch(removeRecord(jupiter));
+
+  assert.equal(cache.get(['moon', 'io', 'relationships', 'planet', 'data']), null, 'references are cleared when a repopulated record is removed');
+});
+
+test('tracks the use of records with numeric ids in order', function(assert) {
+  const cache = new Cache({ schema, keyMap: new KeyMap(), eviction: { maxRecordsPerType: 3 } });
+  const planet = id => ({ type: 'planet', id, attributes: { name: `Planet ${id}` } });
+
+  cache.patch([addRecord(planet('1')), addRecord(planet('2')), addRecord(planet('3'))]);
+  cache.query(qb.record({ type: 'planet', id: '1' }));
+  cache.patch(addRecord(planet('4')));
+
+  assert.deepEqual(planetIds(cache), ['1', '3', '4'], 'least recently used planet was evicted');
+});
+
+test('skips evicted records in the results of relationship queries', function(assert) {
+  const cache = new Cache({ schema, keyMap: new KeyMap(), eviction: { maxRecordsPerType: { planet: 2, moon: 1 } } });
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+  const io = { type: 'moon', id: 'io', attributes: { name: 'Io' }, relationships: { planet: { data: 'planet:jupiter' } } };
+  const europa = { type: 'moon', id: 'europa', attributes: { name: 'Europa' }, relationships: { planet: { data: 'planet:jupiter' } } };
+
+  cache.patch([addRecord(jupiter), addRecord(io), addRecord(europa)]);
+
+  assert.deepEqual(cache.get(['planet', 'jupiter', 'relationships', 'moons', 'data']), { 'moon:io': true, 'moon:europa': true }, 'Jupiter still refers to the evicted moon');
+
+  const moons = qb.relatedRecords(jupiter, 'moons');
+
+  assert.deepEqual(cache.query(moons.sort('name')).map(record => record.id), ['europa'], 'sorted related records');
+  assert.equal(cache.query(moons.count()), 1, 'counted related records');
+
+  cache.patch(addRecord({ type: 'planet', id: 'earth', attributes: { name: 'Earth' } }));
+  cache.patch(addRecord({ type: 'planet', id: 'mars', attributes: { name: 'Mars' } }));
+
+  assert.strictEqual(cache.query(qb.relatedRecord(europa, 'planet')), null, 'evicted related record');
+});
@@ -3,6 +3,7 @@ import SchemaConsistencyProcessor from 'orbit-common/cache/operation-processors/
 import Cache from 'orbit-common/cache';
 import KeyMap from 'orbit-common/key-map';
 import { identity } from 'orbit-common/lib/identifiers';
+import { RemovalRestrictedException } from 'orbit-common/lib/exceptions';
 
 let schema, cache, processor;
 
@@ -751,3 +752,173 @@ test('replaceRecord', function(assert) {
     []
   );
 });
+
+module('OC - OperationProcessors - SchemaConsistencyProcessor - onDelete', {
+  setup() {
+    let keyMap = new KeyMap();
+    schema = new Schema({
+      models: {
+        star: {
+          relationships: {
+            planets: { type: 'hasMany', model: 'planet', inverse: 'star', onDelete: 'restrict' }
+          }
+        },
+        planet: {
+          relationships: {
+            star: { type: 'hasOne', model: 'star', inverse: 'planets' },
+            moons: { type: 'hasMany', model: 'moon', inverse: 'planet', onDelete: 'cascade' },
+            inhabitants: { type: 'hasMany', model: 'inhabitant', inverse: 'planet', onDelete: 'nullify' }
+          }
+        },
+        moon: {
+          relationships: {
+            planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+          }
+        },
+        inhabitant: {
+          relationships: {
+            planet: { type: 'hasOne', model: 'planet', inverse: 'inhabitants' }
+          }
+        }
+      }
+    });
+    cache = new Cache({ schema, keyMap, processors: [SchemaConsistencyProcessor] });
+    processor = cache._processors[0];
+
+    cache.reset({
+      star: {
+        sun: { type: 'star', id: 'sun', relationships: { planets: { data: { 'planet:jupiter': true } } } }
+      },
+      planet: {
+        jupiter: { type: 'planet', id: 'jupiter', relationships: { star: { data: 'star:sun' }, moons: { data: { 'moon:io': true, 'moon:europa': true } }, inhabitants: { data: { 'inhabitant:zaphod': true } } } }
+      },
+      moon: {
+        io: { type: 'moon', id: 'io', relationships: { planet: { data: 'planet:jupiter' } } },
+        europa: { type: 'moon', id: 'europa', relationships: { planet: { data: 'planet:jupiter' } } }
+      },
+      inhabitant: {
+        zaphod: { type: 'inhabitant', id: 'zaphod', relationships: { planet: { data: 'planet:jupiter' } } }
+      }
+    });
+  },
+
+  teardown() {
+    schema = null;
+    cache = null;
+    processor = null;
+  }
+});
+
+test('removeRecord cascades to, or nullifies references from, related records', function(assert) {
+  const removeJupiterOp = {
+    op: 'removeRecord',
+    record: { type: 'planet', id: 'jupiter' }
+  };
+
+  assert.deepEqual(
+    processor.before(removeJupiterOp),
+    [
+      {
+        op: 'removeRecord',
+        record: { type: 'moon', id: 'io' }
+      },
+      {
+        op: 'removeRecord',
+        record: { type: 'moon', id: 'europa' }
+      }
+    ],
+    'dependent records are removed first'
+  );
+
+  assert.deepEqual(
+    processor.after(removeJupiterOp),
+    [
+      {
+        op: 'removeFromHasMany',
+        record: { type: 'star', id: 'sun' },
+        relationship: 'planets',
+        relatedRecord: { type: 'planet', id: 'jupiter' }
+      },
+      {
+        op: 'replaceHasOne',
+        record: { type: 'inhabitant', id: 'zaphod' },
+        relationship: 'planet',
+        relatedRecord: null
+      }
+    ],
+    'references from other related records are removed'
+  );
+});
+
+test('removeRecord is rejected when related records restrict it', function(assert) {
+  try {
+    cache.patch({ op: 'removeRecord', record: { type: 'star', id: 'sun' } });
+    assert.ok(false, 'RemovalRestrictedException was not thrown');
+  } catch (e) {
+    assert.ok(e instanceof RemovalRestrictedException, 'RemovalRestrictedException was thrown');
+    assert.deepEqual(e.record, { type: 'star', id: 'sun' }, 'exception identifies the record');
+    assert.deepEqual(e.blockingRecords, [{ type: 'planet', id: 'jupiter' }], 'exception lists the blocking records');
+  }
+
+  assert.ok(cache.get(['star', 'sun']), 'record was not removed');
+
+  cache.patch({ op: 'removeRecord', record: { type: 'planet', id: 'jupiter' } });
+  cache.patch({ op: 'removeRecord', record: { type: 'star', id: 'sun' } });
+
+  assert.equal(cache.get(['star', 'sun']), undefined, 'record can be removed once it has no related records');
+  assert.equal(cache.get(['planet', 'jupiter']), undefined, 'removed records are not recreated by inverse relationship changes');
+  assert.equal(cache.length('moon'), 0, 'removal cascaded to moons');
+  assert.equal(cache.get(['inhabitant', 'zaphod', 'relationships', 'planet', 'data']), null, 'inhabitant\'s reference was nullified');
+});
+
+test('records are no longer tracked as being removed once a removal has been rejected', function(assert) {
+  assert.throws(
+    () => cache.patch({ op: 'removeRecord', record: { type: 'star', id: 'sun' } }),
+    RemovalRestrictedException
+  );
+
+  cache.patch({ op: 'addRecord', record: { type: 'planet', id: 'earth', relationships: { star: { data: 'star:sun' } } } });
+
+  assert.deepEqual(
+    cache.get(['star', 'sun', 'relationships', 'planets', 'data']),
+    { 'planet:jupiter': true, 'planet:earth': true },
+    'inverse relationship of the record is maintained'
+  );
+});
+
+test('onDelete takes precedence over dependent when a record is removed', function(assert) {
+  schema = new Schema({
+    models: {
+      planet: {
+        relationships: {
+          moons: { type: 'hasMany', model: 'moon', inverse: 'planet', dependent: 'remove', onDelete: 'nullify' }
+        }
+      },
+      moon: {
+        relationships: {
+          planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+        }
+      }
+    }
+  });
+  cache = new Cache({ schema, keyMap: new KeyMap(), processors: [SchemaConsistencyProcessor] });
+
+  cache.reset({
+    planet: {
+      jupiter: { type: 'planet', id: 'jupiter', relationships: { moons: { data: { 'moon:io': true, 'moon:europa': true } } } }
+    },
+    moon: {
+      io: { type: 'moon', id: 'io', relationships: { planet: { data: 'planet:jupiter' } } },
+      europa: { type: 'moon', id: 'europa', relationships: { planet: { data: 'planet:jupiter' } } }
+    }
+  });
+
+  cache.patch({ op: 'replaceHasMany', record: { type: 'planet', id: 'jupiter' }, relationship: 'moons', relatedRecords: [{ type: 'moon', id: 'io' }] });
+
+  assert.equal(cache.get(['moon', 'europa']), undefined, 'records removed from the relationship are removed');
+
+  cache.patch({ op: 'removeRecord', record: { type: 'planet', id: 'jupiter' } });
+
+  assert.ok(cache.get(['moon', 'io']), 'related records remain when the record is removed');
+  assert.equal(cache.get(['moon', 'io', 'relationships', 'planet', 'data']), null, 'references to the removed record are nullified');
+});
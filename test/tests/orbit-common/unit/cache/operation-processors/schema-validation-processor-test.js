@@ -0,0 +1,384 @@
+import 'tests/test-helper';
+import Schema from 'orbit-common/schema';
+import SchemaValidationProcessor from 'orbit-common/cache/operation-processors/schema-validation-processor';
+import SchemaConsistencyProcessor from 'orbit-common/cache/operation-processors/schema-consistency-processor';
+import DeletionTrackingProcessor from 'orbit-common/cache/operation-processors/deletion-tracking-processor';
+import Cache from 'orbit-common/cache';
+import KeyMap from 'orbit-common/key-map';
+import { ValidationError } from 'orbit-common/lib/exceptions';
+import qb from 'orbit-common/query/builder';
+import {
+  addRecord,
+  replaceAttribute,
+  addToHasMany,
+  replaceHasOne,
+  removeRecord
+} from 'orbit-common/transform/operators';
+
+let schema, cache;
+
+const schemaDefinition = {
+  models: {
+    planet: {
+      attributes: {
+        name: { type: 'string' },
+        mass: { type: 'number' },
+        habitable: { type: 'boolean' },
+        discoveredAt: { type: 'date' },
+        details: { type: 'object' }
+      },
+      relationships: {
+        moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+      }
+    },
+    moon: {
+      attributes: {
+        name: { type: 'string' }
+      },
+      relationships: {
+        planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+      }
+    },
+    star: {
+      attributes: {
+        name: { type: 'string' }
+      }
+    }
+  }
+};
+
+const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+const sun = { type: 'star', id: 'sun', attributes: { name: 'Sun' } };
+
+function assertValidationErrors(assert, fn, expectedErrors) {
+  try {
+    fn();
+    assert.ok(false, 'ValidationError was not thrown');
+  } catch (e) {
+    assert.ok(e instanceof ValidationError, 'ValidationError was thrown');
+    assert.deepEqual(e.errors.map(({ record, attribute, relationship, code }) => ({ record, attribute, relationship, code })), expectedErrors);
+  }
+}
+
+module('OC - OperationProcessors - SchemaValidationProcessor', {
+  setup() {
+    let keyMap = new KeyMap();
+    schema = new Schema(schemaDefinition);
+    cache = new Cache({ schema, keyMap, processors: [SchemaValidationProcessor, SchemaConsistencyProcessor] });
+  },
+
+  teardown() {
+    schema = null;
+    cache = null;
+  }
+});
+
+test('accepts operations that are consistent with the schema', function(assert) {
+  cache.patch([
+    addRecord({ type: 'planet', id: 'earth', attributes: { name: 'Earth', mass: 1, habitable: true, discoveredAt: new Date(), details: { rings: false } } }),
+    addRecord(jupiter),
+    addRecord(io),
+    replaceAttribute(jupiter, 'discoveredAt', '1610-01-07'),
+    replaceAttribute(jupiter, 'mass', null),
+    addToHasMany(jupiter, 'moons', io),
+    removeRecord({ type: 'comet', id: 'halley' })
+  ]);
+
+  assert.equal(cache.get(['moon', 'io', 'relationships', 'planet', 'data']), 'planet:jupiter');
+});
+
+test('rejects attribute values that do not match their declared types', function(assert) {
+  assertValidationErrors(
+    assert,
+    () => cache.patch([
+      addRecord({ type: 'planet', id: 'earth', attributes: { name: 3, mass: 'heavy', habitable: 'yes', discoveredAt: 'never' } }),
+      replaceAttribute(jupiter, 'mass', NaN)
+    ]),
+    [
+      { record: { type: 'planet', id: 'earth' }, attribute: 'name', relationship: undefined, code: 'type' },
+      { record: { type: 'planet', id: 'earth' }, attribute: 'mass', relationship: undefined, code: 'type' },
+      { record: { type: 'planet', id: 'earth' }, attribute: 'habitable', relationship: undefined, code: 'type' },
+      { record: { type: 'planet', id: 'earth' }, attribute: 'discoveredAt', relationship: undefined, code: 'type' },
+      { record: { type: 'planet', id: 'jupiter' }, attribute: 'mass', relationship: undefined, code: 'type' }
+    ]
+  );
+});
+
+test('rejects unknown models, attributes and relationships', function(assert) {
+  assertValidationErrors(
+    assert,
+    () => cache.patch([
+      addRecord({ type: 'comet', id: 'halley' }),
+      addRecord({ type: 'planet', id: 'earth', attributes: { colour: 'blue' }, relationships: { rings: { data: {} } } }),
+      replaceAttribute(jupiter, 'colour', 'orange'),
+      replaceHasOne(io, 'star', sun)
+    ]),
+    [
+      { record: { type: 'comet', id: 'halley' }, attribute: undefined, relationship: undefined, code: 'unknownModel' },
+      { record: { type: 'planet', id: 'earth' }, attribute: 'colour', relationship: undefined, code: 'unknownAttribute' },
+      { record: { type: 'planet', id: 'earth' }, attribute: undefined, relationship: 'rings', code: 'unknownRelationship' },
+      { record: { type: 'planet', id: 'jupiter' }, attribute: 'colour', relationship: undefined, code: 'unknownAttribute' },
+      { record: { type: 'moon', id: 'io' }, attribute: undefined, relationship: 'star', code: 'unknownRelationship' }
+    ]
+  );
+});
+
+test('rejects relationships with records of the wrong model', function(assert) {
+  assertValidationErrors(
+    assert,
+    () => cache.patch([
+      addRecord({ type: 'moon', id: 'europa', relationships: { planet: { data: 'star:sun' } } }),
+      addToHasMany(jupiter, 'moons', sun),
+      replaceHasOne(io, 'planet', io)
+    ]),
+    [
+      { record: { type: 'moon', id: 'europa' }, attribute: undefined, relationship: 'planet', code: 'model' },
+      { record: { type: 'planet', id: 'jupiter' }, attribute: undefined, relationship: 'moons', code: 'model' },
+      { record: { type: 'moon', id: 'io' }, attribute: undefined, relationship: 'planet', code: 'model' }
+    ]
+  );
+});
+
+test('accepts related records of any of the models of a polymorphic relationship', function(assert) {
+  schema.registerModel('star', {
+    attributes: {
+      name: { type: 'string' }
+    },
+    relationships: {
+      bodies: { type: 'hasMany', model: ['planet', 'moon'] }
+    }
+  });
+
+  cache.patch([
+    addRecord(sun),
+    addToHasMany(sun, 'bodies', jupiter),
+    addToHasMany(sun, 'bodies', io)
+  ]);
+
+  assertValidationErrors(
+    assert,
+    () => cache.patch(addToHasMany(sun, 'bodies', sun)),
+    [
+      { record: { type: 'star', id: 'sun' }, attribute: undefined, relationship: 'bodies', code: 'model' }
+    ]
+  );
+});
+
+test('rejected patches leave the document untouched', function(assert) {
+  cache.patch(addRecord(jupiter));
+
+  let patched = false;
+  cache.on('patch', () => { patched = true; });
+
+  assert.throws(
+    () => cache.patch([
+      addRecord(io),
+      addToHasMany(jupiter, 'moons', io),
+      replaceAttribute(jupiter, 'name', 5)
+    ]),
+    ValidationError
+  );
+
+  assert.notOk(patched, 'no operations were applied');
+  assert.equal(cache.get(['moon', 'io']), undefined, 'record was not added');
+  assert.deepEqual(cache.get(['planet', 'jupiter']), jupiter, 'record was not changed');
+});
+
+module('OC - OperationProcessors - SchemaValidationProcessor - constraints', {
+  setup() {
+    let keyMap = new KeyMap();
+    schema = new Schema({
+      models: {
+        planet: {
+          attributes: {
+            name: { type: 'string', required: true, unique: true },
+            mass: { type: 'number', validate: (mass) => mass > 0 || 'mass must be positive' },
+            classification: { type: 'string', validate: (classification) => ['gas giant', 'terrestrial'].indexOf(classification) > -1 }
+          },
+          relationships: {
+            moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+          }
+        },
+        moon: {
+          attributes: {
+            name: { type: 'string', unique: { scope: 'planet' } }
+          },
+          relationships: {
+            planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+          }
+        }
+      }
+    });
+    cache = new Cache({ schema, keyMap, processors: [SchemaValidationProcessor, SchemaConsistencyProcessor] });
+  },
+
+  teardown() {
+    schema = null;
+    cache = null;
+  }
+});
+
+test('rejects records without values for required attributes', function(assert) {
+  assertValidationErrors(
+    assert,
+    () => cache.patch([
+      addRecord({ type: 'planet', id: 'earth' }),
+      addRecord(jupiter),
+      replaceAttribute(jupiter, 'name', null)
+    ]),
+    [
+      { record: { type: 'planet', id: 'earth' }, attribute: 'name', relationship: undefined, code: 'required' },
+      { record: { type: 'planet', id: 'jupiter' }, attribute: 'name', relationship: undefined, code: 'required' }
+    ]
+  );
+});
+
+test('rejects values that fail custom validation', function(assert) {
+  try {
+    cache.patch([
+      addRecord({ type: 'planet', id: 'earth', attributes: { name: 'Earth', mass: -1, classification: 'dwarf' } })
+    ]);
+    assert.ok(false, 'ValidationError was not thrown');
+  } catch (e) {
+    assert.ok(e instanceof ValidationError, 'ValidationError was thrown');
+    assert.deepEqual(e.errors.map(({ attribute, code, message }) => ({ attribute, code, message })), [
+      { attribute: 'mass', code: 'invalid', message: 'mass must be positive' },
+      { attribute: 'classification', code: 'invalid', message: '\'classification\' of planet:earth is invalid' }
+    ]);
+  }
+});
+
+test('rejects duplicate values of unique attributes, both within a patch and against existing records', function(assert) {
+  cache.patch(addRecord(jupiter));
+
+  assertValidationErrors(
+    assert,
+    () => cache.patch([
+      addRecord({ type: 'planet', id: 'jupiter2', attributes: { name: 'Jupiter' } })
+    ]),
+    [
+      { record: { type: 'planet', id: 'jupiter2' }, attribute: 'name', relationship: undefined, code: 'unique' }
+    ]
+  );
+
+  assertValidationErrors(
+    assert,
+    () => cache.patch([
+      addRecord({ type: 'planet', id: 'earth', attributes: { name: 'Earth' } }),
+      addRecord({ type: 'planet', id: 'earth2', attributes: { name: 'Earth' } })
+    ]),
+    [
+      { record: { type: 'planet', id: 'earth' }, attribute: 'name', relationship: undefined, code: 'unique' },
+      { record: { type: 'planet', id: 'earth2' }, attribute: 'name', relationship: undefined, code: 'unique' }
+    ]
+  );
+
+  cache.patch([
+    replaceAttribute(jupiter, 'name', 'Zeus'),
+    addRecord({ type: 'planet', id: 'jupiter2', attributes: { name: 'Jupiter' } })
+  ]);
+
+  assert.equal(cache.get(['planet', 'jupiter2', 'attributes', 'name']), 'Jupiter', 'values may be reused once they have been replaced');
+});
+
+test('scopes uniqueness by the values of other fields', function(assert) {
+  const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+
+  cache.patch([
+    addRecord(jupiter),
+    addRecord(saturn),
+    addRecord({ type: 'moon', id: 'jupiter-a', attributes: { name: 'A' }, relationships: { planet: { data: 'planet:jupiter' } } }),
+    addRecord({ type: 'moon', id: 'saturn-a', attributes: { name: 'A' }, relationships: { planet: { data: 'planet:saturn' } } })
+  ]);
+
+  assertValidationErrors(
+    assert,
+    () => cache.patch([
+      replaceHasOne({ type: 'moon', id: 'saturn-a' }, 'planet', jupiter)
+    ]),
+    [
+      { record: { type: 'moon', id: 'saturn-a' }, attribute: 'name', relationship: undefined, code: 'unique' }
+    ]
+  );
+
+  assert.equal(cache.get(['moon', 'saturn-a', 'relationships', 'planet', 'data']), 'planet:saturn', 'relationship was not changed');
+});
+
+test('reports violations of uniqueness along with other violations, before any operations are applied', function(assert) {
+  cache.patch(addRecord(jupiter));
+
+  let patched = false;
+  cache.on('patch', () => { patched = true; });
+
+  assertValidationErrors(
+    assert,
+    () => cache.patch([
+      addRecord({ type: 'planet', id: 'earth', attributes: { name: 'Earth', mass: -1 } }),
+      addRecord({ type: 'planet', id: 'jupiter2', attributes: { name: 'Jupiter' } })
+    ]),
+    [
+      { record: { type: 'planet', id: 'earth' }, attribute: 'mass', relationship: undefined, code: 'invalid' },
+      { record: { type: 'planet', id: 'jupiter2' }, attribute: 'name', relationship: undefined, code: 'unique' }
+    ]
+  );
+
+  assert.notOk(patched, 'no operations were applied');
+});
+
+test('rejects violations of uniqueness by related operations once they have been applied', function(assert) {
+  const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn' } };
+  const saturnA = { type: 'moon', id: 'saturn-a', attributes: { name: 'A' }, relationships: { planet: { data: 'planet:saturn' } } };
+
+  cache.patch([
+    addRecord(jupiter),
+    addRecord(saturn),
+    addRecord({ type: 'moon', id: 'jupiter-a', attributes: { name: 'A' }, relationships: { planet: { data: 'planet:jupiter' } } }),
+    addRecord(saturnA)
+  ]);
+
+  const doc = cache.get([]);
+  const results = [];
+
+  cache.liveResults(qb.relatedRecords(jupiter, 'moons'))
+    .subscribe(result => results.push(Object.keys(result).sort()));
+
+  // The inverse relationship of the moon, which scopes its name, is only
+  // replaced by a related operation
+  assertValidationErrors(
+    assert,
+    () => cache.patch(addToHasMany(jupiter, 'moons', saturnA)),
+    [
+      { record: { type: 'moon', id: 'saturn-a' }, attribute: 'name', relationship: undefined, code: 'unique' }
+    ]
+  );
+
+  assert.deepEqual(cache.get([]), doc, 'document was not changed');
+  assert.deepEqual(results, [['jupiter-a'], ['jupiter-a']], 'live results reflect the reverted document');
+});
+
+test('rejected patches leave the document untouched after a uniqueness violation', function(assert) {
+  cache = new Cache({ schema, keyMap: new KeyMap(), processors: [SchemaValidationProcessor, SchemaConsistencyProcessor, DeletionTrackingProcessor] });
+
+  cache.patch([
+    addRecord(jupiter),
+    addRecord({ type: 'moon', id: 'io', attributes: { name: 'Io' } })
+  ]);
+
+  const doc = cache.get([]);
+
+  assert.throws(
+    () => cache.patch([
+      removeRecord({ type: 'moon', id: 'io' }),
+      addToHasMany(jupiter, 'moons', { type: 'moon', id: 'europa' }),
+      addRecord({ type: 'planet', id: 'jupiter2', attributes: { name: 'Jupiter' } })
+    ]),
+    ValidationError
+  );
+
+  assert.deepEqual(cache.get([]), doc, 'document was not changed');
+  assert.notOk(cache.hasDeleted('moon/io'), 'removed record is no longer tracked as deleted');
+
+  cache.patch(removeRecord({ type: 'moon', id: 'io' }));
+  assert.equal(cache.get(['moon', 'io']), undefined, 'record can still be removed');
+});
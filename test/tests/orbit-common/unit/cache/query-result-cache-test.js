@@ -0,0 +1,178 @@
+import Cache from 'orbit-common/cache';
+import Schema from 'orbit-common/schema';
+import KeyMap from 'orbit-common/key-map';
+import qb from 'orbit-common/query/builder';
+import {
+  addRecord,
+  replaceAttribute,
+  addToHasMany
+} from 'orbit-common/transform/operators';
+
+const schema = new Schema({
+  models: {
+    planet: {
+      attributes: {
+        name: { type: 'string' }
+      },
+      relationships: {
+        moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+      }
+    },
+    moon: {
+      attributes: {
+        name: { type: 'string' }
+      },
+      relationships: {
+        planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+      }
+    },
+    star: {
+      attributes: {
+        name: { type: 'string' }
+      }
+    }
+  }
+});
+
+module('OC - Cache - memoized queries', function(hooks) {
+  let cache;
+
+  const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+  const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth' } };
+  const io = { type: 'moon', id: 'io', attributes: { name: 'Io' } };
+  const sun = { type: 'star', id: 'sun', attributes: { name: 'Sun' } };
+
+  hooks.beforeEach(function() {
+    cache = new Cache({ schema, keyMap: new KeyMap(), memoizeQueries: true });
+    cache.reset({ planet: { jupiter, earth }, moon: { io }, star: { sun } });
+  });
+
+  test('queries are not memoized unless requested', function(assert) {
+    const unmemoized = new Cache({ schema, keyMap: new KeyMap() });
+
+    assert.strictEqual(unmemoized.queryResults, undefined);
+  });
+
+  test('reuses results for equivalent queries', function(assert) {
+    const first = cache.query(qb.records('planet').sort('name'));
+    const second = cache.query(qb.records('planet').sort('name'));
+
+    assert.strictEqual(second, first, 'result is reused');
+    assert.deepEqual(cache.queryResults.stats, { hits: 1, misses: 1, invalidations: 0, size: 1 });
+
+    cache.query(qb.records('planet').sort('-name'));
+
+    assert.deepEqual(cache.queryResults.stats, { hits: 1, misses: 2, invalidations: 0, size: 2 }, 'different queries are memoized separately');
+  });
+
+  test('invalidates results that depend upon the type of a patched record', function(assert) {
+    const planets = cache.query(qb.records('planet'));
+    const stars = cache.query(qb.records('star'));
+
+    cache.patch(replaceAttribute(earth, 'name', 'Terra'));
+
+    assert.strictEqual(cache.query(qb.records('star')), stars, 'unrelated results are kept');
+
+    const updatedPlanets = cache.query(qb.records('planet'));
+
+    assert.notStrictEqual(updatedPlanets, planets, 'dependent results are invalidated');
+    assert.equal(updatedPlanets.earth.attributes.name, 'Terra', 'results are re-evaluated');
+    assert.equal(cache.queryResults.stats.invalidations, 1);
+  });
+
+  test('invalidates results that depend upon a patched record', function(assert) {
+    const jupiterResult = cache.query(qb.record(jupiter));
+    const earthResult = cache.query(qb.record(earth));
+
+    cache.patch(replaceAttribute(earth, 'name', 'Terra'));
+
+    assert.strictEqual(cache.query(qb.record(jupiter)), jupiterResult, 'results for other records are kept');
+    assert.notStrictEqual(cache.query(qb.record(earth)), earthResult, 'results for the patched record are invalidated');
+  });
+
+  test('invalidates results that depend upon a patched relationship', function(assert) {
+    const moons = cache.query(qb.relatedRecords(jupiter, 'moons'));
+
+    assert.deepEqual(moons, {});
+
+    cache.patch(replaceAttribute(jupiter, 'name', 'Jove'));
+
+    assert.strictEqual(cache.query(qb.relatedRecords(jupiter, 'moons')), moons, 'results are kept when other fields of the record are patched');
+
+    cache.patch(addToHasMany(jupiter, 'moons', io));
+
+    assert.deepEqual(Object.keys(cache.query(qb.relatedRecords(jupiter, 'moons'))), ['io'], 'results for the patched relationship are invalidated');
+  });
+
+  test('invalidates results that include related records of a patched type', function(assert) {
+    const result = cache.query(qb.record(jupiter).include('moons'));
+
+    cache.patch(addRecord({ type: 'star', id: 'sirius', attributes: { name: 'Sirius' } }));
+
+    assert.strictEqual(cache.query(qb.record(jupiter).include('moons')), result, 'results are kept after unrelated patches');
+
+    cache.patch(replaceAttribute(io, 'name', 'Io2'));
+
+    assert.notStrictEqual(cache.query(qb.record(jupiter).include('moons')), result, 'results are invalidated when included types are patched');
+  });
+
+  test('invalidates aggregates of a patched type', function(assert) {
+    assert.equal(cache.query(qb.records('planet').count()), 2);
+
+    cache.patch(addRecord({ type: 'star', id: 'sirius', attributes: { name: 'Sirius' } }));
+
+    assert.deepEqual(cache.queryResults.stats, { hits: 0, misses: 1, invalidations: 0, size: 1 }, 'results are kept after unrelated patches');
+
+    cache.patch(addRecord({ type: 'planet', id: 'mars', attributes: { name: 'Mars' } }));
+
+    assert.equal(cache.query(qb.records('planet').count()), 3, 'results are invalidated');
+  });
+
+  test('resets memoized results when the cache is reset', function(assert) {
+    const planets = cache.query(qb.records('planet'));
+
+    cache.reset({ planet: { jupiter } });
+
+    assert.notStrictEqual(cache.query(qb.records('planet')), planets);
+    assert.deepEqual(Object.keys(cache.query(qb.records('planet'))), ['jupiter']);
+  });
+
+  test('invalidates related records of polymorphic relationships when any related type is patched', function(assert) {
+    const polymorphicSchema = new Schema({
+      models: {
+        post: {
+          relationships: {
+            attachments: { type: 'hasMany', model: ['image', 'video'] }
+          }
+        },
+        image: {
+          attributes: {
+            name: { type: 'string' }
+          }
+        },
+        video: {
+          attributes: {
+            name: { type: 'string' }
+          }
+        }
+      }
+    });
+    const post = { type: 'post', id: 'post1', relationships: { attachments: { data: { 'image:photo': true, 'video:clip': true } } } };
+    const photo = { type: 'image', id: 'photo', attributes: { name: 'Photo' } };
+    const clip = { type: 'video', id: 'clip', attributes: { name: 'Clip' } };
+
+    cache = new Cache({ schema: polymorphicSchema, keyMap: new KeyMap(), memoizeQueries: true });
+    cache.reset({ post: { post1: post }, image: { photo }, video: { clip } });
+
+    const attachments = cache.query(qb.relatedRecords(post, 'attachments'));
+
+    cache.patch(replaceAttribute(photo, 'name', 'Photo2'));
+
+    const updatedAttachments = cache.query(qb.relatedRecords(post, 'attachments'));
+    assert.notStrictEqual(updatedAttachments, attachments, 'results are invalidated when one related type is patched');
+
+    cache.patch(replaceAttribute(clip, 'name', 'Clip2'));
+
+    assert.notStrictEqual(cache.query(qb.relatedRecords(post, 'attachments')), updatedAttachments, 'results are invalidated when another related type is patched');
+  });
+});
@@ -324,6 +324,82 @@ test('#serialize - can serialize a resource with attributes and a has-one relati
   );
 });
 
+test('#serialize - excludes computed attributes', function(assert) {
+  let schema = new Schema({
+    models: {
+      planet: {
+        attributes: {
+          name: { type: 'string' },
+          upperCaseName: { type: 'string', dependencies: ['name'], computed: (planet) => planet.attributes.name.toUpperCase() }
+        }
+      }
+    }
+  });
+  let serializer = new JSONAPISerializer({ schema, keyMap });
+
+  assert.deepEqual(
+    serializer.serialize(
+      {
+        type: 'planet',
+        id: 'p1',
+        attributes: {
+          name: 'Jupiter',
+          upperCaseName: 'JUPITER'
+        }
+      }
+    ),
+    {
+      data: {
+        type: 'planets',
+        id: 'p1',
+        attributes: {
+          name: 'Jupiter'
+        }
+      }
+    },
+    'serialized document matches'
+  );
+});
+
+test('#serialize and #deserialize - handle polymorphic relationships', function(assert) {
+  let schema = new Schema({
+    models: {
+      post: {
+        relationships: {
+          attachments: { type: 'hasMany', model: ['image', 'video'] }
+        }
+      },
+      image: {},
+      video: {}
+    }
+  });
+  let serializer = new JSONAPISerializer({ schema, keyMap });
+
+  const json = {
+    data: {
+      type: 'posts',
+      id: 'post1',
+      relationships: {
+        attachments: {
+          data: [{ type: 'images', id: 'photo' }, { type: 'videos', id: 'clip' }]
+        }
+      }
+    }
+  };
+
+  assert.deepEqual(
+    serializer.serialize({ type: 'post', id: 'post1', relationships: { attachments: { data: { 'image:photo': true, 'video:clip': true } } } }),
+    json,
+    'serialized document matches'
+  );
+
+  assert.deepEqual(
+    serializer.deserialize(json).primary.relationships.attachments,
+    { data: { 'image:photo': true, 'video:clip': true } },
+    'deserialized relationship matches'
+  );
+});
+
 test('#deserialize - can deserialize a simple resource with only type and id - using local IDs', function() {
   let serializer = setupWithLocalIds();
 
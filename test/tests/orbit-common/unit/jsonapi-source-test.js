@@ -4,7 +4,7 @@ import Schema from 'orbit-common/schema';
 import KeyMap from 'orbit-common/key-map';
 import JSONAPISource from 'orbit-common/jsonapi-source';
 import qb from 'orbit-common/query/builder';
-import { TransformNotAllowed } from 'orbit-common/lib/exceptions';
+import { TransformNotAllowed, QueryExpressionParseError } from 'orbit-common/lib/exceptions';
 import {
   addRecord,
   replaceRecord,
@@ -600,6 +600,248 @@ test('#fetch - records with filter', function(assert) {
     });
 });
 
+test('#fetch - records with comparison and membership filters', function(assert) {
+  assert.expect(3);
+
+  const data = [
+    { type: 'planets', attributes: { name: 'Jupiter', classification: 'gas giant' } }
+  ];
+
+  const params = [
+    `${encodeURIComponent('filter[mass][gt]')}=10`,
+    `${encodeURIComponent('filter[mass][lte]')}=500`,
+    `${encodeURIComponent('filter[classification][in]')}=${encodeURIComponent('gas giant,ice giant')}`
+  ];
+
+  server.respondWith('GET', `/planets?${params.join('&')}`, function(xhr) {
+    assert.ok(true, 'GET request');
+    xhr.respond(200,
+                { 'Content-Type': 'application/json' },
+                JSON.stringify({ data }));
+  });
+
+  return source.fetch(qb.records('planet')
+                        .filter(record => qb.and(
+                          record.attribute('mass').gt(10),
+                          record.attribute('mass').lte(500),
+                          record.attribute('classification').in(['gas giant', 'ice giant'])
+                        )))
+    .then(transforms => {
+      assert.equal(transforms.length, 1, 'one transform returned');
+      assert.deepEqual(transforms[0].operations.map(o => o.record.attributes.name), ['Jupiter']);
+    });
+});
+
+test('#fetch - records with filters on resource attributes', function(assert) {
+  assert.expect(2);
+
+  const data = [
+    { type: 'planets', attributes: { name: 'Jupiter', classification: 'gas giant' } }
+  ];
+
+  const params = [
+    `${encodeURIComponent('filter[length-of-day][lt]')}=10`,
+    `${encodeURIComponent('filter[name][match]')}=${encodeURIComponent('^J')}`,
+    `sort=${encodeURIComponent('-length-of-day')}`
+  ];
+
+  server.respondWith('GET', `/planets?${params.join('&')}`, function(xhr) {
+    assert.ok(true, 'GET request uses the same attribute names in filters and sort');
+    xhr.respond(200,
+                { 'Content-Type': 'application/json' },
+                JSON.stringify({ data }));
+  });
+
+  return source.fetch(qb.records('planet')
+                        .filter(record => qb.and(
+                          record.attribute('lengthOfDay').lt(10),
+                          record.attribute('name').match(/^J/)
+                        ))
+                        .sort('-lengthOfDay'))
+    .then(transforms => {
+      assert.deepEqual(transforms[0].operations.map(o => o.record.attributes.name), ['Jupiter']);
+    });
+});
+
+test('#fetch - records with regular expression flags can not be fetched', function(assert) {
+  assert.expect(1);
+
+  return source.fetch(qb.records('planet')
+                        .filter(record => record.attribute('name').match(/^jup/i)))
+    .catch(e => {
+      assert.ok(e instanceof QueryExpressionParseError, 'QueryExpressionParseError thrown');
+    });
+});
+
+test('#fetch - records with filters that can not be expressed as request params', function(assert) {
+  assert.expect(1);
+
+  return source.fetch(qb.records('planet')
+                        .filter(record => qb.or(
+                          record.attribute('name').equal('Jupiter'),
+                          record.attribute('name').equal('Pluto')
+                        )))
+    .catch(e => {
+      assert.ok(e instanceof QueryExpressionParseError, 'QueryExpressionParseError thrown');
+    });
+});
+
+test('#fetch - records with sort', function(assert) {
+  assert.expect(4);
+
+  const data = [
+    { type: 'planets', attributes: { name: 'Saturn', classification: 'gas giant' } },
+    { type: 'planets', attributes: { name: 'Jupiter', classification: 'gas giant' } },
+    { type: 'planets', attributes: { name: 'Earth', classification: 'terrestrial' } }
+  ];
+
+  server.respondWith('GET', `/planets?sort=${encodeURIComponent('classification,-name')}`, function(xhr) {
+    assert.ok(true, 'GET request');
+    xhr.respond(200,
+                { 'Content-Type': 'application/json' },
+                JSON.stringify({ data }));
+  });
+
+  return source.fetch(qb.records('planet')
+                        .sort('classification', '-name'))
+    .then(transforms => {
+      assert.equal(transforms.length, 1, 'one transform returned');
+      assert.deepEqual(transforms[0].operations.map(o => o.op), ['replaceRecord', 'replaceRecord', 'replaceRecord']);
+      assert.deepEqual(transforms[0].operations.map(o => o.record.attributes.name), ['Saturn', 'Jupiter', 'Earth']);
+    });
+});
+
+test('#fetch - records with offset pagination', function(assert) {
+  assert.expect(3);
+
+  const data = [
+    { type: 'planets', attributes: { name: 'Jupiter', classification: 'gas giant' } }
+  ];
+
+  server.respondWith('GET', `/planets?${encodeURIComponent('page[offset]')}=10&${encodeURIComponent('page[limit]')}=1`, function(xhr) {
+    assert.ok(true, 'GET request');
+    xhr.respond(200,
+                { 'Content-Type': 'application/json' },
+                JSON.stringify({ data }));
+  });
+
+  return source.fetch(qb.records('planet')
+                        .page({ offset: 10, limit: 1 }))
+    .then(transforms => {
+      assert.equal(transforms.length, 1, 'one transform returned');
+      assert.deepEqual(transforms[0].operations.map(o => o.record.attributes.name), ['Jupiter']);
+    });
+});
+
+test('#fetch - records with cursor pagination', function(assert) {
+  assert.expect(3);
+
+  const earth = source.serializer.deserializeRecord({
+    type: 'planet',
+    id: '12345'
+  });
+
+  const data = [
+    { type: 'planets', attributes: { name: 'Jupiter', classification: 'gas giant' } }
+  ];
+
+  server.respondWith('GET', `/planets?${encodeURIComponent('page[after]')}=12345&${encodeURIComponent('page[size]')}=1`, function(xhr) {
+    assert.ok(true, 'GET request uses the cursor\'s resource id');
+    xhr.respond(200,
+                { 'Content-Type': 'application/json' },
+                JSON.stringify({ data }));
+  });
+
+  return source.fetch(qb.records('planet')
+                        .page({ after: earth.id, size: 1 }))
+    .then(transforms => {
+      assert.equal(transforms.length, 1, 'one transform returned');
+      assert.deepEqual(transforms[0].operations.map(o => o.record.attributes.name), ['Jupiter']);
+    });
+});
+
+test('#fetch - record with included relationships', function(assert) {
+  assert.expect(4);
+
+  const data = { type: 'planets', id: '12345', attributes: { name: 'Jupiter' }, relationships: { moons: { data: [{ type: 'moons', id: '5' }] } } };
+  const included = [{ type: 'moons', id: '5', attributes: { name: 'Io' } }];
+
+  const planet = source.serializer.deserializeRecord({
+    type: 'planet',
+    id: '12345'
+  });
+
+  server.respondWith('GET', `/planets/12345?include=${encodeURIComponent('moons,moons.planet')}`, function(xhr) {
+    assert.ok(true, 'GET request includes related resources');
+    xhr.respond(200,
+                { 'Content-Type': 'application/json' },
+                JSON.stringify({ data, included }));
+  });
+
+  return source.fetch(qb.record({ type: 'planet', id: planet.id }).include('moons', 'moons.planet'))
+    .then(transforms => {
+      assert.equal(transforms.length, 1, 'one transform returned');
+      assert.deepEqual(transforms[0].operations.map(o => o.op), ['replaceRecord', 'replaceRecord']);
+      assert.deepEqual(transforms[0].operations.map(o => o.record.attributes.name), ['Jupiter', 'Io'], 'included records are returned with the primary record');
+    });
+});
+
+test('#fetch - records with included relationships', function(assert) {
+  assert.expect(2);
+
+  const data = [
+    { type: 'planets', attributes: { name: 'Jupiter', classification: 'gas giant' } }
+  ];
+
+  server.respondWith('GET', `/planets?${encodeURIComponent('filter[name]')}=Jupiter&include=moons`, function(xhr) {
+    assert.ok(true, 'GET request includes related resources');
+    xhr.respond(200,
+                { 'Content-Type': 'application/json' },
+                JSON.stringify({ data }));
+  });
+
+  return source.fetch(qb.records('planet')
+                        .filterAttributes({ name: 'Jupiter' })
+                        .include('moons'))
+    .then(transforms => {
+      assert.deepEqual(transforms[0].operations.map(o => o.record.attributes.name), ['Jupiter']);
+    });
+});
+
+test('#fetch - records with selected fields', function(assert) {
+  assert.expect(3);
+
+  const data = [
+    { type: 'planets', id: '12345', attributes: { name: 'Jupiter' }, relationships: { moons: { data: [{ type: 'moons', id: '5' }] } } }
+  ];
+
+  server.respondWith('GET', `/planets?${encodeURIComponent('fields[planets]')}=${encodeURIComponent('name,moons')}`, function(xhr) {
+    assert.ok(true, 'GET request uses a sparse fieldset');
+    xhr.respond(200,
+                { 'Content-Type': 'application/json' },
+                JSON.stringify({ data }));
+  });
+
+  return source.fetch(qb.records('planet').select('name', 'moons'))
+    .then(transforms => {
+      const operations = transforms[0].operations;
+
+      assert.deepEqual(operations.map(o => o.op), ['replaceKey', 'replaceAttribute', 'replaceHasMany'], 'only the fetched fields are replaced');
+
+      const planet = operations[0].record;
+      const moon = operations[2].relatedRecords[0];
+
+      assert.deepEqual(
+        operations,
+        [
+          { op: 'replaceKey', record: { type: 'planet', id: planet.id }, key: 'remoteId', value: '12345' },
+          { op: 'replaceAttribute', record: { type: 'planet', id: planet.id }, attribute: 'name', value: 'Jupiter' },
+          { op: 'replaceHasMany', record: { type: 'planet', id: planet.id }, relationship: 'moons', relatedRecords: [{ type: 'moon', id: moon.id }] }
+        ]
+      );
+    });
+});
+
 test('#fetch - relatedRecords', function(assert) {
   let planetRecord = source.serializer.deserialize({
     data: {
@@ -630,6 +872,101 @@ test('#fetch - relatedRecords', function(assert) {
   });
 });
 
+test('#fetch - relatedRecords of a polymorphic relationship with selected fields', function(assert) {
+  assert.expect(2);
+
+  source.schema.registerModel('post', {
+    relationships: {
+      attachments: { type: 'hasMany', model: ['image', 'video'] }
+    }
+  });
+  source.schema.registerModel('image', { attributes: { name: { type: 'string' } } });
+  source.schema.registerModel('video', { attributes: { name: { type: 'string' } } });
+
+  const postRecord = source.serializer.deserialize({
+    data: {
+      type: 'posts',
+      id: 'post1'
+    }
+  }).primary;
+
+  const data = [
+    { type: 'images', id: 'photo', attributes: { name: 'Photo' } },
+    { type: 'videos', id: 'clip', attributes: { name: 'Clip' } }
+  ];
+
+  server.respondWith('GET', `/posts/post1/attachments?${encodeURIComponent('fields[images]')}=name&${encodeURIComponent('fields[videos]')}=name`, function(xhr) {
+    assert.ok(true, 'GET request uses a sparse fieldset for each related type');
+    xhr.respond(200,
+                { 'Content-Type': 'application/json' },
+                JSON.stringify({ data }));
+  });
+
+  return source.fetch(qb.relatedRecords(postRecord, 'attachments').select('name'))
+    .then(transforms => {
+      assert.deepEqual(
+        transforms[0].operations.filter(o => o.op === 'replaceAttribute').map(o => [o.record.type, o.value]),
+        [['image', 'Photo'], ['video', 'Clip']]
+      );
+    });
+});
+
+test('#fetch - records with schema scopes', function(assert) {
+  assert.expect(2);
+
+  source.schema.registerModel('planet', {
+    attributes: {
+      name: { type: 'string' },
+      classification: { type: 'string' }
+    },
+    scopes: {
+      gasGiants: (records) => records.filterAttributes({ classification: 'gas giant' })
+    }
+  });
+
+  const data = [{ type: 'planets', attributes: { name: 'Jupiter', classification: 'gas giant' } }];
+
+  server.respondWith('GET', `/planets?${encodeURIComponent('filter[classification]')}=${encodeURIComponent('gas giant')}`, function(xhr) {
+    assert.ok(true, 'GET request filters by the scope');
+    xhr.respond(200,
+                { 'Content-Type': 'application/json' },
+                JSON.stringify({ data }));
+  });
+
+  return source.fetch(qb => qb.records('planet').gasGiants())
+    .then(transforms => {
+      assert.deepEqual(transforms[0].operations.map(o => o.record.attributes.name), ['Jupiter']);
+    });
+});
+
+test('#fetch - relatedRecords with filter, sort and page', function(assert) {
+  assert.expect(2);
+
+  const planetRecord = source.serializer.deserialize({
+    data: {
+      type: 'planets',
+      id: 'jupiter'
+    }
+  }).primary;
+
+  const data = [{ type: 'moons', id: 'io', attributes: { name: 'Io' } }];
+
+  server.respondWith('GET', `/planets/jupiter/moons?${encodeURIComponent('filter[name]')}=Io&sort=-name&${encodeURIComponent('page[offset]')}=0&${encodeURIComponent('page[limit]')}=5`, function(xhr) {
+    assert.ok(true, 'GET request filters, sorts and pages related resources');
+    xhr.respond(200,
+                { 'Content-Type': 'application/json' },
+                JSON.stringify({ data }));
+  });
+
+  return source.fetch(qb.relatedRecords(planetRecord, 'moons')
+                        .filterAttributes({ name: 'Io' })
+                        .sort('-name')
+                        .page({ offset: 0, limit: 5 }))
+    .then(transforms => {
+      assert.deepEqual(transforms[0].operations.map(o => o.record.attributes.name), ['Io']);
+    });
+});
+
 module('OC - JSONAPISource - with no secondary keys', {
   setup() {
     // fake xhr
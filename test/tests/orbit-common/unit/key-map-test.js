@@ -72,3 +72,21 @@ test('#pushDocument', function(assert) {
   assert.equal(keyMap.keyToId('planet', 'remoteId', 'b'), '2', 'new key on old type was registered');
   assert.equal(keyMap.keyToId('moon', 'remoteId', 'b'), '3', 'new key on new type was registered');
 });
+
+test('#dehydrate and #hydrate', function(assert) {
+  let keyMap = new KeyMap(schema);
+
+  keyMap.pushRecord({ type: 'planet', id: '1', keys: { remoteId: 'a', anotherKey: 'd' } });
+  keyMap.pushRecord({ type: 'moon', id: '2', keys: { remoteId: 'b' } });
+
+  const data = JSON.parse(JSON.stringify(keyMap.dehydrate()));
+
+  let hydrated = new KeyMap(schema);
+  hydrated.pushRecord({ type: 'planet', id: '3', keys: { remoteId: 'c' } });
+  hydrated.hydrate(data);
+
+  assert.equal(hydrated.keyToId('planet', 'remoteId', 'a'), '1', 'key was restored');
+  assert.equal(hydrated.idToKey('planet', 'anotherKey', '1'), 'd', 'other keys were restored');
+  assert.equal(hydrated.keyToId('moon', 'remoteId', 'b'), '2', 'keys of other types were restored');
+  assert.equal(hydrated.keyToId('planet', 'remoteId', 'c'), '3', 'existing keys remain');
+});
@@ -1,6 +1,9 @@
 import 'tests/test-helper';
-import { queryExpression as oqe } from 'orbit/query/expression';
+import { queryExpression as oqe, queryExpressionFromJSON } from 'orbit/query/expression';
+import QueryOperators from 'orbit-common/cache/query-operators';
 import qb from 'orbit-common/query/builder';
+import { QueryExpressionParseError } from 'orbit-common/lib/exceptions';
+import { RelatedRecords } from 'orbit-common/query/terms';
 
 module('OC - QueryBuilder', function() {
   test('record', function(assert) {
@@ -109,4 +112,357 @@ module('OC - QueryBuilder', function() {
             oqe('equal', oqe('attribute', 'age'), '23000000')))
     );
   });
+
+  test('records/sort', function(assert) {
+    assert.deepEqual(
+      qb.records('planet')
+        .sort('name', '-classification')
+        .toQueryExpression(),
+
+      oqe('sort',
+        oqe('records', 'planet'),
+        { field: oqe('attribute', 'name'), order: 'ascending' },
+        { field: oqe('attribute', 'classification'), order: 'descending' })
+    );
+  });
+
+  test('records/sort - with sort specifier objects', function(assert) {
+    assert.deepEqual(
+      qb.records('planet')
+        .sort({ attribute: 'name', order: 'descending', nulls: 'last' })
+        .toQueryExpression(),
+
+      oqe('sort',
+        oqe('records', 'planet'),
+        { field: oqe('attribute', 'name'), order: 'descending', nulls: 'last' })
+    );
+  });
+
+  test('records/filterAttributes/sort', function(assert) {
+    assert.deepEqual(
+      qb.records('planet')
+        .filterAttributes({ 'classification': 'terrestrial' })
+        .sort('name')
+        .toQueryExpression(),
+
+      oqe('sort',
+        oqe('filter',
+          oqe('records', 'planet'),
+          oqe('equal', oqe('attribute', 'classification'), 'terrestrial')),
+        { field: oqe('attribute', 'name'), order: 'ascending' })
+    );
+  });
+
+  test('records/sort/page - offset', function(assert) {
+    assert.deepEqual(
+      qb.records('planet')
+        .sort('name')
+        .page({ offset: 10, limit: 5 })
+        .toQueryExpression(),
+
+      oqe('page',
+        oqe('sort',
+          oqe('records', 'planet'),
+          { field: oqe('attribute', 'name'), order: 'ascending' }),
+        { offset: 10, limit: 5 })
+    );
+  });
+
+  test('records/page - cursor', function(assert) {
+    assert.deepEqual(
+      qb.records('planet')
+        .page({ after: 'earth', size: 5 })
+        .toQueryExpression(),
+
+      oqe('page',
+        oqe('records', 'planet'),
+        { after: 'earth', size: 5 })
+    );
+  });
+
+  test('records/page - can not combine offset and cursor options', function(assert) {
+    assert.throws(
+      () => qb.records('planet').page({ offset: 10, size: 5 }),
+      QueryExpressionParseError
+    );
+  });
+
+  test('records/page - must be the last term', function(assert) {
+    const paged = qb.records('planet').page({ offset: 0, limit: 2 });
+
+    assert.notOk(paged.sort, 'records can not be sorted after they are paged');
+    assert.notOk(paged.filter, 'records can not be filtered after they are paged');
+    assert.notOk(paged.page, 'records can not be paged twice');
+  });
+
+  test('records/filter/comparison predicates', function(assert) {
+    assert.deepEqual(
+      qb.records('planet')
+        .filter(record =>
+          qb.and(
+            record.attribute('mass').gt(1),
+            record.attribute('mass').gte(2),
+            record.attribute('mass').lt(3),
+            record.attribute('mass').lte(4),
+            record.attribute('name').notEqual('Pluto')
+          )
+        )
+        .toQueryExpression(),
+
+      oqe('filter',
+        oqe('records', 'planet'),
+          oqe('and',
+            oqe('gt', oqe('attribute', 'mass'), 1),
+            oqe('gte', oqe('attribute', 'mass'), 2),
+            oqe('lt', oqe('attribute', 'mass'), 3),
+            oqe('lte', oqe('attribute', 'mass'), 4),
+            oqe('notEqual', oqe('attribute', 'name'), 'Pluto')))
+    );
+  });
+
+  test('records/filter/membership and text predicates', function(assert) {
+    assert.deepEqual(
+      qb.records('planet')
+        .filter(record =>
+          qb.and(
+            record.attribute('classification').in(['terrestrial', 'dwarf']),
+            record.attribute('name').contains('ar'),
+            record.attribute('name').startsWith('M'),
+            record.attribute('name').match(/^m/i),
+            record.attribute('rings').isNull()
+          )
+        )
+        .toQueryExpression(),
+
+      oqe('filter',
+        oqe('records', 'planet'),
+          oqe('and',
+            oqe('in', oqe('attribute', 'classification'), ['terrestrial', 'dwarf']),
+            oqe('contains', oqe('attribute', 'name'), 'ar'),
+            oqe('startsWith', oqe('attribute', 'name'), 'M'),
+            oqe('match', oqe('attribute', 'name'), /^m/i),
+            oqe('isNull', oqe('attribute', 'rings'))))
+    );
+  });
+
+  test('records/filter/relatedRecord/equal', function(assert) {
+    assert.deepEqual(
+      qb.records('moon')
+        .filter(record => record.relatedRecord('planet').equal({ type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } }))
+        .toQueryExpression(),
+
+      oqe('filter',
+        oqe('records', 'moon'),
+        oqe('equal', oqe('relationship', 'planet'), { type: 'planet', id: 'jupiter' }))
+    );
+  });
+
+  test('records/filter/relatedRecords/includes', function(assert) {
+    assert.deepEqual(
+      qb.records('planet')
+        .filter(record => record.relatedRecords('moons').includes({ type: 'moon', id: 'io' }))
+        .toQueryExpression(),
+
+      oqe('filter',
+        oqe('records', 'planet'),
+        oqe('includes', oqe('relationship', 'moons'), { type: 'moon', id: 'io' }))
+    );
+  });
+
+  test('records/filter/relatedRecords/count', function(assert) {
+    assert.deepEqual(
+      qb.records('planet')
+        .filter(record => record.relatedRecords('moons').count().gt(0))
+        .toQueryExpression(),
+
+      oqe('filter',
+        oqe('records', 'planet'),
+        oqe('gt', oqe('count', oqe('relationship', 'moons')), 0))
+    );
+  });
+
+  test('record/include', function(assert) {
+    assert.deepEqual(
+      qb.record({ type: 'planet', id: 'jupiter' })
+        .include('moons', 'moons.craters')
+        .toQueryExpression(),
+
+      oqe('include',
+        oqe('record', { type: 'planet', id: 'jupiter' }),
+        'moons',
+        'moons.craters')
+    );
+  });
+
+  test('records/filter/include', function(assert) {
+    assert.deepEqual(
+      qb.records('planet')
+        .filterAttributes({ name: 'Jupiter' })
+        .include('moons')
+        .toQueryExpression(),
+
+      oqe('include',
+        oqe('filter',
+          oqe('records', 'planet'),
+          oqe('equal', oqe('attribute', 'name'), 'Jupiter')),
+        'moons')
+    );
+  });
+
+  test('records/include - requires valid relationship paths', function(assert) {
+    assert.throws(
+      () => qb.records('planet').include(),
+      QueryExpressionParseError,
+      'at least one path is required'
+    );
+
+    assert.throws(
+      () => qb.records('planet').include('moons..craters'),
+      QueryExpressionParseError,
+      'empty path segments are rejected'
+    );
+  });
+
+  test('records/count, sum, min and max', function(assert) {
+    assert.deepEqual(
+      qb.records('planet').count().toQueryExpression(),
+      oqe('count', oqe('records', 'planet'))
+    );
+
+    assert.deepEqual(
+      qb.records('planet').sum('mass').toQueryExpression(),
+      oqe('sum', oqe('records', 'planet'), oqe('attribute', 'mass'))
+    );
+
+    assert.deepEqual(
+      qb.records('planet').min('mass').toQueryExpression(),
+      oqe('min', oqe('records', 'planet'), oqe('attribute', 'mass'))
+    );
+
+    assert.deepEqual(
+      qb.records('planet').filterAttributes({ classification: 'gas giant' }).max('mass').toQueryExpression(),
+      oqe('max',
+          oqe('filter',
+              oqe('records', 'planet'),
+              oqe('equal', oqe('attribute', 'classification'), 'gas giant')),
+          oqe('attribute', 'mass'))
+    );
+  });
+
+  test('records/exists and first', function(assert) {
+    assert.deepEqual(
+      qb.records('planet').filterAttributes({ name: 'Pluto' }).exists().toQueryExpression(),
+      oqe('exists', oqe('filter', oqe('records', 'planet'), oqe('equal', oqe('attribute', 'name'), 'Pluto')))
+    );
+
+    assert.deepEqual(
+      qb.relatedRecords({ type: 'planet', id: 'jupiter' }, 'moons').sort('name').first().toQueryExpression(),
+      oqe('first',
+          oqe('sort',
+              oqe('relatedRecords', { type: 'planet', id: 'jupiter' }, 'moons'),
+              { field: oqe('attribute', 'name'), order: 'ascending' }))
+    );
+  });
+
+  test('records/groupBy', function(assert) {
+    assert.deepEqual(
+      qb.records('planet').groupBy('classification').toQueryExpression(),
+      oqe('groupBy', oqe('records', 'planet'), oqe('attribute', 'classification'))
+    );
+
+    assert.deepEqual(
+      qb.records('moon').groupBy({ relationship: 'planet' }).count().toQueryExpression(),
+      oqe('count', oqe('groupBy', oqe('records', 'moon'), oqe('relationship', 'planet')))
+    );
+
+    assert.deepEqual(
+      qb.records('planet').groupBy({ attribute: 'classification' }).sum('mass').toQueryExpression(),
+      oqe('sum',
+          oqe('groupBy', oqe('records', 'planet'), oqe('attribute', 'classification')),
+          oqe('attribute', 'mass'))
+    );
+  });
+
+  test('records/select', function(assert) {
+    assert.deepEqual(
+      qb.records('planet').sort('name').select('name', 'classification').toQueryExpression(),
+      oqe('select',
+          oqe('sort', oqe('records', 'planet'), { field: oqe('attribute', 'name'), order: 'ascending' }),
+          'name', 'classification')
+    );
+
+    assert.deepEqual(
+      qb.relatedRecord({ type: 'moon', id: 'io' }, 'planet').select('name').toQueryExpression(),
+      oqe('select', oqe('relatedRecord', { type: 'moon', id: 'io' }, 'planet'), 'name')
+    );
+
+    assert.throws(
+      () => qb.record({ type: 'planet', id: 'jupiter' }).select(),
+      QueryExpressionParseError,
+      'at least one field is required'
+    );
+  });
+
+  test('relatedRecords/filter/sort/page', function(assert) {
+    assert.deepEqual(
+      qb.relatedRecords({ type: 'planet', id: 'jupiter' }, 'moons')
+        .filterAttributes({ name: 'Io' })
+        .sort('-name')
+        .page({ offset: 0, limit: 5 })
+        .toQueryExpression(),
+      oqe('page',
+          oqe('sort',
+              oqe('filter',
+                  oqe('relatedRecords', { type: 'planet', id: 'jupiter' }, 'moons'),
+                  oqe('equal', oqe('attribute', 'name'), 'Io')),
+              { field: oqe('attribute', 'name'), order: 'descending' }),
+          { offset: 0, limit: 5 })
+    );
+  });
+
+  test('relatedRecords/withScopes', function(assert) {
+    const MoonRecords = RelatedRecords.withScopes({
+      large() {
+        return this.filter(record => record.attribute('radius').gt(1000));
+      }
+    });
+
+    const moons = new MoonRecords(oqe('relatedRecords', { type: 'planet', id: 'jupiter' }, 'moons'));
+
+    assert.ok(moons instanceof RelatedRecords, 'scoped terms are related records terms');
+
+    assert.deepEqual(
+      moons.large().sort('name').toQueryExpression(),
+      oqe('sort',
+          oqe('filter',
+              oqe('relatedRecords', { type: 'planet', id: 'jupiter' }, 'moons'),
+              oqe('gt', oqe('attribute', 'radius'), 1000)),
+          { field: oqe('attribute', 'name'), order: 'ascending' }),
+      'scopes can be chained with other terms'
+    );
+
+    assert.ok(moons.large().large, 'scopes are retained by chained terms');
+  });
+
+  test('expressions built by the builder can be round-tripped through JSON', function(assert) {
+    const expression = qb.records('planet')
+      .filter(record => qb.or(
+        record.attribute('name').match(/^jup/i),
+        record.relatedRecords('moons').includes({ type: 'moon', id: 'io' })
+      ))
+      .sort('-name')
+      .page({ offset: 0, limit: 5 })
+      .toQueryExpression();
+
+    assert.deepEqual(
+      queryExpressionFromJSON(JSON.parse(JSON.stringify(expression)), QueryOperators),
+      expression
+    );
+
+    assert.deepEqual(
+      queryExpressionFromJSON(JSON.parse(JSON.stringify(expression))),
+      expression,
+      'builder operators are known operators'
+    );
+  });
 });
@@ -0,0 +1,218 @@
+import 'tests/test-helper';
+import qb from 'orbit-common/query/builder';
+import { parseQuery } from 'orbit-common/query/parser';
+import Cache from 'orbit-common/cache';
+import Schema from 'orbit-common/schema';
+import KeyMap from 'orbit-common/key-map';
+import { QueryExpressionParseError } from 'orbit-common/lib/exceptions';
+
+function assertParseError(assert, text, message, position) {
+  assert.throws(
+    () => parseQuery(text),
+    function(e) {
+      return e instanceof QueryExpressionParseError &&
+             e.message === message &&
+             e.position === position;
+    },
+    text
+  );
+}
+
+module('OC - QueryParser', function() {
+  test('records', function(assert) {
+    assert.deepEqual(
+      parseQuery('records(planet)'),
+      qb.records('planet').toQueryExpression()
+    );
+  });
+
+  test('record', function(assert) {
+    assert.deepEqual(
+      parseQuery('record(planet:jupiter)'),
+      qb.record({ type: 'planet', id: 'jupiter' }).toQueryExpression()
+    );
+
+    assert.deepEqual(
+      parseQuery('record(planet:"a1b2-c3")'),
+      qb.record({ type: 'planet', id: 'a1b2-c3' }).toQueryExpression(),
+      'ids can be quoted'
+    );
+
+    assert.deepEqual(
+      parseQuery('record(planet:007)'),
+      qb.record({ type: 'planet', id: '007' }).toQueryExpression(),
+      'numeric ids keep leading zeros'
+    );
+
+    assert.deepEqual(
+      parseQuery('record(planet:1e3)'),
+      qb.record({ type: 'planet', id: '1e3' }).toQueryExpression(),
+      'numeric ids keep exponents'
+    );
+
+    assert.deepEqual(
+      parseQuery('records(planet) | page(after: 1.50, size: 5)'),
+      qb.records('planet').page({ after: '1.50', size: 5 }).toQueryExpression(),
+      'numeric cursors are taken as written'
+    );
+  });
+
+  test('relatedRecord and relatedRecords', function(assert) {
+    assert.deepEqual(
+      parseQuery('relatedRecord(moon:io, planet)'),
+      qb.relatedRecord({ type: 'moon', id: 'io' }, 'planet').toQueryExpression()
+    );
+
+    assert.deepEqual(
+      parseQuery('relatedRecords(planet:jupiter, moons)'),
+      qb.relatedRecords({ type: 'planet', id: 'jupiter' }, 'moons').toQueryExpression()
+    );
+  });
+
+  test('records/filter/sort', function(assert) {
+    assert.deepEqual(
+      parseQuery('records(planet) | filter(classification == "gas giant" and mass > 10) | sort(-name)'),
+      qb.records('planet')
+        .filter(record => qb.and(
+          record.attribute('classification').equal('gas giant'),
+          record.attribute('mass').gt(10)
+        ))
+        .sort('-name')
+        .toQueryExpression()
+    );
+  });
+
+  test('records/filter - comparison, membership and text predicates', function(assert) {
+    assert.deepEqual(
+      parseQuery('records(planet) | filter(mass != 1 and mass >= -0.5 and mass < 1e3 and mass <= 10 and name in ["Earth", \'Mars\'] and name contains "ar" and name startsWith "E" and name matches /^e/i and atmosphere is null and habitable == true)'),
+      qb.records('planet')
+        .filter(record => qb.and(
+          record.attribute('mass').notEqual(1),
+          record.attribute('mass').gte(-0.5),
+          record.attribute('mass').lt(1000),
+          record.attribute('mass').lte(10),
+          record.attribute('name').in(['Earth', 'Mars']),
+          record.attribute('name').contains('ar'),
+          record.attribute('name').startsWith('E'),
+          record.attribute('name').match(/^e/i),
+          record.attribute('atmosphere').isNull(),
+          record.attribute('habitable').equal(true)
+        ))
+        .toQueryExpression()
+    );
+  });
+
+  test('records/filter - or, and grouping', function(assert) {
+    assert.deepEqual(
+      parseQuery('records(planet) | filter(name == "Earth" or (mass > 10 and name != "Saturn") or name == "Mars")'),
+      qb.records('planet')
+        .filter(record => qb.or(
+          record.attribute('name').equal('Earth'),
+          qb.and(
+            record.attribute('mass').gt(10),
+            record.attribute('name').notEqual('Saturn')
+          ),
+          record.attribute('name').equal('Mars')
+        ))
+        .toQueryExpression()
+    );
+  });
+
+  test('records/filter - relationship predicates', function(assert) {
+    assert.deepEqual(
+      parseQuery('records(moon) | filter(relatedRecord(planet) == planet:jupiter or relatedRecord(planet) is null)'),
+      qb.records('moon')
+        .filter(record => qb.or(
+          record.relatedRecord('planet').equal({ type: 'planet', id: 'jupiter' }),
+          record.relatedRecord('planet').isNull()
+        ))
+        .toQueryExpression()
+    );
+
+    assert.deepEqual(
+      parseQuery('records(planet) | filter(relatedRecords(moons) includes moon:io and count(moons) > 1)'),
+      qb.records('planet')
+        .filter(record => qb.and(
+          record.relatedRecords('moons').includes({ type: 'moon', id: 'io' }),
+          record.relatedRecords('moons').count().gt(1)
+        ))
+        .toQueryExpression()
+    );
+  });
+
+  test('records/sort/page', function(assert) {
+    assert.deepEqual(
+      parseQuery('records(planet) | sort(classification, -name) | page(offset: 10, limit: 5)'),
+      qb.records('planet')
+        .sort('classification', '-name')
+        .page({ offset: 10, limit: 5 })
+        .toQueryExpression()
+    );
+
+    assert.deepEqual(
+      parseQuery('records(planet) | page(after: jupiter, size: 5)'),
+      qb.records('planet')
+        .page({ after: 'jupiter', size: 5 })
+        .toQueryExpression()
+    );
+  });
+
+  test('record/include', function(assert) {
+    assert.deepEqual(
+      parseQuery('record(planet:jupiter) | include(moons, moons.craters)'),
+      qb.record({ type: 'planet', id: 'jupiter' })
+        .include('moons', 'moons.craters')
+        .toQueryExpression()
+    );
+  });
+
+  test('records/sort/select', function(assert) {
+    assert.deepEqual(
+      parseQuery('records(planet) | sort(name) | select(name, classification)'),
+      qb.records('planet')
+        .sort('name')
+        .select('name', 'classification')
+        .toQueryExpression()
+    );
+  });
+
+  test('parsed queries can be evaluated by a cache', function(assert) {
+    const schema = new Schema({
+      models: {
+        planet: {
+          attributes: {
+            name: { type: 'string' },
+            classification: { type: 'string' },
+            mass: { type: 'number' }
+          }
+        }
+      }
+    });
+    const cache = new Cache({ schema, keyMap: new KeyMap() });
+
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant', mass: 317.8 } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn', classification: 'gas giant', mass: 95.2 } };
+    const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial', mass: 1 } };
+
+    cache.reset({ planet: { jupiter, saturn, earth } });
+
+    assert.deepEqual(
+      cache.query(parseQuery('records(planet) | filter(classification == "gas giant" and mass > 10) | sort(-name)')),
+      [saturn, jupiter]
+    );
+  });
+
+  test('reports errors with their position', function(assert) {
+    assertParseError(assert, 'planets(planet)', 'Unknown query source \'planets\' at position 0', 0);
+    assertParseError(assert, 'records(planet', 'Expected \')\' but found end of query at position 14', 14);
+    assertParseError(assert, 'records(planet) | filter(name = "Earth")', 'Unexpected character \'=\' at position 30', 30);
+    assertParseError(assert, 'records(planet) | filter(name "Earth")', 'Expected a comparison operator but found \'"Earth"\' at position 30', 30);
+    assertParseError(assert, 'records(planet) | filter(name == "Earth)', 'Unterminated string at position 33', 33);
+    assertParseError(assert, 'records(planet) | filter(mass > 1 and)', 'Expected a name but found \')\' at position 37', 37);
+    assertParseError(assert, 'records(planet) | order(name)', 'Modifier \'order\' can not be applied to this query at position 18', 18);
+    assertParseError(assert, 'record(planet:jupiter) | sort(name)', 'Modifier \'sort\' can not be applied to this query at position 25', 25);
+    assertParseError(assert, 'records(planet) | page(offset: 1, size: 5)', 'Offset (`offset`, `limit`) and cursor (`after`, `size`) pagination options can not be combined at position 18', 18);
+    assertParseError(assert, 'records(planet) | page(offset: 0, limit: 2) | sort(name)', 'Modifier \'sort\' can not be applied to this query at position 46', 46);
+    assertParseError(assert, 'records(planet) | sort(name) extra', 'Expected end of query but found \'extra\' at position 29', 29);
+  });
+});
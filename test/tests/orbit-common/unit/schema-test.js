@@ -1,6 +1,6 @@
 import Schema from 'orbit-common/schema';
 import { uuid } from 'orbit/lib/uuid';
-import { ModelNotRegisteredException } from 'orbit-common/lib/exceptions';
+import { ModelNotRegisteredException, CircularInheritanceException } from 'orbit-common/lib/exceptions';
 
 ///////////////////////////////////////////////////////////////////////////////
 
@@ -365,3 +365,240 @@ test('#generateDefaultId', function(assert) {
 
   assert.equal(schema.generateDefaultId('moon'), 'generated-id', 'provides the default value for the ID');
 });
+
+test('#queryBuilder provides the scopes declared by models', function(assert) {
+  const schema = new Schema({
+    modelDefaults: {
+      scopes: {
+        named: (records, name) => records.filterAttributes({ name })
+      }
+    },
+
+    models: {
+      planet: {
+        attributes: {
+          name: { type: 'string' },
+          classification: { type: 'string' }
+        },
+        relationships: {
+          moons: { type: 'hasMany', model: 'moon' }
+        },
+        scopes: {
+          gasGiants: (records) => records.filterAttributes({ classification: 'gas giant' })
+        }
+      },
+      moon: {
+        attributes: {
+          radius: { type: 'number' }
+        },
+        scopes: {
+          large: (records) => records.filter(record => record.attribute('radius').gt(1000))
+        }
+      }
+    }
+  });
+
+  const qb = schema.queryBuilder;
+
+  assert.strictEqual(schema.queryBuilder, qb, 'the query builder is reused');
+
+  assert.deepEqual(
+    qb.records('planet').gasGiants().sort('name').toQueryExpression(),
+    qb.records('planet').filterAttributes({ classification: 'gas giant' }).sort('name').toQueryExpression(),
+    'scopes can be chained with other terms'
+  );
+
+  assert.deepEqual(
+    qb.records('planet').named('Jupiter').toQueryExpression(),
+    qb.records('planet').filterAttributes({ name: 'Jupiter' }).toQueryExpression(),
+    'scopes are inherited from model defaults and can accept arguments'
+  );
+
+  assert.deepEqual(
+    qb.relatedRecords({ type: 'planet', id: 'jupiter' }, 'moons').large().toQueryExpression(),
+    qb.relatedRecords({ type: 'planet', id: 'jupiter' }, 'moons')
+      .filter(record => record.attribute('radius').gt(1000))
+      .toQueryExpression(),
+    'related records have the scopes of their model'
+  );
+
+  assert.strictEqual(qb.records('moon').gasGiants, undefined, 'scopes are specific to a model');
+
+  schema.registerModel('star', {
+    scopes: {
+      bright: (records) => records.filterAttributes({ bright: true })
+    }
+  });
+
+  assert.ok(qb.records('star').bright, 'scopes of models registered later are available');
+});
+
+test('#fingerprint identifies the structure of a schema\'s models', function(assert) {
+  const definition = {
+    models: {
+      planet: {
+        attributes: {
+          name: { type: 'string', defaultValue: 'Unnamed' }
+        },
+        relationships: {
+          moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+        },
+        scopes: {
+          named: (records, name) => records.filterAttributes({ name })
+        }
+      },
+      moon: {
+        relationships: {
+          planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+        }
+      }
+    }
+  };
+
+  const fingerprint = new Schema(definition).fingerprint();
+
+  assert.equal(typeof fingerprint, 'string');
+  assert.equal(
+    new Schema({ models: { moon: definition.models.moon, planet: { attributes: { name: { type: 'string' } }, relationships: definition.models.planet.relationships } } }).fingerprint(),
+    fingerprint,
+    'fingerprint ignores the order of models, defaults and scopes'
+  );
+
+  const schema = new Schema(definition);
+  schema.registerModel('moon', { attributes: { name: { type: 'string' } }, relationships: definition.models.moon.relationships });
+
+  assert.notEqual(schema.fingerprint(), fingerprint, 'fingerprint changes when an attribute is added');
+
+  assert.notEqual(
+    new Schema({ models: { planet: definition.models.planet, moon: { relationships: { planet: { type: 'hasOne', model: 'planet' } } } } }).fingerprint(),
+    fingerprint,
+    'fingerprint changes when a relationship changes'
+  );
+});
+
+test('#validateRecord returns any violations of the constraints declared by a record\'s model', function(assert) {
+  const schema = new Schema({
+    models: {
+      planet: {
+        attributes: {
+          name: { type: 'string', required: true, unique: true },
+          mass: { type: 'number', validate: (mass) => mass > 0 || 'mass must be positive' }
+        },
+        relationships: {
+          moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+        }
+      },
+      moon: {}
+    }
+  });
+
+  assert.deepEqual(schema.validateRecord({ type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', mass: 318 }, relationships: { moons: { data: { 'moon:io': true } } } }), [], 'valid records have no violations');
+
+  assert.deepEqual(
+    schema.validateRecord({ type: 'planet', id: 'pluto', attributes: { mass: -1 }, relationships: { moons: { data: { 'planet:charon': true } } } }),
+    [
+      { record: { type: 'planet', id: 'pluto' }, attribute: 'mass', code: 'invalid', message: 'mass must be positive' },
+      { record: { type: 'planet', id: 'pluto' }, attribute: 'name', code: 'required', message: '\'name\' of planet:pluto is required' },
+      { record: { type: 'planet', id: 'pluto' }, relationship: 'moons', code: 'model', message: '\'moons\' of planet:pluto must be related to moon records, not planet:charon' }
+    ],
+    'all violations are returned'
+  );
+});
+
+test('models inherit the keys, attributes, relationships and scopes of the models they extend', function(assert) {
+  const schema = new Schema({
+    models: {
+      gasGiant: {
+        extends: 'planet',
+        attributes: {
+          ringCount: { type: 'number' },
+          classification: null
+        }
+      },
+      planet: {
+        keys: {
+          remoteId: {}
+        },
+        attributes: {
+          name: { type: 'string' },
+          classification: { type: 'string' }
+        },
+        relationships: {
+          moons: { type: 'hasMany', model: 'moon', inverse: 'planet' }
+        },
+        scopes: {
+          named: (records, name) => records.filterAttributes({ name })
+        }
+      },
+      moon: {
+        relationships: {
+          planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+        }
+      }
+    }
+  });
+
+  const gasGiant = schema.modelDefinition('gasGiant');
+
+  assert.equal(gasGiant.extends, 'planet', 'the parent model is recorded');
+  assert.deepEqual(Object.keys(gasGiant.keys), ['remoteId'], 'keys are inherited');
+  assert.deepEqual(Object.keys(gasGiant.attributes).sort(), ['name', 'ringCount'], 'attributes are inherited, and can be added or removed');
+  assert.deepEqual(gasGiant.relationships.moons, { type: 'hasMany', model: 'moon', inverse: 'planet' }, 'relationships are inherited');
+  assert.ok(gasGiant.id.defaultValue, 'model defaults are inherited through the parent');
+  assert.deepEqual(Object.keys(schema.modelDefinition('planet').attributes).sort(), ['classification', 'name'], 'parent is unchanged');
+
+  assert.deepEqual(
+    schema.queryBuilder.records('gasGiant').named('Jupiter').toQueryExpression(),
+    schema.queryBuilder.records('gasGiant').filterAttributes({ name: 'Jupiter' }).toQueryExpression(),
+    'scopes are inherited'
+  );
+
+  assert.deepEqual(
+    schema.validateRecord({ type: 'moon', id: 'io', relationships: { planet: { data: 'gasGiant:jupiter' } } }),
+    [],
+    'records of subtypes may be related through relationships to their parent'
+  );
+});
+
+test('#subtypes returns the models that extend a model, directly or indirectly', function(assert) {
+  const schema = new Schema({
+    models: {
+      planet: {},
+      gasGiant: { extends: 'planet' },
+      iceGiant: { extends: 'gasGiant' },
+      moon: {}
+    }
+  });
+
+  assert.deepEqual(schema.subtypes('planet').sort(), ['gasGiant', 'iceGiant']);
+  assert.deepEqual(schema.subtypes('gasGiant'), ['iceGiant']);
+  assert.deepEqual(schema.subtypes('moon'), []);
+
+  schema.registerModel('dwarfPlanet', { extends: 'planet' });
+
+  assert.deepEqual(schema.subtypes('planet').sort(), ['dwarfPlanet', 'gasGiant', 'iceGiant'], 'includes models registered later');
+});
+
+test('models can\'t extend each other', function(assert) {
+  assert.throws(
+    () => new Schema({ models: { a: { extends: 'b' }, b: { extends: 'c' }, c: { extends: 'a' } } }),
+    e => e instanceof CircularInheritanceException && e.message === 'model inheritance is circular: a extends b extends c extends a',
+    'cycles between models passed to the constructor are rejected'
+  );
+
+  assert.throws(
+    () => new Schema({ models: { a: { extends: 'a' } } }),
+    CircularInheritanceException,
+    'models can\'t extend themselves'
+  );
+
+  const schema = new Schema({ models: { planet: {}, gasGiant: { extends: 'planet' } } });
+
+  assert.throws(
+    () => schema.registerModel('planet', { extends: 'gasGiant' }),
+    e => e instanceof CircularInheritanceException && e.message === 'model inheritance is circular: planet extends gasGiant extends planet',
+    'cycles created by registering models are rejected'
+  );
+
+  assert.deepEqual(schema.subtypes('planet'), ['gasGiant'], 'models are unchanged');
+});
@@ -5,9 +5,12 @@ import Store from 'orbit-common/store';
 import qb from 'orbit-common/query/builder';
 import CacheIntegrityProcessor from 'orbit-common/cache/operation-processors/cache-integrity-processor';
 import SchemaConsistencyProcessor from 'orbit-common/cache/operation-processors/schema-consistency-processor';
+import SchemaValidationProcessor from 'orbit-common/cache/operation-processors/schema-validation-processor';
 import {
-  addRecord
+  addRecord,
+  removeRecord
 } from 'orbit-common/transform/operators';
+import { SchemaMismatchException, ValidationError } from 'orbit-common/lib/exceptions';
 import Transform from 'orbit/transform';
 import { identity } from 'orbit-common/lib/identifiers';
 import { all } from 'rsvp';
@@ -30,6 +33,9 @@ const schemaDefinition = {
       relationships: {
         moons: { type: 'hasMany', model: 'moon', inverse: 'planet' },
         star: { type: 'hasOne', model: 'star', inverse: 'planets' }
+      },
+      scopes: {
+        gasGiants: (records) => records.filterAttributes({ classification: 'gas giant' })
       }
     },
     moon: {
@@ -91,6 +97,33 @@ module('OC - Store', function(hooks) {
       });
   });
 
+  test('#update - rejects with a ValidationError when a transform violates the schema\'s constraints', function(assert) {
+    assert.expect(4);
+
+    const schema = new Schema({
+      models: {
+        planet: {
+          attributes: {
+            name: { type: 'string', required: true, unique: true }
+          }
+        }
+      }
+    });
+    const store = new Store({ schema, keyMap, cacheOptions: { processors: [SchemaValidationProcessor, SchemaConsistencyProcessor, CacheIntegrityProcessor] } });
+
+    return store.update(addRecord({ type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } }))
+      .then(() => store.update([
+        addRecord({ type: 'planet', id: 'pluto' }),
+        addRecord({ type: 'planet', id: 'jupiter2', attributes: { name: 'Jupiter' } })
+      ]))
+      .catch(e => {
+        assert.ok(e instanceof ValidationError, 'ValidationError was thrown');
+        assert.deepEqual(e.errors.map(error => error.code), ['required', 'unique'], 'all violations are reported');
+        assert.equal(store.cache.length('planet'), 1, 'cache is unchanged');
+        assert.equal(store.allTransforms().length, 1, 'transform was not tracked');
+      });
+  });
+
   test('#query - queries the store\'s cache', function(assert) {
     assert.expect(2);
 
@@ -114,6 +147,41 @@ module('OC - Store', function(hooks) {
       });
   });
 
+  test('#query - queries specified as functions can use schema scopes', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } };
+    const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial' } };
+
+    store.cache.reset({ planet: { jupiter, earth } });
+
+    return store.query(qb => qb.records('planet').gasGiants())
+      .then(planets => {
+        assert.deepEqual(planets, { jupiter });
+      });
+  });
+
+  test('#liveQuery - queries specified as functions can use schema scopes', function(assert) {
+    const done = assert.async();
+
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' } };
+    const saturn = { type: 'planet', id: 'saturn', attributes: { name: 'Saturn', classification: 'gas giant' } };
+    const earth = { type: 'planet', id: 'earth', attributes: { name: 'Earth', classification: 'terrestrial' } };
+
+    store.cache.reset({ planet: { jupiter, earth } });
+
+    const liveQuery = store.liveQuery(qb => qb.records('planet').gasGiants());
+
+    liveQuery.take(2).toArray().subscribe(operations => {
+      assert.deepEqual(operations, [
+        { op: 'addRecord', record: jupiter },
+        { op: 'addRecord', record: saturn }
+      ]);
+      done();
+    });
+
+    store.update(addRecord(earth));
+    store.update(addRecord(saturn));
+  });
+
   test('#liveQuery - invokes `query()` and then returns `cache.liveQuery()`', function(assert) {
     const done = assert.async();
 
@@ -145,6 +213,54 @@ module('OC - Store', function(hooks) {
     });
   });
 
+  test('#liveQuery - emits operations for included records', function(assert) {
+    const done = assert.async();
+
+    const jupiter = {
+      type: 'planet',
+      id: 'jupiter',
+      attributes: { name: 'Jupiter' }
+    };
+
+    const io = {
+      type: 'moon',
+      id: 'io',
+      attributes: { name: 'Io' },
+      relationships: { planet: { data: 'planet:jupiter' } }
+    };
+
+    store.cache.reset({
+      planet: {
+        jupiter
+      }
+    });
+
+    const liveQuery = store.liveQuery(qb.record(identity(jupiter)).include('moons'));
+
+    liveQuery.take(2).toArray().subscribe(operations => {
+      assert.deepEqual(operations[0], { op: 'addRecord', record: jupiter });
+      assert.deepEqual(operations[1], { op: 'addRecord', record: io }, 'emits included records as they are related');
+      done();
+    });
+
+    store.update(addRecord(io));
+  });
+
+  test('#liveResults - emits the full results of a query once per transform', function(assert) {
+    const results = [];
+
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' } };
+    const pluto = { type: 'planet', id: 'pluto', attributes: { name: 'Pluto' } };
+
+    store.liveResults(qb.records('planet').sort('-name'))
+      .subscribe(result => results.push(result));
+
+    return store.update([addRecord(jupiter), addRecord(pluto)])
+      .then(() => {
+        assert.deepEqual(results, [[], [pluto, jupiter]]);
+      });
+  });
+
   test('#transformsSince - returns all transforms since a specified transformId', function(assert) {
     const recordA = { id: 'jupiter', type: 'planet', attributes: { name: 'Jupiter' } };
     const recordB = { id: 'saturn', type: 'planet', attributes: { name: 'Saturn' } };
@@ -266,6 +382,38 @@ module('OC - Store', function(hooks) {
       });
   });
 
+  test('#dehydrate and .hydrate - create a store with the same contents, keys and transform log head', function(assert) {
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter', classification: 'gas giant' }, relationships: { moons: { data: { 'moon:io': true } } } };
+    const io = { type: 'moon', id: 'io', attributes: { name: 'Io' }, relationships: { planet: { data: 'planet:jupiter' } } };
+    const transform = new Transform([addRecord(jupiter), addRecord(io)]);
+
+    keyMap.pushRecord({ type: 'planet', id: 'jupiter', keys: { remoteId: 'p1' } });
+
+    return store.update(transform)
+      .then(() => {
+        const payload = JSON.parse(JSON.stringify(store.dehydrate()));
+        const hydrated = Store.hydrate(payload, { schema: new Schema(schemaDefinition) });
+
+        assert.deepEqual(hydrated.cache.get([]), store.cache.get([]), 'cache contents match');
+        assert.equal(hydrated.keyMap.keyToId('planet', 'remoteId', 'p1'), 'jupiter', 'key mappings match');
+        assert.equal(hydrated.transformLog.head(), transform.id, 'transform log head matches');
+
+        hydrated.cache.patch(removeRecord(jupiter));
+
+        assert.equal(hydrated.cache.get(['moon', 'io', 'relationships', 'planet', 'data']), null, 'cache integrity is maintained');
+      });
+  });
+
+  test('.hydrate - rejects payloads from a different schema', function(assert) {
+    const payload = store.dehydrate();
+    const otherSchema = new Schema({ models: { planet: schemaDefinition.models.planet } });
+
+    assert.throws(
+      () => Store.hydrate(payload, { schema: otherSchema }),
+      SchemaMismatchException
+    );
+  });
+
   test('#merge - merges transforms from a forked store back into a base store', function(assert) {
     const jupiter = { type: 'planet', id: 'jupiter-id', attributes: { name: 'Jupiter', classification: 'gas giant' } };
 
@@ -281,6 +429,48 @@ module('OC - Store', function(hooks) {
       });
   });
 
+  test('#rollback - restores records removed by cascading deletes', function(assert) {
+    const schema = new Schema({
+      models: {
+        planet: {
+          attributes: {
+            name: { type: 'string' }
+          },
+          relationships: {
+            moons: { type: 'hasMany', model: 'moon', inverse: 'planet', onDelete: 'cascade' }
+          }
+        },
+        moon: {
+          attributes: {
+            name: { type: 'string' }
+          },
+          relationships: {
+            planet: { type: 'hasOne', model: 'planet', inverse: 'moons' }
+          }
+        }
+      }
+    });
+    const store = new Store({ schema, keyMap });
+
+    const jupiter = { type: 'planet', id: 'jupiter', attributes: { name: 'Jupiter' }, relationships: { moons: { data: { 'moon:io': true, 'moon:europa': true } } } };
+    const io = { type: 'moon', id: 'io', attributes: { name: 'Io' }, relationships: { planet: { data: 'planet:jupiter' } } };
+    const europa = { type: 'moon', id: 'europa', attributes: { name: 'Europa' }, relationships: { planet: { data: 'planet:jupiter' } } };
+
+    const addTransform = Transform.from([addRecord(jupiter), addRecord(io), addRecord(europa)]);
+
+    return store.update(addTransform)
+      .then(() => store.update(removeRecord(jupiter)))
+      .then(() => {
+        assert.equal(store.cache.length('moon'), 0, 'removal cascaded to moons');
+
+        store.rollback(addTransform.id);
+
+        assert.deepEqual(store.cache.get('planet/jupiter'), jupiter, 'planet is restored');
+        assert.deepEqual(store.cache.get('moon/io'), io, 'moon is restored');
+        assert.deepEqual(store.cache.get('moon/europa'), europa, 'moon is restored');
+      });
+  });
+
   test('#rollback - rolls back transform log and replays transform inverses against the cache', function(assert) {
     const recordA = { id: 'jupiter', type: 'planet', attributes: { name: 'Jupiter' } };
     const recordB = { id: 'saturn', type: 'planet', attributes: { name: 'Saturn' } };
@@ -1,5 +1,6 @@
 import Query from 'orbit/query';
 import { queryExpression as oqe } from 'orbit/query/expression';
+import { QueryExpressionParseError } from 'orbit/lib/exceptions';
 
 ///////////////////////////////////////////////////////////////////////////////
 
@@ -46,5 +47,47 @@ module('Orbit', function() {
       const query = Query.from(queryFactory);
       assert.deepEqual(query.expression, expression, 'expression was populated');
     });
+
+    test('.from should call a function with the query builder', function(assert) {
+      const expression = oqe('records', 'planet');
+      const queryBuilder = {
+        records(type) {
+          return oqe('records', type);
+        }
+      };
+
+      const query = Query.from(q => q.records('planet'), queryBuilder);
+      assert.deepEqual(query.expression, expression, 'expression was populated');
+    });
+
+    test('#toJSON and .fromJSON round-trip a query and its expression', function(assert) {
+      const expression = oqe('filter',
+                             oqe('records', 'planet'),
+                             oqe('equal', oqe('attribute', 'name'), 'Jupiter'));
+      const query = new Query(expression, { id: 'abc123' });
+
+      const json = JSON.parse(JSON.stringify(query));
+      const parsed = Query.fromJSON(json);
+
+      assert.ok(parsed instanceof Query, 'query is restored');
+      assert.strictEqual(parsed.id, 'abc123', 'id is restored');
+      assert.deepEqual(parsed.expression, expression, 'expression is restored');
+    });
+
+    test('.fromJSON validates operators', function(assert) {
+      const json = new Query(oqe('records', 'planet')).toJSON();
+
+      assert.throws(
+        () => Query.fromJSON(json, { record() {} }),
+        QueryExpressionParseError,
+        'operators are validated against the specified operators'
+      );
+
+      assert.throws(
+        () => Query.fromJSON(new Query(oqe('soundsLike', 'Jupiter')).toJSON()),
+        QueryExpressionParseError,
+        'unknown operators are rejected by default'
+      );
+    });
   });
 });
@@ -0,0 +1,141 @@
+import 'tests/test-helper';
+import {
+  queryExpression as oqe,
+  queryExpressionFromJSON,
+  isQueryExpression,
+  QueryExpressionOperators
+} from 'orbit/query/expression';
+import { merge } from 'orbit/lib/objects';
+import { QueryExpressionParseError } from 'orbit/lib/exceptions';
+
+///////////////////////////////////////////////////////////////////////////////
+
+function roundTrip(expression, operators) {
+  return queryExpressionFromJSON(JSON.parse(JSON.stringify(expression)), operators);
+}
+
+module('Orbit', function() {
+  module('Query', function() {
+    module('Expression', function() {
+      test('#toJSON returns a plain representation of nested expressions', function(assert) {
+        const expression = oqe('filter',
+                               oqe('records', 'planet'),
+                               oqe('equal', oqe('attribute', 'name'), 'Jupiter'));
+
+        assert.deepEqual(
+          expression.toJSON(),
+          {
+            __oqe__: true,
+            op: 'filter',
+            args: [
+              { __oqe__: true, op: 'records', args: ['planet'] },
+              {
+                __oqe__: true,
+                op: 'equal',
+                args: [
+                  { __oqe__: true, op: 'attribute', args: ['name'] },
+                  'Jupiter'
+                ]
+              }
+            ]
+          }
+        );
+      });
+
+      test('round-trips nested expressions, record identities and plain objects', function(assert) {
+        const expression = oqe('page',
+                               oqe('sort',
+                                   oqe('filter',
+                                       oqe('records', 'moon'),
+                                       oqe('equal', oqe('relationship', 'planet'), { type: 'planet', id: 'jupiter' })),
+                                   { field: oqe('attribute', 'name'), order: 'descending' }),
+                               { offset: 0, limit: 10 });
+
+        const parsed = roundTrip(expression);
+
+        assert.deepEqual(parsed, expression, 'expression is restored');
+        assert.ok(isQueryExpression(parsed.args[0].args[1].field), 'expressions nested in plain objects are restored');
+      });
+
+      test('round-trips regular expressions and dates', function(assert) {
+        const expression = oqe('and',
+                               oqe('match', oqe('attribute', 'name'), /^jup/gi),
+                               oqe('gt', oqe('attribute', 'discoveredAt'), new Date(Date.UTC(1610, 0, 7))));
+
+        const parsed = roundTrip(expression);
+        const regex = parsed.args[0].args[1];
+        const date = parsed.args[1].args[1];
+
+        assert.ok(regex instanceof RegExp, 'regular expression is restored');
+        assert.equal(regex.source, '^jup', 'source is restored');
+        assert.equal(regex.flags, 'gi', 'flags are restored');
+        assert.ok(date instanceof Date, 'date is restored');
+        assert.equal(date.toISOString(), '1610-01-07T00:00:00.000Z', 'time is restored');
+      });
+
+      test('queryExpressionFromJSON rejects unknown operators', function(assert) {
+        const operators = { filter() {}, records() {}, equal() {}, attribute() {} };
+        const json = oqe('filter',
+                         oqe('records', 'planet'),
+                         oqe('sounds like', oqe('attribute', 'name'), 'Jupiter')).toJSON();
+
+        assert.throws(
+          () => queryExpressionFromJSON(json, operators),
+          function(e) {
+            return e instanceof QueryExpressionParseError &&
+                   e.message === 'Unknown query operator \'sounds like\' at expression.args[1].';
+          },
+          'unknown operators are rejected with the location of the expression'
+        );
+
+        assert.throws(
+          () => queryExpressionFromJSON(json),
+          function(e) {
+            return e instanceof QueryExpressionParseError &&
+                   e.message === 'Unknown query operator \'sounds like\' at expression.args[1].';
+          },
+          'operators are validated against the known operators by default'
+        );
+
+        assert.ok(
+          queryExpressionFromJSON(json, merge(QueryExpressionOperators, { 'sounds like': true })),
+          'known operators can be extended'
+        );
+
+        assert.ok(queryExpressionFromJSON(json, false), 'validation can be skipped');
+      });
+
+      test('queryExpressionFromJSON rejects malformed input', function(assert) {
+        assert.throws(
+          () => queryExpressionFromJSON({ op: 'records', args: ['planet'] }),
+          QueryExpressionParseError,
+          'top level value must be an expression'
+        );
+
+        assert.throws(
+          () => queryExpressionFromJSON({ __oqe__: true, op: 'records', args: 'planet' }),
+          QueryExpressionParseError,
+          'arguments must be an array'
+        );
+
+        assert.throws(
+          () => queryExpressionFromJSON({ __oqe__: true, op: 'records', args: ['planet'], extra: true }),
+          QueryExpressionParseError,
+          'expressions can not have extra members'
+        );
+
+        assert.throws(
+          () => queryExpressionFromJSON({ __oqe__: true, op: 'match', args: [{ __regexp__: { source: '(', flags: '' } }] }),
+          QueryExpressionParseError,
+          'regular expressions must be valid'
+        );
+
+        assert.throws(
+          () => queryExpressionFromJSON({ __oqe__: true, op: 'equal', args: [{ __function__: 'x' }] }),
+          QueryExpressionParseError,
+          'unrecognized tagged values are rejected'
+        );
+      });
+    });
+  });
+});